@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+/**
+ * Validates dayPlans.json (and the bundled course packs) and prints a report per day.
+ *
+ *   npm run validate:plans                 # src/data/dayPlans.json + src/data/packs/*.json
+ *   node scripts/validateDayPlans.js path/to/plans.json [--strict] [--json]
+ *
+ * A file is either a plain day list or a course pack (`{ "format": "a2-trainer-pack", "days": [...] }`).
+ * Exits with 1 when there are errors (or warnings with --strict).
+ */
+import { readFileSync, readdirSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { dirname, resolve } from "node:path";
+import { validateDayPlans } from "../src/lib/dayPlanSchema.js";
+
+const here = dirname(fileURLToPath(import.meta.url));
+const args = process.argv.slice(2);
+const strict = args.includes("--strict");
+const asJson = args.includes("--json");
+
+function bundledFiles() {
+  const packDir = resolve(here, "../src/data/packs");
+  let packs = [];
+  try {
+    packs = readdirSync(packDir)
+      .filter((f) => f.endsWith(".json"))
+      .sort()
+      .map((f) => resolve(packDir, f));
+  } catch {
+    // no packs folder
+  }
+  return [resolve(here, "../src/data/dayPlans.json"), ...packs];
+}
+
+const fileArg = args.find((a) => !a.startsWith("--"));
+const files = fileArg ? [resolve(fileArg)] : bundledFiles();
+
+const reports = files.map((file) => {
+  let data;
+  try {
+    data = JSON.parse(readFileSync(file, "utf8"));
+  } catch (err) {
+    console.error(`✖ Cannot read ${file}: ${err.message}`);
+    process.exit(1);
+  }
+  const plans = Array.isArray(data) ? data : data?.days;
+  return { file, ...validateDayPlans(plans) };
+});
+
+if (asJson) {
+  console.log(JSON.stringify(reports.length === 1 ? reports[0] : reports, null, 2));
+} else {
+  const icon = (level) => (level === "error" ? "✖" : "⚠");
+  const line = (x) => `  ${icon(x.level)} ${x.path || "(root)"}: ${x.message}`;
+
+  reports.forEach((report, i) => {
+    console.log(`${i ? "\n" : ""}Validating ${report.file}\n`);
+
+    if (report.fileIssues.length) {
+      console.log("File");
+      report.fileIssues.forEach((x) => console.log(line(x)));
+      console.log("");
+    }
+
+    for (const d of report.days) {
+      const label = d.day === null ? `Entry [${d.index}]` : `Day ${d.day}`;
+      if (!d.issues.length) {
+        console.log(`✔ ${label} — ${d.topic}`);
+        continue;
+      }
+      console.log(`${label} — ${d.topic}`);
+      d.issues.forEach((x) => console.log(line(x)));
+    }
+
+    console.log(
+      `\n${report.days.length} days checked: ${report.errorCount} error(s), ${report.warningCount} warning(s)`
+    );
+  });
+}
+
+const failed = reports.some((r) => r.errorCount > 0 || (strict && r.warningCount > 0));
+process.exit(failed ? 1 : 0);
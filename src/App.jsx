@@ -1,59 +1,95 @@
 import { useEffect, useMemo, useRef, useState } from "react";
-import dayPlans from "./data/dayPlans.json";
-
-const STORAGE_KEY = "a2_progress_v10";
-
-function loadProgress() {
-  try {
-    const saved = localStorage.getItem(STORAGE_KEY);
-    if (!saved) return { currentDay: 1, maxUnlockedDay: 1, mode: "learn" };
-    const parsed = JSON.parse(saved);
-    return {
-      currentDay: parsed.currentDay ?? 1,
-      maxUnlockedDay: parsed.maxUnlockedDay ?? 1,
-      mode: parsed.mode ?? "learn",
-    };
-  } catch {
-    return { currentDay: 1, maxUnlockedDay: 1, mode: "learn" };
-  }
-}
-
-function saveProgress(p) {
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(p));
-}
-
-function countSentences(text) {
-  const parts = (text || "")
-    .split(/[.!?]+/g)
-    .map((s) => s.trim())
-    .filter(Boolean);
-  return parts.length;
-}
-
-function normalize(text) {
-  return (text || "").toLowerCase();
-}
-
-function includesAny(haystack, words) {
-  const t = normalize(haystack);
-  return (words || []).some((w) => t.includes(String(w).toLowerCase()));
-}
-
-function countVocabUsed(text, vocabList) {
-  const t = normalize(text);
-  let count = 0;
-  for (const w of vocabList || []) {
-    if (t.includes(String(w).toLowerCase())) count += 1;
-  }
-  return count;
-}
-
-function testRegexAll(text, patterns) {
-  return (patterns || []).map((p) => {
-    const re = new RegExp(p, "i");
-    return re.test(text || "");
-  });
-}
+import ReviewMode from "./components/ReviewMode";
+import GrammarFeedback from "./components/GrammarFeedback.jsx";
+import StatsView from "./components/StatsView.jsx";
+import MistakeDrill from "./components/MistakeDrill.jsx";
+import ProfileSwitcher from "./components/ProfileSwitcher.jsx";
+import Dictation from "./components/Dictation.jsx";
+import SentencePlayer from "./components/SentencePlayer.jsx";
+import SpeakingPractice from "./components/SpeakingPractice.jsx";
+import ExamMode from "./components/ExamMode.jsx";
+import TestOut from "./components/TestOut.jsx";
+import PlacementTest from "./components/PlacementTest.jsx";
+import UnlockPolicyPicker from "./components/UnlockPolicyPicker.jsx";
+import CoursePackPicker from "./components/CoursePackPicker.jsx";
+import DayEditor from "./components/DayEditor.jsx";
+import GrammarItem from "./components/GrammarItem.jsx";
+import ChoiceGroup from "./components/ChoiceGroup.jsx";
+import Announcer from "./components/Announcer.jsx";
+import { collectReviewCards, countReview, loadSrs, saveSrs, schedule } from "./lib/srs";
+import { normalizeDayPlan, normalizeDayPlans } from "./lib/dayPlanSchema";
+import {
+  loadPlanOverrides,
+  mergeDayPlans,
+  removeOverride,
+  savePlanOverrides,
+  setOverride,
+} from "./lib/planOverrides.js";
+import { buildVocabQuiz } from "./lib/vocabQuiz";
+import { readRoute, routePath } from "./lib/router.js";
+import { shuffledChoices, shuffledIndexes } from "./lib/quizOrder.js";
+import { registerServiceWorker, requestPersistentStorage } from "./lib/pwa.js";
+import { LOCALES, MEANING_FALLBACK, detectLocale, errorText, makeTranslator, resolveLocale } from "./lib/i18n.js";
+import { glossOf } from "./lib/glosses.js";
+import { isShortcutTarget, moveQuestion, pickChoice, spaceIsFree } from "./lib/keyboard.js";
+import {
+  buildTestOutQuiz,
+  earnUnlock,
+  lockedReason,
+  resolvePolicy,
+  settleReviews,
+  testOutBlock,
+  unlockContext,
+  unlockedThrough,
+} from "./lib/unlockPolicy.js";
+import { buildOutputReport, outputPassed } from "./lib/outputReport.js";
+import { addAttempt, collectMissed, createAttempt, loadHistory, saveHistory } from "./lib/history.js";
+import { answerMistake, loadMistakes, recordMistake, saveMistakes } from "./lib/mistakes.js";
+import {
+  clearAllSessions,
+  clearSession,
+  emptySession,
+  loadAllSessions,
+  loadSession,
+  saveAllSessions,
+  saveSession,
+} from "./lib/session.js";
+import { clearProgress, defaultProgress, loadProgress, saveProgress } from "./lib/progressStore.js";
+import { dictationAccuracy, splitSentences } from "./lib/dictation.js";
+import { browserRecognizer } from "./lib/speechRecognition.js";
+import { buildExam } from "./lib/exam.js";
+import { answerText, countCorrect, isCorrect, mistakeCards, responsesAsText } from "./lib/grammarItems.js";
+import {
+  DEFAULT_SERVER_URL,
+  createServerProvider,
+  recordingProvider,
+  segmentAudioItems,
+  webSpeechProvider,
+} from "./lib/audioProviders.js";
+import { buildExport, downloadJson, mergeProgressData, parseImport } from "./lib/backup.js";
+import {
+  activeProfile,
+  createProfile,
+  deleteProfile,
+  loadProfiles,
+  renameProfile,
+  saveProfiles,
+  setActivePack,
+  setActiveProfile,
+  setProfilePin,
+  updatePrefs,
+} from "./lib/profiles.js";
+import {
+  DEFAULT_PACK_ID,
+  allPacks,
+  findPack,
+  installPack,
+  loadInstalledPacks,
+  packFile,
+  removePackData,
+  saveInstalledPacks,
+  uninstallPack,
+} from "./lib/coursePacks.js";
 
 /** Listening helpers: supports either `segments` or legacy `text+quiz` */
 function getListeningSegments(dayPlan) {
@@ -92,72 +128,215 @@ function flattenListeningQuiz(dayPlan) {
   return out;
 }
 
+/** Player queue: every sentence of every segment (or its recording), repeated `seg.repeat` times */
+function buildSentenceItems(segments, useRecordings) {
+  const items = [];
+  segments.forEach((seg, segIndex) => {
+    const segItems = segmentAudioItems(seg, splitSentences(seg.text), useRecordings);
+    const rep = Math.max(1, Number(seg.repeat || 1));
+    for (let pass = 0; pass < rep; pass++) {
+      segItems.forEach((item) => items.push({ ...item, segIndex, pass }));
+    }
+  });
+  return items;
+}
+
+// word spoken at `charIndex`; charLength is missing in some browsers
+function wordRange(text, charIndex, charLength) {
+  if (charLength) return { start: charIndex, end: charIndex + charLength };
+  const word = /^[\p{L}\p{N}'-]+/u.exec(text.slice(charIndex))?.[0] || "";
+  return { start: charIndex, end: charIndex + word.length };
+}
+
 function buildTranscript(dayPlan) {
   const segs = getListeningSegments(dayPlan);
   return segs.map((s) => `# ${s.title}\n${s.text}`).join("\n\n");
 }
 
 export default function App() {
+  // Course packs: the bundled ones plus packs loaded from a file or URL (see lib/coursePacks.js)
+  const [installedPacks, setInstalledPacks] = useState(loadInstalledPacks);
+  const packs = allPacks(installedPacks);
+
+  // Learner profiles: profile and its course pack must be active before any store below is read
+  const [profiles, setProfiles] = useState(() => {
+    const state = loadProfiles();
+    setActiveProfile(state.activeId);
+    setActivePack(findPack(allPacks(installedPacks), activeProfile(state).prefs.packId).id);
+    return state;
+  });
+  const profile = activeProfile(profiles);
+  const pack = findPack(packs, profile.prefs.packId);
+
+  // Interface language (lib/i18n.js); meanings are shown in the locale's gloss language
+  const locale = resolveLocale(profile.prefs.locale, navigator.languages);
+  const t = makeTranslator(locale.id);
+  const meaningLang = locale.gloss || MEANING_FALLBACK; // immersion: only questions that need a meaning
+  const hintOf = (q) => (locale.gloss ? glossOf(q, locale.gloss) : ""); // gloss shown under a quiz prompt
+
   const [progress, setProgress] = useState(loadProgress());
 
-  const safeDay = Math.min(progress.currentDay, progress.maxUnlockedDay);
-  const dayPlan = useMemo(
-    () => dayPlans.find((d) => d.day === safeDay),
-    [safeDay]
+  // The pack's plans + days edited in the ✏️ Author view; every section filled in with safe defaults
+  // (see `npm run validate:plans` for the report)
+  const [planOverrides, setPlanOverrides] = useState(loadPlanOverrides);
+  const dayPlans = useMemo(
+    () => normalizeDayPlans(mergeDayPlans(pack.days, planOverrides)),
+    [pack, planOverrides]
   );
 
-  const mode = progress.mode; // "learn" | "quiz"
+  // "Preview as learner": the draft replaces the current day, answers are neither saved nor graded
+  const [preview, setPreview] = useState(null); // { plan, startedAt }
+
+  // Spaced repetition: per-word ease / interval / due, stored next to progress
+  const [srs, setSrs] = useState(loadSrs());
+
+  // Attempt history (Stats view)
+  const [history, setHistory] = useState(loadHistory());
 
-  // Vocab quiz
-  const [vocabCorrect, setVocabCorrect] = useState(0);
+  // Unlocking: the profile's policy, else the course pack's, else linear (see lib/unlockPolicy.js)
+  const unlockPolicy = resolvePolicy(profile.prefs.unlockPolicy, pack.unlockPolicy);
+  const unlockCtx = unlockContext(dayPlans, history, srs);
+  const unlockedDay = unlockedThrough(unlockPolicy, progress, unlockCtx);
+
+  const safeDay = Math.min(progress.currentDay, unlockedDay);
+  const dayPlan = useMemo(
+    () => (preview ? normalizeDayPlan(preview.plan) : dayPlans.find((d) => d.day === safeDay)),
+    [dayPlans, safeDay, preview]
+  );
+  const viewKey = preview ? `preview:${preview.startedAt}` : safeDay; // remounts per-day widgets
+
+  // "learn" | "quiz" | "review" | "mistakes" | "stats" | "speaking" | "author" | "testout" | "placement"
+  const mode = progress.mode;
+
+  // words of the days actually reached; free practice does not flood the review with every day
+  const reviewThrough = Math.min(unlockedDay, Math.max(progress.maxUnlockedDay, safeDay));
+  const reviewCards = useMemo(() => collectReviewCards(dayPlans, reviewThrough), [dayPlans, reviewThrough]);
+  const reviewCounts = countReview(reviewCards, srs);
+
+  // Test-out (policy "testout"): a quiz over the block of days around the unlock frontier
+  const [testOutSeed, setTestOutSeed] = useState(0);
+  const testOut = testOutBlock(unlockPolicy, dayPlans, unlockedDay);
+  // seeded, so every render of one attempt gets the same questions
+  const testOutQuiz = mode === "testout" && testOut ? buildTestOutQuiz(dayPlans, testOut, testOutSeed) : [];
+  const nextLockedReason = lockedReason(unlockPolicy, progress, safeDay + 1, unlockCtx, t);
+
+  // Placement test: a new seed (set when it starts) gives new questions
+  const [placementSeed, setPlacementSeed] = useState(0);
+
+  // URL routing (lib/router.js): path of the state last written to the address bar
+  const syncedPathRef = useRef(routePath({ day: safeDay, mode }));
+  const routeOpenedRef = useRef(false);
+  const [routeNotice, setRouteNotice] = useState(null); // e.g. why a deep-linked day is locked
+
+  // Offline app (lib/pwa.js): a waiting new version and the connection state
+  const [applyUpdate, setApplyUpdate] = useState(null); // () => void once an update is ready
+  const [online, setOnline] = useState(() => navigator.onLine);
+
+  // Day session: which day the answers/draft below belong to (restored from storage)
+  const [sessionDay, setSessionDay] = useState(null);
+  const [attemptSeed, setAttemptSeed] = useState(""); // question / choice order of this attempt
+  const [draftSavedAt, setDraftSavedAt] = useState(null);
+  const dayStartedAtRef = useRef(null); // time spent per attempt
+
+  // Mistake notebook: wrong quiz answers from every day
+  const [mistakes, setMistakes] = useState(loadMistakes());
+
+  // Export / import of all progress as a JSON file
+  const importInputRef = useRef(null);
+  const [backupMessage, setBackupMessage] = useState(null);
+
+  // Vocab quiz (attempt 0 = authored quiz if any, retries = generated sets)
+  const [vocabAttempt, setVocabAttempt] = useState(0);
   const [vocabChosen, setVocabChosen] = useState({});
+  const [vocabLang, setVocabLang] = useState(null); // a set keeps its language once answered
+  const quizLang = vocabLang || meaningLang;
+  const vocabQuiz = useMemo(
+    () => buildVocabQuiz(dayPlans, dayPlan, vocabAttempt, quizLang),
+    [dayPlans, dayPlan, vocabAttempt, quizLang]
+  );
 
   // Grammar quiz
-  const [grammarCorrect, setGrammarCorrect] = useState(0);
   const [grammarChosen, setGrammarChosen] = useState({});
 
   // Listening quiz (flattened)
-  const [listeningCorrect, setListeningCorrect] = useState(0);
   const [listeningChosen, setListeningChosen] = useState({});
 
-  // TTS
-  const [ttsSupported, setTtsSupported] = useState(false);
-  const [isSpeaking, setIsSpeaking] = useState(false);
+  // Dictation: checked sentences per listening segment, `{ [segIndex]: [{ typed, correct, total }] }`
+  const [dictation, setDictation] = useState({});
 
-  const utterQueueRef = useRef([]);
-  const currentUtterRef = useRef(null);
+  // TTS: Web Speech, a local TTS server, or recordings (see lib/audioProviders.js)
+  const [webSpeechOk, setWebSpeechOk] = useState(false);
+  const [audioError, setAudioError] = useState("");
+  const playbackRef = useRef(null); // { cancel } of whatever is playing now
 
-  // 🔥 stop token: increments whenever we stop; speakNext checks token
+  // 🔥 stop token: increments whenever we stop or start; speakNext checks token
   const stopTokenRef = useRef(0);
 
+  // Sentence player (listening): one utterance per sentence, so a sentence can be replayed or looped
+  const [player, setPlayer] = useState(null); // { day, items, index, paused, held }
+  const [playerOpts, setPlayerOpts] = useState({ loop: false, gapMs: 800, karaoke: false });
+  const playerOptsRef = useRef(playerOpts); // read when a sentence ends, after the render that started it
+  const playerTimerRef = useRef(null);
+  const [spokenWord, setSpokenWord] = useState(null); // { start, end } inside the current sentence
+
+  // Speech recognition for the speaking practice (supported: false → the mode explains why)
+  const recognizer = useMemo(() => browserRecognizer(), []);
+
   // Voice controls
   const [voices, setVoices] = useState([]);
-  const [voiceURI, setVoiceURI] = useState("");
-  const [rate, setRate] = useState(0.95);
-  const [pitch, setPitch] = useState(1.0);
+  // voice / rate / pitch and the audio backend are saved with the profile
+  const { voiceURI, rate, pitch, ttsBackend, ttsServerUrl, serverVoice, useRecordings } = profile.prefs;
+  const synth =
+    ttsBackend === "server" ? createServerProvider(ttsServerUrl || DEFAULT_SERVER_URL, serverVoice) : webSpeechProvider;
+  const ttsSupported = ttsBackend === "server" ? synth.isAvailable() : webSpeechOk;
 
   // Output
   const [outputText, setOutputText] = useState("");
   const [outputReport, setOutputReport] = useState(null);
   const [result, setResult] = useState(null);
 
+  // Mock exam of an exam day (components/ExamMode.jsx), kept in the day session
+  const [examAttempt, setExamAttempt] = useState(null);
+
+  // read out by screen readers: the verdict of each answer, the writing check and the day result
+  const [announcement, setAnnouncement] = useState("");
+
+  useEffect(() => saveProfiles(profiles), [profiles]);
   useEffect(() => saveProgress(progress), [progress]);
+  useEffect(() => saveSrs(srs), [srs]);
+  useEffect(() => saveHistory(history), [history]);
+  useEffect(() => saveMistakes(mistakes), [mistakes]);
+  useEffect(() => savePlanOverrides(planOverrides), [planOverrides]);
+  useEffect(() => saveInstalledPacks(installedPacks), [installedPacks]);
+
+  // right-to-left layout (Arabic) and the page language for screen readers and fonts
+  useEffect(() => {
+    document.documentElement.lang = locale.id;
+    document.documentElement.dir = locale.dir;
+  }, [locale.id, locale.dir]);
+
+  useEffect(() => {
+    registerServiceWorker({ onUpdate: (apply) => setApplyUpdate(() => apply) });
+    requestPersistentStorage();
+
+    const updateOnline = () => setOnline(navigator.onLine);
+    window.addEventListener("online", updateOnline);
+    window.addEventListener("offline", updateOnline);
+    return () => {
+      window.removeEventListener("online", updateOnline);
+      window.removeEventListener("offline", updateOnline);
+    };
+  }, []);
 
   useEffect(() => {
-    const ok = typeof window !== "undefined" && "speechSynthesis" in window;
-    setTtsSupported(ok);
+    const ok = webSpeechProvider.isAvailable();
+    setWebSpeechOk(ok);
 
     if (!ok) return;
 
     const loadVoices = () => {
       const vs = window.speechSynthesis.getVoices() || [];
       setVoices(vs);
-
-      if (!voiceURI) {
-        const de =
-          vs.find((v) => (v.lang || "").toLowerCase().startsWith("de")) || vs[0];
-        if (de) setVoiceURI(de.voiceURI);
-      }
     };
 
     loadVoices();
@@ -166,41 +345,174 @@ export default function App() {
     return () => {
       window.speechSynthesis.onvoiceschanged = null;
     };
-    // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  // a profile without a chosen voice gets the first German one
   const selectedVoice = useMemo(() => {
-    return voices.find((v) => v.voiceURI === voiceURI) || null;
+    return (
+      voices.find((v) => v.voiceURI === voiceURI) ||
+      voices.find((v) => (v.lang || "").toLowerCase().startsWith("de")) ||
+      voices[0] ||
+      null
+    );
   }, [voices, voiceURI]);
 
-  // Reset states when day changes
-  useEffect(() => {
-    setVocabCorrect(0);
-    setVocabChosen({});
-    setGrammarCorrect(0);
-    setGrammarChosen({});
-    setListeningCorrect(0);
-    setListeningChosen({});
-    setOutputText("");
+  function applySession(day, s) {
+    dayStartedAtRef.current = Date.now();
+    setSessionDay(day);
+    setAttemptSeed(s.seed);
+    setDraftSavedAt(s.updatedAt);
+    setVocabAttempt(s.vocabAttempt);
+    setVocabLang(s.vocabLang);
+    setVocabChosen(s.vocabChosen);
+    setGrammarChosen(s.grammarChosen);
+    setListeningChosen(s.listeningChosen);
+    setDictation(s.dictation);
+    setOutputText(s.outputText);
+    setExamAttempt(s.exam);
     setOutputReport(null);
     setResult(null);
+  }
+
+  function stopSpeaking() {
+    // invalidate current speaking chain
+    stopTokenRef.current += 1;
+
+    playbackRef.current?.cancel();
+    playbackRef.current = null;
+    clearTimeout(playerTimerRef.current);
+    setPlayer((p) => (p ? { ...p, paused: true, held: false } : p));
+    setSpokenWord(null);
+  }
+
+  // Restore the day's saved session (or a clean one) when day changes
+  useEffect(() => {
+    applySession(safeDay, loadSession(safeDay));
 
     stopSpeaking(); // important
-    // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [safeDay]);
 
+  // Save answers + draft; skipped until the restored session matches the day
+  useEffect(() => {
+    if (sessionDay !== safeDay) return;
+    setDraftSavedAt(
+      saveSession(sessionDay, {
+        seed: attemptSeed,
+        vocabAttempt,
+        vocabLang,
+        vocabChosen,
+        grammarChosen,
+        listeningChosen,
+        dictation,
+        outputText,
+        exam: examAttempt,
+      })
+    );
+  }, [
+    sessionDay,
+    safeDay,
+    attemptSeed,
+    vocabAttempt,
+    vocabLang,
+    vocabChosen,
+    grammarChosen,
+    listeningChosen,
+    dictation,
+    outputText,
+    examAttempt,
+  ]);
+
+  // Address bar ← day + mode: every change the learner makes is a history entry.
+  // Changes that come from the address itself (deep link, Back/Forward) are already there.
+  useEffect(() => {
+    if (preview) return;
+    const path = routePath({ day: safeDay, mode });
+    if (path === syncedPathRef.current) return;
+    syncedPathRef.current = path;
+    if (path !== window.location.pathname) window.history.pushState(null, "", path);
+  }, [safeDay, mode, preview]);
+
+  // Day + mode ← address bar: the deep link on load, then Back/Forward
+  useEffect(() => {
+    if (!routeOpenedRef.current) {
+      routeOpenedRef.current = true;
+      openRoute(readRoute());
+    }
+    const onPop = () => openRoute(readRoute());
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  });
+
+  // Keyboard shortcuts (lib/keyboard.js); re-registered each render like the popstate handler above
+  useEffect(() => {
+    if (mode === "author" || !dayPlan) return;
+    window.addEventListener("keydown", handleShortcut);
+    return () => window.removeEventListener("keydown", handleShortcut);
+  });
+
+  // Deep-linked sections (`#listening`) scroll into view once their page is shown
+  useEffect(() => {
+    const section = readRoute()?.section;
+    if (section) document.getElementById(section)?.scrollIntoView({ behavior: "smooth", block: "start" });
+  }, [safeDay, mode]);
+
+  // same rules as goToDay; a locked day stays on the current one with a message
+  function openRoute(route) {
+    if (!route) {
+      window.history.replaceState(null, "", routePath({ day: safeDay, mode }));
+      return;
+    }
+    const locked = route.day !== null && route.day > unlockedDay;
+    const day = route.day === null || locked ? safeDay : route.day;
+    setRouteNotice(locked ? lockedReason(unlockPolicy, progress, route.day, unlockCtx, t) : null);
+    if (locked) window.history.replaceState(null, "", routePath({ day, mode: route.mode }) + window.location.hash);
+    if (preview) {
+      setPreview(null);
+      applySession(day, loadSession(day));
+    }
+    setProgress((p) => ({ ...p, currentDay: day, mode: route.mode }));
+  }
+
+  if (mode === "author") {
+    return (
+      <div style={{ maxWidth: 860, margin: "30px auto", fontFamily: "sans-serif" }}>
+        <DayEditor
+          basePlans={pack.days}
+          overrides={planOverrides}
+          onSave={(plan) => setPlanOverrides((o) => setOverride(o, plan))}
+          onRevert={(day) => setPlanOverrides((o) => removeOverride(o, day))}
+          onPreview={startPreview}
+          onExport={() =>
+            downloadJson(
+              pack.id === DEFAULT_PACK_ID ? "dayPlans.json" : `${pack.id}.json`,
+              packFile(pack, mergeDayPlans(pack.days, planOverrides))
+            )
+          }
+          onClose={() => setMode("learn")}
+          t={t}
+        />
+      </div>
+    );
+  }
+
   if (!dayPlan) {
     return (
       <div style={{ maxWidth: 860, margin: "40px auto", fontFamily: "sans-serif" }}>
-        <h1>🎉 Completed!</h1>
-        <p>No day found for Day {safeDay}. Add more days in dayPlans.json.</p>
+        <h1>🎉 {t("completed.title")}</h1>
+        <p>
+          {t("completed.noDay", { day: safeDay })} {t("completed.addMore")}{" "}
+          <button onClick={() => setMode("author")}>✏️ {t("completed.editor")}</button>
+        </p>
         <button
           onClick={() => {
-            localStorage.removeItem(STORAGE_KEY);
-            setProgress({ currentDay: 1, maxUnlockedDay: 1, mode: "learn" });
+            clearProgress();
+            setSrs({});
+            clearAllSessions();
+            applySession(1, emptySession());
+            setProgress(defaultProgress());
           }}
         >
-          Reset progress
+          {t("completed.reset")}
         </button>
       </div>
     );
@@ -208,169 +520,390 @@ export default function App() {
 
   const listeningSegments = getListeningSegments(dayPlan);
   const listeningQuizFlat = flattenListeningQuiz(dayPlan);
+  // on-screen order of this attempt; answers stay keyed by file position (lib/quizOrder.js)
+  const vocabOrder = shuffledIndexes(vocabQuiz.length, `${attemptSeed}:v${vocabAttempt}`);
+  const grammarOrder = shuffledIndexes(dayPlan.grammar.quiz.length, `${attemptSeed}:g`);
+  const listeningOrder = listeningSegments.flatMap((_, segIndex) => {
+    const items = listeningQuizFlat.filter((item) => item.segIndex === segIndex);
+    return shuffledIndexes(items.length, `${attemptSeed}:l${segIndex}`).map((i) => items[i]);
+  });
+  const sentenceItems = buildSentenceItems(listeningSegments, useRecordings);
+  const listeningSentences = [...new Set(listeningSegments.flatMap((seg) => splitSentences(seg.text)))];
+  // a segment plays through the voice, or its recording when recordings are on
+  const canPlaySegment = (seg) => ttsSupported || (useRecordings && !!seg.audio);
+  const listeningAudioOk = listeningSegments.some(canPlaySegment);
+
+  // exam days: the sections and questions of the mock exam
+  const exam = dayPlan.examMode
+    ? buildExam(dayPlan, {
+        vocabQuiz,
+        listeningSegments,
+        speakingLines: dayPlan.grammar.examples.length ? dayPlan.grammar.examples : listeningSentences,
+        seed: attemptSeed,
+      })
+    : null;
+  const examRunning = !!exam && examAttempt?.stage >= 0 && !examAttempt.result;
   const transcript = buildTranscript(dayPlan);
 
+  // scores are derived from the locked answers, so a restored session counts correctly
+  const vocabCorrect = vocabQuiz.filter((q, i) => vocabChosen[i] === q.answer).length;
+  const grammarCorrect = countCorrect(dayPlan.grammar.quiz, grammarChosen);
+  const listeningCorrect = listeningQuizFlat.filter((item) => listeningChosen[item.key] === item.q.a).length;
+
+  // leaving a running exam is allowed (its attempt stays in the session), but the clock keeps going
+  function mayLeaveExam() {
+    return !examRunning || mode !== "quiz" || confirm(t("exam.leaveConfirm"));
+  }
+
   function setMode(newMode) {
+    if (newMode !== mode && !mayLeaveExam()) return;
     setProgress((p) => ({ ...p, mode: newMode }));
   }
 
   function goToDay(day) {
     if (day < 1) return;
-    if (day > progress.maxUnlockedDay) return;
+    if (day > unlockedDay) return;
+    if (!mayLeaveExam()) return;
+    if (preview) {
+      setPreview(null);
+      applySession(day, loadSession(day));
+    }
     setProgress((p) => ({ ...p, currentDay: day, mode: "learn" }));
   }
 
-  function stopSpeaking() {
-    if (!ttsSupported) return;
+  // one item `{ text, audio? }`: recordings when there are any, else the chosen synthesizer
+  function playItem(item, onBoundary) {
+    const provider = item.audio && useRecordings ? recordingProvider : synth;
+    setAudioError("");
+    const handle = provider.speak(item, {
+      voice: selectedVoice,
+      rate,
+      pitch,
+      onBoundary: provider.capabilities.boundaries ? onBoundary : undefined,
+      onError: (err) => setAudioError(t(err.key, err.params)),
+    });
+    playbackRef.current = handle;
+    return handle.done;
+  }
 
-    // invalidate current speaking chain
-    stopTokenRef.current += 1;
+  // texts: strings or `{ text, audio }` items
+  function speakTextsAsQueue(texts) {
+    // stop anything currently playing
+    stopSpeaking();
 
-    utterQueueRef.current = [];
-    currentUtterRef.current = null;
-    setIsSpeaking(false);
+    const queue = (texts || [])
+      .map((t) => (typeof t === "string" ? { text: t } : t))
+      .filter((item) => (item.audio && useRecordings) || (ttsSupported && String(item.text || "").trim()));
+    if (!queue.length) return;
 
-    try {
-      // cancel now + again shortly (Safari sometimes needs the second)
-      window.speechSynthesis.cancel();
-      setTimeout(() => {
-        try {
-          window.speechSynthesis.cancel();
-        } catch {}
-      }, 50);
-    } catch {}
+    // own token for this run
+    const myToken = ++stopTokenRef.current;
+
+    const speakNext = (i) => {
+      // if someone pressed stop meanwhile, abort
+      if (stopTokenRef.current !== myToken || i >= queue.length) return;
+      playItem(queue[i]).then(() => speakNext(i + 1));
+    };
+
+    speakNext(0);
   }
 
-  function speakTextsAsQueue(texts) {
-    if (!ttsSupported) return;
+  function startPreview(plan) {
+    stopSpeaking();
+    setPreview({ plan, startedAt: Date.now() });
+    applySession("preview", emptySession()); // never equals safeDay, so nothing is saved
+    setMode("learn");
+  }
 
-    // stop anything currently playing
+  function endPreview() {
     stopSpeaking();
+    setPreview(null);
+    applySession(safeDay, loadSession(safeDay));
+    setMode("author");
+  }
 
-    const queue = (texts || []).filter((t) => String(t || "").trim().length > 0);
-    if (!queue.length) return;
+  function newVocabQuestionSet() {
+    setVocabAttempt((a) => a + 1);
+    setVocabLang(null); // the new set follows the current language
+    setVocabChosen({});
+  }
 
-    // capture a token for this run
-    const myToken = stopTokenRef.current;
+  function startFreshAttempt() {
+    if (!confirm(t("quiz.freshConfirm", { day: safeDay }))) return;
+    stopSpeaking();
+    clearSession(safeDay);
+    applySession(safeDay, emptySession());
+  }
 
-    utterQueueRef.current = queue;
+  function setPrefs(prefs) {
+    setProfiles((s) => updatePrefs(s, s.activeId, prefs));
+  }
 
-    const speakNext = () => {
-      // if someone pressed stop meanwhile, abort
-      if (stopTokenRef.current !== myToken) return;
+  // reload every store from the other profile's keys
+  function switchProfile(nextProfiles) {
+    const nextProfile = activeProfile(nextProfiles);
+    const nextPack = findPack(packs, nextProfile.prefs.packId);
+    stopSpeaking();
+    setPreview(null);
+    setActiveProfile(nextProfiles.activeId);
+    setActivePack(nextPack.id);
+    setProfiles(nextProfiles);
+    reloadStores(nextPack, resolvePolicy(nextProfile.prefs.unlockPolicy, nextPack.unlockPolicy));
+  }
 
-      const next = utterQueueRef.current.shift();
-      if (!next) {
-        setIsSpeaking(false);
-        currentUtterRef.current = null;
-        return;
-      }
+  function switchPack(id, nextPack = findPack(packs, id)) {
+    stopSpeaking();
+    setPreview(null);
+    setActivePack(id);
+    setProfiles((s) => updatePrefs(s, s.activeId, { packId: id }));
+    reloadStores(nextPack, resolvePolicy(profile.prefs.unlockPolicy, nextPack.unlockPolicy));
+  }
+
+  // throws (user-facing message) when the id belongs to a bundled pack
+  function addPack(next) {
+    setInstalledPacks(installPack(installedPacks, next));
+    switchPack(next.id, next);
+  }
+
+  function removePack(id) {
+    removePackData(id);
+    setInstalledPacks((list) => uninstallPack(list, id));
+    if (pack.id === id) switchPack(DEFAULT_PACK_ID);
+  }
+
+  // after a profile or course pack switch: every store reads its data under the new keys
+  function reloadStores(nextPack, policy) {
+    const p = loadProgress();
+    const s = loadSrs();
+    const h = loadHistory();
+    const overrides = loadPlanOverrides();
+    setProgress(p);
+    setSrs(s);
+    setHistory(h);
+    setMistakes(loadMistakes());
+    setPlanOverrides(overrides);
+    setBackupMessage(null);
+    const ctx = unlockContext(mergeDayPlans(nextPack.days, overrides), h, s);
+    const day = Math.min(p.currentDay, unlockedThrough(policy, p, ctx));
+    applySession(day, loadSession(day));
+  }
+
+  function exportProgress() {
+    const data = buildExport({ pack: pack.id, progress, srs, history, mistakes, sessions: loadAllSessions() });
+    const name = pack.id === DEFAULT_PACK_ID ? "a2-progress" : `${pack.id}-progress`;
+    downloadJson(`${name}-${data.exportedAt.slice(0, 10)}.json`, data);
+    setBackupMessage({ ok: true, text: t("backup.exported") });
+  }
 
-      const u = new SpeechSynthesisUtterance(next);
-
-      if (selectedVoice) u.voice = selectedVoice;
-      u.lang = selectedVoice?.lang || "de-DE";
-      u.rate = Math.max(0.6, Math.min(1.4, Number(rate) || 1));
-      u.pitch = Math.max(0.6, Math.min(1.4, Number(pitch) || 1));
-
-      u.onstart = () => {
-        if (stopTokenRef.current !== myToken) return;
-        setIsSpeaking(true);
-      };
-
-      u.onend = () => {
-        if (stopTokenRef.current !== myToken) return;
-        speakNext();
-      };
-
-      u.onerror = () => {
-        if (stopTokenRef.current !== myToken) return;
-        speakNext();
-      };
-
-      currentUtterRef.current = u;
-
-      try {
-        // Some browsers need this “kick” if synthesis is paused
-        if (window.speechSynthesis.paused) window.speechSynthesis.resume();
-        window.speechSynthesis.speak(u);
-      } catch {
-        // fail gracefully: try next
-        speakNext();
+  async function importProgress(file) {
+    if (!file) return;
+    try {
+      const incoming = parseImport(await file.text());
+      if (incoming.pack !== pack.id) {
+        const title = packs.find((p) => p.id === incoming.pack)?.title || incoming.pack;
+        throw new Error(t("backup.otherCourse", { title }));
       }
-    };
+      const merged = mergeProgressData(
+        { progress, srs, history, mistakes, sessions: loadAllSessions() },
+        incoming
+      );
+      const newAttempts = merged.history.length - history.length;
+
+      stopSpeaking();
+      saveAllSessions(merged.sessions);
+      setSrs(merged.srs);
+      setHistory(merged.history);
+      setMistakes(merged.mistakes);
+      setProgress(merged.progress);
+      applySession(safeDay, loadSession(safeDay));
+      setBackupMessage({
+        ok: true,
+        text: t("backup.imported", { day: merged.progress.maxUnlockedDay, count: newAttempts }),
+      });
+    } catch (e) {
+      setBackupMessage({ ok: false, text: t("backup.importFailed", { message: errorText(e, t) }) });
+    }
+  }
 
-    speakNext();
+  function noteAnswer(section, prompt, choices, answer, chosen, context) {
+    if (chosen === answer || preview) return;
+    setMistakes((m) => recordMistake(m, { day: safeDay, section, prompt, choices, answer, context }, chosen));
   }
 
-  function speakAllListening() {
-    const texts = [];
-    listeningSegments.forEach((seg) => {
-      const rep = Math.max(1, Number(seg.repeat || 1));
-      for (let r = 0; r < rep; r++) texts.push(seg.text);
-    });
-    speakTextsAsQueue(texts);
+  // `number`: position on screen, as the learner counts the questions
+  function announceAnswer(section, number, correct, answer) {
+    const params = { section: t(`quiz.${section}`), number, answer };
+    setAnnouncement(t(correct ? "a11y.answerCorrect" : "a11y.answerWrong", params));
   }
 
-  function speakOneSegment(segIndex) {
-    const seg = listeningSegments[segIndex];
-    if (!seg) return;
-    const rep = Math.max(1, Number(seg.repeat || 1));
-    const texts = [];
-    for (let r = 0; r < rep; r++) texts.push(seg.text);
-    speakTextsAsQueue(texts);
+  function answerVocab(i, number, chosen) {
+    const q = vocabQuiz[i];
+    setVocabChosen((prev) => ({ ...prev, [i]: chosen }));
+    setVocabLang(quizLang);
+    noteAnswer("vocab", q.word, q.choices, q.answer, chosen);
+    announceAnswer("vocab", number, chosen === q.answer, q.answer);
   }
 
-  function evaluateOutput() {
-    const rules = dayPlan.outputRules;
-    const t = outputText || "";
+  function answerListening(item, number, chosen) {
+    const q = item.q;
+    setListeningChosen((prev) => ({ ...prev, [item.key]: chosen }));
+    noteAnswer("listening", q.q, q.choices, q.a, chosen, listeningSegments[item.segIndex]?.text);
+    announceAnswer("listening", number, chosen === q.a, q.a);
+  }
 
-    const charCount = t.trim().length;
-    const sentences = countSentences(t);
+  function answerGrammar(i, response) {
+    const q = dayPlan.grammar.quiz[i];
+    setGrammarChosen((prev) => ({ ...prev, [i]: response }));
+    announceAnswer("grammar", grammarOrder.indexOf(i) + 1, isCorrect(q, response), answerText(q));
+    mistakeCards(q, response).forEach((m) => noteAnswer("grammar", m.prompt, m.choices, m.answer, m.chosen));
+  }
 
-    const hasAnyKeywords = includesAny(t, rules.mustIncludeAny || []);
-    const patternChecks = testRegexAll(t, rules.mustIncludeAllPatterns || []);
-    const patternsOk = patternChecks.every(Boolean);
+  function drillMistake(id, chosen) {
+    setMistakes((m) => answerMistake(m, id, chosen));
+  }
 
-    const todaysVocabList = (dayPlan.vocab_list || []).map((x) => x.de);
-    const vocabUsedCount = countVocabUsed(t, todaysVocabList);
+  function gradeReviewCard(id, quality) {
+    const next = { ...srs, [id]: schedule(srs[id], quality) };
+    setSrs(next);
+    setProgress((p) => settleReviews(unlockPolicy, p, next)); // "reviews" policy: may open the next day
+  }
 
-    const report = {
-      charCount,
-      minChars: dayPlan.passRules.minOutputChars,
-      charsOk: charCount >= dayPlan.passRules.minOutputChars,
+  // never takes away days already unlocked
+  function applyPlacement(r) {
+    stopSpeaking();
+    setProgress((p) => ({
+      ...p,
+      maxUnlockedDay: Math.max(p.maxUnlockedDay, r.startDay),
+      currentDay: r.startDay,
+      mode: "learn",
+    }));
+  }
 
-      sentences,
-      minSentences: rules.minSentences,
-      sentencesOk: sentences >= rules.minSentences,
+  function passTestOut(block) {
+    setProgress((p) => ({ ...earnUnlock(unlockPolicy, p, block.to + 1, srs), currentDay: block.to + 1, mode: "learn" }));
+  }
 
-      mustIncludeAny: rules.mustIncludeAny || [],
-      keywordOk: (rules.mustIncludeAny || []).length === 0 ? true : hasAnyKeywords,
+  function checkDictation(segIndex, result) {
+    setDictation((d) => ({ ...d, [segIndex]: [...(d[segIndex] || []), result] }));
+  }
 
-      mustIncludeAllPatterns: rules.mustIncludeAllPatterns || [],
-      patternChecks,
-      patternsOk,
+  function resetDictation(segIndex) {
+    setDictation((d) => {
+      const rest = { ...d };
+      delete rest[segIndex];
+      return rest;
+    });
+  }
 
-      vocabUsedCount,
-      mustUseVocabAtLeast: rules.mustUseVocabAtLeast,
-      vocabOk: vocabUsedCount >= rules.mustUseVocabAtLeast,
-    };
+  function changePlayerOpts(patch) {
+    playerOptsRef.current = { ...playerOptsRef.current, ...patch };
+    setPlayerOpts(playerOptsRef.current);
+  }
+
+  // user action (play / resume / prev / next): interrupts whatever is speaking
+  function playSentence(items, index) {
+    if (!items[index]) return;
+    stopSpeaking();
+    speakSentence(items, index, ++stopTokenRef.current);
+  }
+
+  function speakSentence(items, index, myToken) {
+    const item = items[index];
+    setPlayer({ day: safeDay, items, index, paused: false });
+    setSpokenWord(null);
+
+    playItem(item, (charIndex, charLength) => {
+      if (stopTokenRef.current === myToken) setSpokenWord(wordRange(item.text, charIndex, charLength));
+    }).then(() => {
+      if (stopTokenRef.current !== myToken) return;
+      playbackRef.current = null; // in the gap there is nothing to pause
+      setSpokenWord(null);
+
+      const { loop, gapMs } = playerOptsRef.current;
+      const next = loop ? index : index + 1;
+      if (next >= items.length) {
+        setPlayer((p) => ({ ...p, paused: true }));
+        return;
+      }
+      playerTimerRef.current = setTimeout(() => {
+        if (stopTokenRef.current === myToken) speakSentence(items, next, myToken);
+      }, gapMs);
+    });
+  }
+
+  // pauses mid-sentence (`held`: Resume continues where it stopped); in the gap between sentences
+  // it stops, and Resume starts the current sentence again
+  function pausePlayer() {
+    const handle = playbackRef.current;
+    if (!handle?.pause) {
+      stopSpeaking();
+      return;
+    }
+    handle.pause();
+    setPlayer((p) => (p ? { ...p, paused: true, held: true } : p));
+  }
+
+  function resumePlayer() {
+    const handle = playbackRef.current;
+    if (!player?.held || !handle?.resume) {
+      playSentence(player.items, player.index);
+      return;
+    }
+    handle.resume();
+    setPlayer((p) => ({ ...p, paused: false, held: false }));
+  }
+
+  function stopPlayer() {
+    stopSpeaking();
+    setPlayer(null);
+  }
 
+  function speakOneSegment(segIndex) {
+    playSentence(sentenceItems.filter((item) => item.segIndex === segIndex), 0);
+  }
+
+  function evaluateOutput() {
+    const report = buildOutputReport(dayPlan, outputText);
     setOutputReport(report);
+    setAnnouncement(t(outputPassed(report) ? "result.outputPassed" : "result.outputFailed"));
+    return outputPassed(report);
+  }
 
-    return (
-      report.charsOk &&
-      report.sentencesOk &&
-      report.keywordOk &&
-      report.patternsOk &&
-      report.vocabOk
-    );
+  // 1–9 answer, J / K move between questions, Space plays or stops the listening audio
+  function handleShortcut(e) {
+    if (!isShortcutTarget(e)) return;
+    const key = e.key.toLowerCase();
+    const audioPage = listeningAudioOk && !dayPlan.examMode && (mode === "learn" || mode === "quiz");
+    let handled = false;
+    if (key === "j" || key === "k") handled = moveQuestion(key === "j" ? 1 : -1);
+    else if (/^[1-9]$/.test(key)) handled = pickChoice(Number(key));
+    else if (key === " " && audioPage && spaceIsFree(e)) {
+      const mine = player?.day === safeDay ? player : null;
+      if (!mine) playSentence(sentenceItems, 0);
+      else if (mine.paused) resumePlayer();
+      else pausePlayer();
+      handled = true;
+    }
+    if (handled) e.preventDefault();
   }
 
   function checkPassAndUnlock() {
-    const vocabScore = dayPlan.vocab_quiz?.length ? vocabCorrect / dayPlan.vocab_quiz.length : 1;
+    const vocabScore = vocabQuiz.length ? vocabCorrect / vocabQuiz.length : 1;
     const grammarScore = dayPlan.grammar?.quiz?.length ? grammarCorrect / dayPlan.grammar.quiz.length : 1;
-    const listeningScore = listeningQuizFlat.length ? listeningCorrect / listeningQuizFlat.length : 1;
+    // only finished segments count; a half-done dictation is not a score yet
+    const dictationScores = {};
+    listeningSegments.forEach((seg, segIndex) => {
+      const results = dictation[segIndex] || [];
+      if (results.length >= splitSentences(seg.text).length) dictationScores[segIndex] = dictationAccuracy(results);
+    });
+    const listeningItems =
+      listeningQuizFlat.length + (dayPlan.passRules.dictationCountsTowardListening ? listeningSegments.length : 0);
+    const listeningPoints =
+      listeningCorrect +
+      (dayPlan.passRules.dictationCountsTowardListening
+        ? Object.values(dictationScores).reduce((sum, x) => sum + x, 0)
+        : 0);
+    const listeningScore = listeningItems ? listeningPoints / listeningItems : 1;
 
     const outputOk = evaluateOutput();
 
@@ -381,22 +914,123 @@ export default function App() {
       outputOk;
 
     setResult({ vocabScore, grammarScore, listeningScore, outputOk, passed });
+    const percent = (score) => (score * 100).toFixed(0);
+    setAnnouncement(
+      [
+        t(passed ? "result.passed" : "result.notPassed"),
+        t("result.vocab", { percent: percent(vocabScore) }),
+        t("result.grammar", { percent: percent(grammarScore) }),
+        t(dayPlan.passRules.dictationCountsTowardListening ? "result.listeningWithDictation" : "result.listening", {
+          percent: percent(listeningScore),
+        }),
+        t(outputOk ? "result.outputPassed" : "result.outputFailed"),
+      ].join(". ")
+    );
+    if (preview) return; // shows the result, but a draft never counts as an attempt
+
+    const attempt = createAttempt({
+      dayPlan,
+      scores: { vocab: vocabScore, grammar: grammarScore, listening: listeningScore },
+      outputOk,
+      passed,
+      missed: {
+        vocab: collectMissed(vocabQuiz, vocabChosen, { promptOf: (q) => q.word, answerOf: (q) => q.answer }),
+        grammar: collectMissed(dayPlan.grammar.quiz, responsesAsText(dayPlan.grammar.quiz, grammarChosen), {
+          promptOf: (q) => q.q,
+          answerOf: answerText,
+        }),
+        listening: collectMissed(listeningQuizFlat, listeningChosen, {
+          keyOf: (item) => item.key,
+          promptOf: (item) => item.q.q,
+          answerOf: (item) => item.q.a,
+        }),
+      },
+      dictation: dictationScores,
+      seed: attemptSeed,
+      text: outputText,
+      startedAt: dayStartedAtRef.current,
+    });
+    setHistory((h) => addAttempt(h, attempt));
+    dayStartedAtRef.current = attempt.at;
 
     if (passed) {
+      // moves on only when the policy opens the next day now (not so with pending reviews)
       const nextDay = safeDay + 1;
-      setProgress((p) => ({
-        ...p,
-        maxUnlockedDay: Math.max(p.maxUnlockedDay, nextDay),
-        currentDay: nextDay,
-        mode: "learn",
-      }));
+      setProgress((p) => {
+        const next = earnUnlock(unlockPolicy, p, nextDay, srs);
+        return nextDay <= unlockedThrough(unlockPolicy, next, unlockCtx)
+          ? { ...next, currentDay: nextDay, mode: "learn" }
+          : next;
+      });
     }
   }
 
+  function finishExam(r) {
+    if (preview) return;
+    const questions = [
+      ...exam.content.lesen.questions,
+      ...exam.content.hoeren.segments.flatMap((seg) => seg.questions),
+    ];
+    const ofSection = (section) => questions.filter((q) => q.section === section);
+    const ratio = (qs) => (qs.length ? qs.filter((q) => r.answers[q.key] === q.answer).length / qs.length : 1);
+    const missedOf = (qs) =>
+      collectMissed(qs, r.answers, { keyOf: (q) => q.key, promptOf: (q) => q.prompt, answerOf: (q) => q.answer });
+
+    questions.forEach((q) => {
+      const chosen = r.answers[q.key];
+      if (chosen !== undefined) noteAnswer(q.section, q.prompt, q.choices, q.answer, chosen, q.context);
+    });
+
+    const attempt = createAttempt({
+      dayPlan,
+      scores: {
+        vocab: ratio(ofSection("vocab")),
+        grammar: ratio(ofSection("grammar")),
+        listening: ratio(ofSection("listening")),
+      },
+      outputOk: outputPassed(r.writingReport),
+      passed: r.passed,
+      missed: {
+        vocab: missedOf(ofSection("vocab")),
+        grammar: missedOf(ofSection("grammar")),
+        listening: missedOf(ofSection("listening")),
+      },
+      exam: { total: r.total, max: r.max, grade: r.grade, sections: r.sections },
+      seed: attemptSeed,
+      text: r.writing,
+      startedAt: dayStartedAtRef.current,
+      now: r.at,
+    });
+    setHistory((h) => addAttempt(h, attempt));
+    dayStartedAtRef.current = attempt.at;
+
+    // stay on the result page; the next day is simply unlocked
+    if (r.passed) setProgress((p) => earnUnlock(unlockPolicy, p, safeDay + 1, srs));
+  }
+
   const showTranscript = Object.keys(listeningChosen).length > 0;
 
+  const listeningPlayer = (
+    <SentencePlayer
+      items={sentenceItems}
+      segments={listeningSegments}
+      player={player?.day === safeDay ? player : null}
+      opts={playerOpts}
+      spokenWord={spokenWord}
+      showText={mode !== "quiz" || showTranscript}
+      onPlay={playSentence}
+      onPause={pausePlayer}
+      onResume={resumePlayer}
+      onStop={stopPlayer}
+      onOptsChange={changePlayerOpts}
+      t={t}
+    />
+  );
+
   return (
     <div style={{ maxWidth: 860, margin: "30px auto", fontFamily: "sans-serif" }}>
+      <Announcer message={announcement} />
+
       {/* TOP BAR */}
       <div
         style={{
@@ -413,10 +1047,53 @@ export default function App() {
       >
         <div>
           <div style={{ fontSize: 20, fontWeight: 800 }}>
-            Day {safeDay}: {dayPlan.topic}
+            {t("top.day", { day: dayPlan.day, topic: dayPlan.topic })}
           </div>
+          {!online && <div style={{ fontSize: 13, color: "khaki" }}>📴 {t("top.offline")}</div>}
           <div style={{ opacity: 0.8 }}>
-            Unlocked up to Day <b>{progress.maxUnlockedDay}</b>
+            {t("top.unlockedUpTo", { day: Math.min(unlockedDay, unlockCtx.lastDay) })}
+            {unlockPolicy.type !== "linear" && ` · ${t(`policy.${unlockPolicy.type}`)}`}
+          </div>
+          <ProfileSwitcher
+            profiles={profiles}
+            onSwitch={(id) => switchProfile({ ...profiles, activeId: id })}
+            onCreate={(name, pin) => {
+              const created = createProfile(profiles, name, pin);
+              switchProfile({ ...created.state, activeId: created.profile.id });
+            }}
+            onRename={(name) => setProfiles((s) => renameProfile(s, s.activeId, name))}
+            onSetPin={(pin) => setProfiles((s) => setProfilePin(s, s.activeId, pin))}
+            onDelete={() => switchProfile(deleteProfile(profiles, profiles.activeId))}
+            t={t}
+          />
+          <CoursePackPicker
+            packs={packs}
+            activeId={pack.id}
+            onSwitch={switchPack}
+            onInstall={addPack}
+            onRemove={removePack}
+            t={t}
+          />
+          <UnlockPolicyPicker
+            profilePolicy={profile.prefs.unlockPolicy}
+            packPolicy={pack.unlockPolicy}
+            onChange={(policy) => setPrefs({ unlockPolicy: policy })}
+            t={t}
+          />
+          <div style={{ display: "flex", gap: 6, flexWrap: "wrap", alignItems: "center", marginTop: 8 }}>
+            <span style={{ fontSize: 13, opacity: 0.8 }}>🌐 {t("locale.label")}</span>
+            <select
+              value={profile.prefs.locale || ""}
+              onChange={(e) => setPrefs({ locale: e.target.value || null })}
+              style={{ padding: 6, borderRadius: 8 }}
+            >
+              <option value="">{t("locale.auto", { label: detectLocale(navigator.languages).label })}</option>
+              {LOCALES.map((l) => (
+                <option key={l.id} value={l.id} lang={l.id}>
+                  {l.label}
+                </option>
+              ))}
+            </select>
           </div>
         </div>
 
@@ -430,7 +1107,7 @@ export default function App() {
               opacity: mode === "learn" ? 1 : 0.7,
             }}
           >
-            📖 Learn
+            📖 {t("nav.learn")}
           </button>
           <button
             onClick={() => setMode("quiz")}
@@ -441,65 +1118,208 @@ export default function App() {
               opacity: mode === "quiz" ? 1 : 0.7,
             }}
           >
-            ✅ Quiz
+            {dayPlan.examMode ? `📝 ${t("nav.exam")}` : `✅ ${t("nav.quiz")}`}
+          </button>
+          <button
+            onClick={() => setMode("review")}
+            style={{
+              padding: "8px 12px",
+              borderRadius: 12,
+              fontWeight: 700,
+              opacity: mode === "review" ? 1 : 0.7,
+            }}
+          >
+            🔁 {t("nav.review", { count: reviewCounts.session })}
+          </button>
+          <button
+            onClick={() => setMode("mistakes")}
+            style={{
+              padding: "8px 12px",
+              borderRadius: 12,
+              fontWeight: 700,
+              opacity: mode === "mistakes" ? 1 : 0.7,
+            }}
+          >
+            📒 {t("nav.mistakes", { count: Object.keys(mistakes).length })}
+          </button>
+          <button
+            onClick={() => setMode("speaking")}
+            style={{
+              padding: "8px 12px",
+              borderRadius: 12,
+              fontWeight: 700,
+              opacity: mode === "speaking" ? 1 : 0.7,
+            }}
+          >
+            🎤 {t("nav.speak")}
+          </button>
+          <button
+            onClick={() => setMode("stats")}
+            style={{
+              padding: "8px 12px",
+              borderRadius: 12,
+              fontWeight: 700,
+              opacity: mode === "stats" ? 1 : 0.7,
+            }}
+          >
+            📊 {t("nav.stats")}
+          </button>
+          <button
+            onClick={() => setMode("author")}
+            style={{
+              padding: "8px 12px",
+              borderRadius: 12,
+              fontWeight: 700,
+              opacity: 0.7,
+            }}
+          >
+            ✏️ {t("nav.author")}
           </button>
         </div>
       </div>
 
+      {applyUpdate && (
+        <div style={{ padding: 12, border: "1px solid lightgreen", borderRadius: 12, marginBottom: 18 }}>
+          ⬆ {t("update.ready")}{" "}
+          <button onClick={applyUpdate} style={{ padding: "6px 10px", borderRadius: 10, fontWeight: 700 }}>
+            {t("update.now")}
+          </button>{" "}
+          <span style={{ fontSize: 13, opacity: 0.8 }}>{t("update.note")}</span>
+        </div>
+      )}
+
+      {routeNotice && (
+        <div style={{ padding: 12, border: "1px solid salmon", borderRadius: 12, marginBottom: 18 }}>
+          🔒 {routeNotice}{" "}
+          <button
+            onClick={() => setRouteNotice(null)}
+            aria-label={t("notice.close")}
+            style={{ padding: "4px 8px", borderRadius: 8 }}
+          >
+            ✕
+          </button>
+        </div>
+      )}
+
+      {preview && (
+        <div style={{ padding: 12, border: "1px solid khaki", borderRadius: 12, marginBottom: 18 }}>
+          👁 <b>{t("preview.title", { day: dayPlan.day })}</b> — {t("preview.note")}{" "}
+          <button onClick={endPreview} style={{ padding: "6px 10px", borderRadius: 10 }}>
+            ✏️ {t("preview.back")}
+          </button>
+        </div>
+      )}
+
       {/* TTS SETTINGS */}
       <div style={{ padding: 12, border: "1px solid #444", borderRadius: 12, marginBottom: 18 }}>
-        <b>🔊 TTS Settings</b>
+        <b>🔊 {t("tts.title")}</b>
+        <div style={{ display: "flex", gap: 12, flexWrap: "wrap", alignItems: "center", marginTop: 10 }}>
+          <label style={{ fontSize: 13 }}>
+            {t("tts.engine")}{" "}
+            <select
+              value={ttsBackend}
+              onChange={(e) => {
+                stopSpeaking();
+                setPrefs({ ttsBackend: e.target.value });
+              }}
+              style={{ padding: 6, borderRadius: 8 }}
+            >
+              <option value="webspeech">{t("tts.webSpeech")}</option>
+              <option value="server">{t("tts.server")}</option>
+            </select>
+          </label>
+          {ttsBackend === "server" && (
+            <input
+              value={ttsServerUrl}
+              placeholder={DEFAULT_SERVER_URL}
+              onChange={(e) => setPrefs({ ttsServerUrl: e.target.value })}
+              title={t("tts.serverUrlHint")}
+              style={{ flex: 1, minWidth: 260, padding: 6, borderRadius: 8 }}
+            />
+          )}
+          <label style={{ fontSize: 13 }}>
+            <input
+              type="checkbox"
+              checked={useRecordings}
+              onChange={(e) => setPrefs({ useRecordings: e.target.checked })}
+            />{" "}
+            {t("tts.useRecordings")}
+          </label>
+        </div>
+
         {!ttsSupported ? (
           <div style={{ color: "salmon", marginTop: 8 }}>
-            Text-to-speech not supported in this browser.
+            {t("tts.unsupported")}
           </div>
         ) : (
           <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: 10, marginTop: 10 }}>
-            <div>
-              <div style={{ fontSize: 12, opacity: 0.8 }}>Voice</div>
-              <select
-                value={voiceURI}
-                onChange={(e) => {
-                  stopSpeaking();
-                  setVoiceURI(e.target.value);
-                }}
-                style={{ width: "100%", padding: 8, borderRadius: 10 }}
-              >
-                {voices.map((v) => (
-                  <option key={v.voiceURI} value={v.voiceURI}>
-                    {v.name} ({v.lang})
-                  </option>
-                ))}
-              </select>
-            </div>
+            {ttsBackend === "webspeech" && (
+              <div>
+                <div style={{ fontSize: 12, opacity: 0.8 }}>{t("tts.voice")}</div>
+                <select
+                  value={selectedVoice?.voiceURI || ""}
+                  onChange={(e) => {
+                    stopSpeaking();
+                    setPrefs({ voiceURI: e.target.value });
+                  }}
+                  style={{ width: "100%", padding: 8, borderRadius: 10 }}
+                >
+                  {voices.map((v) => (
+                    <option key={v.voiceURI} value={v.voiceURI}>
+                      {v.name} ({v.lang})
+                    </option>
+                  ))}
+                </select>
+                {voices.length > 0 && !voices.some((v) => (v.lang || "").toLowerCase().startsWith("de")) && (
+                  <div style={{ fontSize: 12, color: "salmon", marginTop: 4 }}>
+                    {t("tts.noGermanVoice")}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {ttsBackend === "server" && synth.capabilities.voices && (
+              <div>
+                <div style={{ fontSize: 12, opacity: 0.8 }}>{t("tts.serverVoice")}</div>
+                <input
+                  value={serverVoice}
+                  placeholder="de_DE-thorsten-medium"
+                  onChange={(e) => setPrefs({ serverVoice: e.target.value })}
+                  style={{ width: "100%", padding: 8, borderRadius: 10 }}
+                />
+              </div>
+            )}
 
             <div>
-              <div style={{ fontSize: 12, opacity: 0.8 }}>Rate: {Number(rate).toFixed(2)}</div>
+              <div style={{ fontSize: 12, opacity: 0.8 }}>{t("tts.rate", { value: Number(rate).toFixed(2) })}</div>
               <input
                 type="range"
                 min="0.6"
                 max="1.4"
                 step="0.05"
                 value={rate}
-                onChange={(e) => setRate(e.target.value)}
+                onChange={(e) => setPrefs({ rate: Number(e.target.value) })}
                 style={{ width: "100%" }}
               />
             </div>
 
-            <div>
-              <div style={{ fontSize: 12, opacity: 0.8 }}>Pitch: {Number(pitch).toFixed(2)}</div>
-              <input
-                type="range"
-                min="0.6"
-                max="1.4"
-                step="0.05"
-                value={pitch}
-                onChange={(e) => setPitch(e.target.value)}
-                style={{ width: "100%" }}
-              />
-            </div>
+            {synth.capabilities.pitch && (
+              <div>
+                <div style={{ fontSize: 12, opacity: 0.8 }}>{t("tts.pitch", { value: Number(pitch).toFixed(2) })}</div>
+                <input
+                  type="range"
+                  min="0.6"
+                  max="1.4"
+                  step="0.05"
+                  value={pitch}
+                  onChange={(e) => setPrefs({ pitch: Number(e.target.value) })}
+                  style={{ width: "100%" }}
+                />
+              </div>
+            )}
           </div>
         )}
+        {audioError && <div style={{ color: "salmon", marginTop: 8 }}>{audioError}</div>}
       </div>
 
       {/* DAY NAV */}
@@ -509,90 +1329,174 @@ export default function App() {
           disabled={safeDay <= 1}
           style={{ padding: "8px 12px", borderRadius: 12 }}
         >
-          ← Previous
+          {locale.dir === "rtl" ? "→" : "←"} {t("dayNav.previous")}
         </button>
 
         <button
           onClick={() => goToDay(safeDay + 1)}
-          disabled={safeDay + 1 > progress.maxUnlockedDay}
+          disabled={safeDay + 1 > unlockedDay}
+          title={safeDay + 1 > unlockedDay ? nextLockedReason : undefined}
           style={{ padding: "8px 12px", borderRadius: 12 }}
         >
-          Next →
+          {t("dayNav.next")} {locale.dir === "rtl" ? "←" : "→"}
         </button>
 
+        {testOut && !preview && (
+          <button
+            onClick={() => {
+              stopSpeaking();
+              setTestOutSeed((n) => n + 1);
+              setMode("testout");
+            }}
+            style={{ padding: "8px 12px", borderRadius: 12, opacity: mode === "testout" ? 1 : 0.8 }}
+          >
+            🎯 {t("dayNav.testOut", { from: testOut.from, to: testOut.to })}
+          </button>
+        )}
+
+        {!preview && (
+          <button
+            onClick={() => {
+              stopSpeaking();
+              setPlacementSeed(Date.now());
+              setMode("placement");
+            }}
+            style={{ padding: "8px 12px", borderRadius: 12, opacity: mode === "placement" ? 1 : 0.8 }}
+          >
+            🧭 {t("dayNav.placement")}
+          </button>
+        )}
+
         <button
           onClick={() => {
-            if (confirm("Reset progress back to Day 1?")) {
-              localStorage.removeItem(STORAGE_KEY);
-              setProgress({ currentDay: 1, maxUnlockedDay: 1, mode: "learn" });
+            if (confirm(t("dayNav.resetConfirm"))) {
+              clearProgress();
+              setSrs({});
+              clearAllSessions();
+              applySession(1, emptySession());
+              setProgress(defaultProgress());
             }
           }}
           style={{ padding: "8px 12px", borderRadius: 12, opacity: 0.8 }}
         >
-          Reset
+          {t("dayNav.reset")}
+        </button>
+
+        <button onClick={exportProgress} style={{ padding: "8px 12px", borderRadius: 12, opacity: 0.8 }}>
+          ⬇ {t("dayNav.export")}
+        </button>
+
+        <button
+          onClick={() => importInputRef.current?.click()}
+          style={{ padding: "8px 12px", borderRadius: 12, opacity: 0.8 }}
+        >
+          ⬆ {t("dayNav.import")}
         </button>
+        <input
+          ref={importInputRef}
+          type="file"
+          accept="application/json,.json"
+          style={{ display: "none" }}
+          onChange={(e) => {
+            importProgress(e.target.files?.[0]);
+            e.target.value = "";
+          }}
+        />
       </div>
 
+      {backupMessage && (
+        <p style={{ marginTop: -8, color: backupMessage.ok ? "lightgreen" : "salmon" }}>{backupMessage.text}</p>
+      )}
+
+      {/* ===================== PLACEMENT ===================== */}
+      {mode === "placement" && (
+        <PlacementTest
+          key={placementSeed}
+          plans={dayPlans}
+          seed={placementSeed}
+          maxUnlockedDay={progress.maxUnlockedDay}
+          canPlay={canPlaySegment}
+          onSpeak={speakTextsAsQueue}
+          onStop={stopSpeaking}
+          onApply={applyPlacement}
+          onClose={() => setMode("learn")}
+          t={t}
+        />
+      )}
+
+      {/* ===================== TEST-OUT ===================== */}
+      {mode === "testout" &&
+        (testOut ? (
+          <TestOut
+            key={`${testOut.from}:${testOutSeed}`}
+            block={testOut}
+            questions={testOutQuiz}
+            minScore={unlockPolicy.minScore}
+            onPass={() => passTestOut(testOut)}
+            onClose={() => setMode("learn")}
+            t={t}
+          />
+        ) : (
+          <p>
+            {t("testOut.none")} <button onClick={() => setMode("learn")}>📖 {t("testOut.back")}</button>
+          </p>
+        ))}
+
       {/* ===================== LEARN PAGE ===================== */}
       {mode === "learn" && (
         <>
-          <h2>📚 Vocabulary List ({dayPlan.vocab_list.length})</h2>
+          <h2 id="vocab">📚 {t("learn.vocabList", { count: dayPlan.vocab_list.length })}</h2>
           <div style={{ padding: 12, border: "1px solid #444", borderRadius: 12 }}>
             <div style={{ display: "flex", flexWrap: "wrap", gap: 10 }}>
               {dayPlan.vocab_list.map((v, idx) => (
-                <div
-                  key={idx}
-                  style={{ padding: "6px 10px", borderRadius: 10, border: "1px solid #333" }}
-                  title={v.en}
-                >
-                  <b>{v.de}</b> — <span style={{ opacity: 0.85 }}>{v.en}</span>
+                <div key={idx} style={{ padding: "6px 10px", borderRadius: 10, border: "1px solid #333" }}>
+                  <b lang="de" dir="ltr">
+                    {v.de}
+                  </b>
+                  {/* immersion: German only */}
+                  {locale.gloss && (
+                    <>
+                      {" "}
+                      — <span dir="auto" style={{ opacity: 0.85 }}>{glossOf(v, locale.gloss)}</span>
+                    </>
+                  )}
                 </div>
               ))}
             </div>
           </div>
 
-          <h2 style={{ marginTop: 18 }}>📗 Grammar</h2>
-          <p>
+          <h2 id="grammar" style={{ marginTop: 18 }}>📗 {t("learn.grammar")}</h2>
+          <p dir="auto">
             <b>{dayPlan.grammar.title}</b>
           </p>
 
           <div style={{ padding: 12, border: "1px solid #444", borderRadius: 12 }}>
             <p style={{ marginTop: 0, marginBottom: 8 }}>
-              <b>Rules</b>
+              <b>{t("learn.rules")}</b>
             </p>
-            <ol style={{ marginTop: 0 }}>
+            <ol dir="auto" style={{ marginTop: 0 }}>
               {dayPlan.grammar.rules.map((r, idx) => (
                 <li key={idx}>{r}</li>
               ))}
             </ol>
 
             <p style={{ marginBottom: 6, marginTop: 12 }}>
-              <b>Examples</b>
+              <b>{t("learn.examples")}</b>
             </p>
-            <ul style={{ marginTop: 0 }}>
+            <ul lang="de" dir="auto" style={{ marginTop: 0 }}>
               {dayPlan.grammar.examples.map((ex, idx) => (
                 <li key={idx}>{ex}</li>
               ))}
             </ul>
           </div>
 
-          <h2 style={{ marginTop: 18 }}>🎧 Listening Practice (≈10 minutes)</h2>
-          <p style={{ opacity: 0.85 }}>Structure: segments × repeats. Listen fully first, then go to Quiz.</p>
-
-          {ttsSupported ? (
-            <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginBottom: 10 }}>
-              {!isSpeaking ? (
-                <button onClick={speakAllListening} style={{ padding: "8px 12px", borderRadius: 10 }}>
-                  ▶ Play full listening
-                </button>
-              ) : (
-                <button onClick={stopSpeaking} style={{ padding: "8px 12px", borderRadius: 10 }}>
-                  ⏹ Stop
-                </button>
-              )}
-            </div>
+          <h2 id="listening" style={{ marginTop: 18 }}>🎧 {t("learn.listening")}</h2>
+          <p style={{ opacity: 0.85 }}>{t("learn.listeningStructure")}</p>
+
+          {listeningAudioOk ? (
+            listeningPlayer
           ) : (
-            <p style={{ color: "salmon" }}>Text-to-speech not supported.</p>
+            <p style={{ color: "salmon" }}>{t("listening.noAudio")}</p>
           )}
 
           <div style={{ display: "grid", gap: 10 }}>
@@ -600,20 +1504,20 @@ export default function App() {
               <div key={idx} style={{ padding: 12, border: "1px solid #444", borderRadius: 12 }}>
                 <div style={{ display: "flex", justifyContent: "space-between", gap: 10, flexWrap: "wrap" }}>
                   <div>
-                    <b>Segment {idx + 1}:</b> {seg.title}{" "}
-                    <span style={{ opacity: 0.7 }}>(repeat ×{seg.repeat || 1})</span>
+                    <b>{t("learn.segment", { number: idx + 1 })}</b> <span dir="auto">{seg.title}</span>{" "}
+                    <span style={{ opacity: 0.7 }}>{t("learn.repeat", { count: seg.repeat || 1 })}</span>
                   </div>
-                  {ttsSupported && (
+                  {canPlaySegment(seg) && (
                     <button
                       onClick={() => speakOneSegment(idx)}
                       style={{ padding: "6px 10px", borderRadius: 10 }}
                     >
-                      ▶ Play segment
+                      ▶ {t("learn.playSegment")}
                     </button>
                   )}
                 </div>
                 <div style={{ marginTop: 8, opacity: 0.85 }}>
-                  Transcript hidden here (appears in Quiz after you answer at least 1 question).
+                  {t("learn.transcriptHidden")}
                 </div>
               </div>
             ))}
@@ -621,54 +1525,145 @@ export default function App() {
 
           <div style={{ marginTop: 22 }}>
             <button onClick={() => setMode("quiz")} style={{ padding: "10px 14px", borderRadius: 12, fontWeight: 800 }}>
-              ✅ Start Quiz
+              ✅ {t("learn.startQuiz")}
             </button>
           </div>
         </>
       )}
 
+      {/* ===================== REVIEW PAGE ===================== */}
+      {mode === "review" && (
+        <ReviewMode
+          cards={reviewCards}
+          srs={srs}
+          meaningLang={meaningLang}
+          onGrade={gradeReviewCard}
+          ttsSupported={ttsSupported}
+          onSpeak={speakTextsAsQueue}
+          t={t}
+        />
+      )}
+
+      {/* ===================== MISTAKES PAGE ===================== */}
+      {mode === "mistakes" && (
+        <MistakeDrill
+          mistakes={mistakes}
+          onAnswer={drillMistake}
+          ttsSupported={ttsSupported}
+          onSpeak={speakTextsAsQueue}
+          t={t}
+        />
+      )}
+
+      {/* ===================== SPEAKING PAGE ===================== */}
+      {mode === "speaking" && (
+        <SpeakingPractice
+          key={viewKey}
+          sources={[
+            { id: "grammar", label: t("speaking.grammarExamples"), lines: dayPlan.grammar.examples },
+            { id: "listening", label: t("speaking.listeningSentences"), lines: listeningSentences },
+          ]}
+          recognizer={recognizer}
+          ttsSupported={ttsSupported}
+          onSpeak={speakTextsAsQueue}
+          t={t}
+        />
+      )}
+
+      {/* ===================== STATS PAGE ===================== */}
+      {mode === "stats" && <StatsView history={history} t={t} />}
+
       {/* ===================== QUIZ PAGE ===================== */}
-      {mode === "quiz" && (
+      {mode === "quiz" && dayPlan.examMode && (
+        <ExamMode
+          key={`${profile.id}:${viewKey}`}
+          dayPlan={dayPlan}
+          exam={exam}
+          attempt={examAttempt}
+          learnerName={profile.name}
+          recognizer={recognizer}
+          canPlay={canPlaySegment}
+          onSpeak={speakTextsAsQueue}
+          onStopSpeaking={stopSpeaking}
+          onAttempt={setExamAttempt}
+          onFinish={finishExam}
+          onRestart={startFreshAttempt}
+          t={t}
+        />
+      )}
+
+      {mode === "quiz" && !dayPlan.examMode && (
         <>
-          <h2>📘 Vocabulary Quiz</h2>
-          <p style={{ opacity: 0.85 }}>
-            Correct: {vocabCorrect} / {dayPlan.vocab_quiz.length}
-          </p>
+          <div style={{ display: "flex", gap: 10, alignItems: "center", flexWrap: "wrap" }}>
+            <button onClick={startFreshAttempt} style={{ padding: "6px 10px", borderRadius: 10 }}>
+              🧹 {t("quiz.freshAttempt")}
+            </button>
+            <span style={{ fontSize: 12, opacity: 0.7 }}>{t("quiz.savedNote")}</span>
+          </div>
+          <p style={{ fontSize: 12, opacity: 0.7 }}>⌨️ {t("a11y.shortcuts")}</p>
+
+          <h2 id="vocab">📘 {t("quiz.vocab")}</h2>
+          <p style={{ opacity: 0.85 }}>{t("quiz.correctCount", { correct: vocabCorrect, total: vocabQuiz.length })}</p>
+          {!vocabQuiz.length && <p style={{ opacity: 0.7 }}>{t("quiz.noVocab")}</p>}
+          {dayPlan.vocab_list.length > 0 && (
+            <div style={{ marginBottom: 10 }}>
+              <button onClick={newVocabQuestionSet} style={{ padding: "6px 10px", borderRadius: 10 }}>
+                🔄 {t("quiz.newSet")}
+              </button>
+              <span style={{ marginInlineStart: 8, fontSize: 12, opacity: 0.7 }}>
+                {vocabQuiz[0]?.generated
+                  ? t("quiz.generatedSet", { count: dayPlan.vocab_list.length, set: vocabAttempt + 1 })
+                  : t("quiz.handPicked")}
+              </span>
+            </div>
+          )}
 
-          {dayPlan.vocab_quiz.map((q, i) => {
+          {vocabOrder.map((i, idx) => {
+            const q = vocabQuiz[i];
             const chosen = vocabChosen[i];
             const locked = chosen !== undefined;
             const isCorrect = locked && chosen === q.answer;
+            const id = `quiz-vocab-${i}`;
 
             return (
-              <div key={i} style={{ marginBottom: 14, padding: 12, border: "1px solid #444", borderRadius: 12 }}>
-                <p style={{ marginTop: 0 }}>
-                  <b>{q.word}</b>
+              <div
+                key={i}
+                data-question
+                data-answered={locked || undefined}
+                tabIndex={-1}
+                role="group"
+                aria-labelledby={`${id}-prompt`}
+                style={{ marginBottom: 14, padding: 12, border: "1px solid #444", borderRadius: 12 }}
+              >
+                <p id={`${id}-prompt`} style={{ marginTop: 0 }}>
+                  <b dir="auto">{q.word}</b>
+                  {q.direction && (
+                    <span style={{ marginInlineStart: 8, fontSize: 12, opacity: 0.7 }}>
+                      {q.direction === "de-en" ? t("quiz.chooseMeaning") : t("quiz.chooseGerman")}
+                    </span>
+                  )}
                 </p>
-
-                <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
-                  {q.choices.map((c) => (
-                    <button
-                      key={c}
-                      disabled={locked}
-                      onClick={() => {
-                        setVocabChosen((prev) => ({ ...prev, [i]: c }));
-                        if (c === q.answer) setVocabCorrect((v) => v + 1);
-                      }}
-                      style={{ padding: "6px 10px", borderRadius: 10, opacity: locked ? 0.65 : 1 }}
-                    >
-                      {c}
-                    </button>
-                  ))}
-                </div>
+                {hintOf(q) && <p style={{ marginTop: -8, fontSize: 13, opacity: 0.7 }} dir="auto">{hintOf(q)}</p>}
+
+                <ChoiceGroup
+                  choices={shuffledChoices(q.choices, `${attemptSeed}:v${vocabAttempt}:${i}`)}
+                  chosen={chosen}
+                  answer={q.answer}
+                  locked={locked}
+                  revealed={locked}
+                  labelledBy={`${id}-prompt`}
+                  describedBy={locked ? `${id}-feedback` : undefined}
+                  onChoose={(c) => answerVocab(i, idx + 1, c)}
+                  t={t}
+                />
 
                 {locked && (
-                  <p style={{ marginBottom: 0, marginTop: 10 }}>
+                  <p id={`${id}-feedback`} style={{ marginBottom: 0, marginTop: 10 }}>
                     {isCorrect ? (
-                      <span style={{ color: "lightgreen" }}>✅ Correct</span>
+                      <span style={{ color: "lightgreen" }}>✅ {t("quiz.correct")}</span>
                     ) : (
                       <span style={{ color: "salmon" }}>
-                        ❌ Wrong — correct answer: <b>{q.answer}</b>
+                        ❌ {t("quiz.wrong")} <b dir="auto">{q.answer}</b>
                       </span>
                     )}
                   </p>
@@ -677,107 +1672,76 @@ export default function App() {
             );
           })}
 
-          <h2>📗 Grammar Quiz</h2>
+          <h2 id="grammar">📗 {t("quiz.grammar")}</h2>
           <p style={{ opacity: 0.85 }}>
-            Correct: {grammarCorrect} / {dayPlan.grammar.quiz.length}
+            {t("quiz.correctCount", { correct: grammarCorrect, total: dayPlan.grammar.quiz.length })}
           </p>
 
-          {dayPlan.grammar.quiz.map((q, i) => {
-            const chosen = grammarChosen[i];
-            const locked = chosen !== undefined;
-            const isCorrect = locked && chosen === q.a;
-
-            return (
-              <div key={i} style={{ marginBottom: 14, padding: 12, border: "1px solid #444", borderRadius: 12 }}>
-                <p style={{ marginTop: 0 }}>{q.q}</p>
-
-                <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
-                  {q.choices.map((c) => (
-                    <button
-                      key={c}
-                      disabled={locked}
-                      onClick={() => {
-                        setGrammarChosen((prev) => ({ ...prev, [i]: c }));
-                        if (c === q.a) setGrammarCorrect((g) => g + 1);
-                      }}
-                      style={{ padding: "6px 10px", borderRadius: 10, opacity: locked ? 0.65 : 1 }}
-                    >
-                      {c}
-                    </button>
-                  ))}
-                </div>
-
-                {locked && (
-                  <p style={{ marginBottom: 0, marginTop: 10 }}>
-                    {isCorrect ? (
-                      <span style={{ color: "lightgreen" }}>✅ Correct</span>
-                    ) : (
-                      <span style={{ color: "salmon" }}>
-                        ❌ Wrong — correct answer: <b>{q.a}</b>
-                      </span>
-                    )}
-                  </p>
-                )}
-              </div>
-            );
-          })}
-
-          <h2>🎧 Listening Quiz</h2>
+          {grammarOrder.map((i) => (
+            <GrammarItem
+              // a fresh attempt has a new seed, so tiles / gaps start empty again; answering keeps focus in place
+              key={`${viewKey}:${attemptSeed}:${i}`}
+              q={dayPlan.grammar.quiz[i]}
+              seed={`${attemptSeed}:grammar:${i}`}
+              hint={hintOf(dayPlan.grammar.quiz[i])}
+              t={t}
+              response={grammarChosen[i]}
+              onAnswer={(response) => answerGrammar(i, response)}
+            />
+          ))}
+
+          <h2 id="listening">🎧 {t("quiz.listening")}</h2>
           <p style={{ opacity: 0.85 }}>
-            Correct: {listeningCorrect} / {listeningQuizFlat.length}
+            {t("quiz.correctCount", { correct: listeningCorrect, total: listeningQuizFlat.length })}
           </p>
 
-          {ttsSupported ? (
-            <div style={{ display: "flex", gap: 10, flexWrap: "wrap", marginBottom: 10 }}>
-              {!isSpeaking ? (
-                <button onClick={speakAllListening} style={{ padding: "8px 12px", borderRadius: 10 }}>
-                  ▶ Play listening again
-                </button>
-              ) : (
-                <button onClick={stopSpeaking} style={{ padding: "8px 12px", borderRadius: 10 }}>
-                  ⏹ Stop
-                </button>
-              )}
-            </div>
+          {listeningAudioOk ? (
+            listeningPlayer
           ) : (
-            <p style={{ color: "salmon" }}>Text-to-speech not supported.</p>
+            <p style={{ color: "salmon" }}>{t("listening.noAudio")}</p>
           )}
 
-          {listeningQuizFlat.map((item, idx) => {
+          {listeningOrder.map((item, idx) => {
             const q = item.q;
             const chosen = listeningChosen[item.key];
             const locked = chosen !== undefined;
             const isCorrect = locked && chosen === q.a;
+            const id = `quiz-listening-${item.key}`;
 
             return (
-              <div key={item.key} style={{ marginBottom: 14, padding: 12, border: "1px solid #444", borderRadius: 12 }}>
-                <p style={{ marginTop: 0 }}>
-                  <b>Q{idx + 1}.</b> {q.q}
+              <div
+                key={item.key}
+                data-question
+                data-answered={locked || undefined}
+                tabIndex={-1}
+                role="group"
+                aria-labelledby={`${id}-prompt`}
+                style={{ marginBottom: 14, padding: 12, border: "1px solid #444", borderRadius: 12 }}
+              >
+                <p id={`${id}-prompt`} style={{ marginTop: 0 }}>
+                  <b>{t("quiz.questionNumber", { number: idx + 1 })}</b> <span dir="auto">{q.q}</span>
                 </p>
-
-                <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
-                  {q.choices.map((c) => (
-                    <button
-                      key={c}
-                      disabled={locked}
-                      onClick={() => {
-                        setListeningChosen((prev) => ({ ...prev, [item.key]: c }));
-                        if (c === q.a) setListeningCorrect((l) => l + 1);
-                      }}
-                      style={{ padding: "6px 10px", borderRadius: 10, opacity: locked ? 0.65 : 1 }}
-                    >
-                      {c}
-                    </button>
-                  ))}
-                </div>
+                {hintOf(q) && <p style={{ marginTop: -8, fontSize: 13, opacity: 0.7 }} dir="auto">{hintOf(q)}</p>}
+
+                <ChoiceGroup
+                  choices={shuffledChoices(q.choices, `${attemptSeed}:${item.key}`)}
+                  chosen={chosen}
+                  answer={q.a}
+                  locked={locked}
+                  revealed={locked}
+                  labelledBy={`${id}-prompt`}
+                  describedBy={locked ? `${id}-feedback` : undefined}
+                  onChoose={(c) => answerListening(item, idx + 1, c)}
+                  t={t}
+                />
 
                 {locked && (
-                  <p style={{ marginBottom: 0, marginTop: 10 }}>
+                  <p id={`${id}-feedback`} style={{ marginBottom: 0, marginTop: 10 }}>
                     {isCorrect ? (
-                      <span style={{ color: "lightgreen" }}>✅ Correct</span>
+                      <span style={{ color: "lightgreen" }}>✅ {t("quiz.correct")}</span>
                     ) : (
                       <span style={{ color: "salmon" }}>
-                        ❌ Wrong — correct answer: <b>{q.a}</b>
+                        ❌ {t("quiz.wrong")} <b dir="auto">{q.a}</b>
                       </span>
                     )}
                   </p>
@@ -786,80 +1750,136 @@ export default function App() {
             );
           })}
 
+          <Dictation
+            key={viewKey}
+            segments={listeningSegments}
+            dictation={dictation}
+            countsForListening={dayPlan.passRules.dictationCountsTowardListening}
+            onCheck={checkDictation}
+            onReset={resetDictation}
+            ttsSupported={ttsSupported}
+            onSpeak={speakTextsAsQueue}
+            t={t}
+          />
+
           <div style={{ marginTop: 10 }}>
-            <h3>📝 Transcript</h3>
+            <h3>📝 {t("quiz.transcript")}</h3>
             {!showTranscript ? (
-              <p style={{ opacity: 0.8 }}>Transcript appears after you answer at least 1 listening question.</p>
+              <p style={{ opacity: 0.8 }}>{t("quiz.transcriptLater")}</p>
             ) : (
-              <div style={{ padding: 12, border: "1px solid #444", borderRadius: 12, whiteSpace: "pre-wrap" }}>
+              <div
+                lang="de"
+                dir="ltr"
+                style={{ padding: 12, border: "1px solid #444", borderRadius: 12, whiteSpace: "pre-wrap" }}
+              >
                 {transcript}
               </div>
             )}
           </div>
 
-          <h2 style={{ marginTop: 22 }}>✍️ Output</h2>
-          <p>{dayPlan.output.prompt}</p>
+          <h2 id="output" style={{ marginTop: 22 }}>✍️ {t("quiz.output")}</h2>
+          <p dir="auto">{dayPlan.output.prompt}</p>
 
           <textarea
+            lang="de"
+            dir="ltr"
             rows={7}
             style={{ width: "100%", padding: 10, borderRadius: 10 }}
             value={outputText}
             onChange={(e) => setOutputText(e.target.value)}
-            placeholder="Write here..."
+            placeholder={t("quiz.writeHere")}
           />
+          {draftSavedAt && (
+            <div style={{ fontSize: 12, opacity: 0.7 }}>
+              💾 {t("quiz.draftSaved", { time: new Date(draftSavedAt).toLocaleTimeString(locale.id) })}
+            </div>
+          )}
 
           <button onClick={() => evaluateOutput()} style={{ marginTop: 8, padding: "8px 12px", borderRadius: 10 }}>
-            🔍 Check writing rules
+            🔍 {t("quiz.checkWriting")}
           </button>
 
           {outputReport && (
             <div style={{ marginTop: 12, padding: 12, border: "1px solid #444", borderRadius: 12 }}>
-              <h3 style={{ marginTop: 0 }}>Writing checklist</h3>
+              <h3 style={{ marginTop: 0 }}>{t("checklist.title")}</h3>
               <ul style={{ margin: 0 }}>
                 <li>
-                  Characters: {outputReport.charCount}/{outputReport.minChars} {outputReport.charsOk ? "✅" : "❌"}
+                  {t("checklist.characters", { count: outputReport.charCount, min: outputReport.minChars })}{" "}
+                  {outputReport.charsOk ? "✅" : "❌"}
                 </li>
                 <li>
-                  Sentences: {outputReport.sentences}/{outputReport.minSentences} {outputReport.sentencesOk ? "✅" : "❌"}
+                  {t("checklist.sentences", { count: outputReport.sentences, min: outputReport.minSentences })}{" "}
+                  {outputReport.sentencesOk ? "✅" : "❌"}
                 </li>
                 <li>
-                  Must include any of: {outputReport.mustIncludeAny.join(", ")} {outputReport.keywordOk ? "✅" : "❌"}
+                  {t("checklist.mustIncludeAny", { words: outputReport.mustIncludeAny.join(", ") })}{" "}
+                  {outputReport.keywordOk ? "✅" : "❌"}
+                  {outputReport.keywordsFound.length > 0 && (
+                    <span style={{ opacity: 0.8 }}>
+                      {" "}
+                      {t("checklist.found", { words: outputReport.keywordsFound.join(", ") })}
+                    </span>
+                  )}
                 </li>
                 <li>
-                  Required patterns:{" "}
+                  {t("checklist.patterns")}{" "}
                   {outputReport.mustIncludeAllPatterns.map((p, idx) => (
                     <span key={p}>
-                      <code>{p}</code> {outputReport.patternChecks[idx] ? "✅" : "❌"}{" "}
+                      <code dir="ltr">{p}</code> {outputReport.patternChecks[idx] ? "✅" : "❌"}{" "}
                     </span>
                   ))}
                 </li>
                 <li>
-                  Used today’s vocab: {outputReport.vocabUsedCount}/{outputReport.mustUseVocabAtLeast}{" "}
+                  {t("checklist.vocabUsed", {
+                    count: outputReport.vocabUsedCount,
+                    min: outputReport.mustUseVocabAtLeast,
+                  })}{" "}
                   {outputReport.vocabOk ? "✅" : "❌"}
+                  {outputReport.vocabUsed.length > 0 && (
+                    <ul style={{ marginTop: 4 }}>
+                      {outputReport.vocabUsed.map((v) => (
+                        <li key={v.de}>
+                          <b lang="de">{v.de}</b>{" "}
+                          <span style={{ opacity: 0.8 }}>
+                            {t("checklist.recognisedAs", { forms: v.matches.join(" … ") })}
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
                 </li>
               </ul>
+              <GrammarFeedback report={outputReport.grammar} t={t} />
             </div>
           )}
 
           <div style={{ marginTop: 16 }}>
             <button onClick={checkPassAndUnlock} style={{ padding: "10px 14px", borderRadius: 12, fontWeight: 800 }}>
-              ✅ Check & Unlock Next Day
+              ✅ {t("result.checkAndUnlock")}
             </button>
           </div>
 
           {result && (
             <div style={{ marginTop: 18, padding: 12, border: "1px solid #444", borderRadius: 12 }}>
-              <h3 style={{ marginTop: 0 }}>{result.passed ? "✅ PASSED" : "❌ NOT PASSED"}</h3>
+              <h3 style={{ marginTop: 0 }}>
+                {result.passed ? `✅ ${t("result.passed")}` : `❌ ${t("result.notPassed")}`}
+              </h3>
               <ul style={{ margin: 0 }}>
-                <li>Vocab quiz score: {(result.vocabScore * 100).toFixed(0)}%</li>
-                <li>Grammar quiz score: {(result.grammarScore * 100).toFixed(0)}%</li>
-                <li>Listening quiz score: {(result.listeningScore * 100).toFixed(0)}%</li>
-                <li>Output rules: {result.outputOk ? "Passed" : "Failed"}</li>
+                <li>{t("result.vocab", { percent: (result.vocabScore * 100).toFixed(0) })}</li>
+                <li>{t("result.grammar", { percent: (result.grammarScore * 100).toFixed(0) })}</li>
+                <li>
+                  {t(
+                    dayPlan.passRules.dictationCountsTowardListening
+                      ? "result.listeningWithDictation"
+                      : "result.listening",
+                    { percent: (result.listeningScore * 100).toFixed(0) }
+                  )}
+                </li>
+                <li>{result.outputOk ? t("result.outputPassed") : t("result.outputFailed")}</li>
               </ul>
-              {!result.passed && (
-                <p style={{ marginTop: 10, opacity: 0.85 }}>
-                  Fix failed parts and try again. Next day stays locked until passed.
-                </p>
+              {!result.passed && <p style={{ marginTop: 10, opacity: 0.85 }}>{t("result.tryAgain")}</p>}
+              {result.passed && !preview && safeDay + 1 > unlockedDay && (
+                <p style={{ marginTop: 10, opacity: 0.85 }}>🔒 {nextLockedReason}</p>
               )}
             </div>
           )}
@@ -0,0 +1,29 @@
+// on screen for screen readers only
+const srOnly = {
+  position: "absolute",
+  width: 1,
+  height: 1,
+  margin: -1,
+  padding: 0,
+  overflow: "hidden",
+  clip: "rect(0 0 0 0)",
+  whiteSpace: "nowrap",
+  border: 0,
+};
+
+/** Text that only screen readers read, e.g. "correct answer" next to a ✓. */
+export function SrOnly({ children }) {
+  return <span style={srOnly}>{children}</span>;
+}
+
+/**
+ * Live region: screen readers read `message` whenever it changes. Stays mounted (a region that
+ * appears together with its text is often not read), so render it once and change the text.
+ */
+export default function Announcer({ message }) {
+  return (
+    <div role="status" aria-live="polite" aria-atomic="true" style={srOnly}>
+      {message}
+    </div>
+  );
+}
@@ -0,0 +1,97 @@
+import { useEffect, useRef } from "react";
+import { focusNextOpen } from "../lib/keyboard.js";
+import { SrOnly } from "./Announcer.jsx";
+
+/**
+ * Answer choices as a radio group: one tab stop, arrow keys move between the choices,
+ * Space / Enter / a click / the number key (lib/keyboard.js) picks one.
+ * A locked group stays focusable (aria-disabled). When it locks under keyboard focus, focus moves on
+ * to the next open question (lib/keyboard.js), so Space goes back to the audio only when none is left.
+ * `revealed` marks the right answer (✓) and a wrong pick (✗) in text, not only in colour.
+ */
+export default function ChoiceGroup({
+  choices,
+  chosen,
+  answer,
+  locked,
+  revealed,
+  labelledBy,
+  describedBy,
+  onChoose,
+  t,
+}) {
+  const focusIndex = Math.max(0, choices.indexOf(chosen));
+  const groupRef = useRef(null);
+  const wasLocked = useRef(locked);
+
+  useEffect(() => {
+    const el = groupRef.current;
+    const focused = document.activeElement;
+    if (locked && !wasLocked.current && el?.contains(focused) && focused.matches(":focus-visible")) focusNextOpen(el);
+    wasLocked.current = locked;
+  }, [locked]);
+
+  function onKeyDown(e) {
+    const rtl = getComputedStyle(e.currentTarget).direction === "rtl";
+    const step = { ArrowDown: 1, ArrowUp: -1, ArrowRight: rtl ? -1 : 1, ArrowLeft: rtl ? 1 : -1 }[e.key];
+    const radios = [...e.currentTarget.querySelectorAll('[role="radio"]')];
+    const at = radios.indexOf(document.activeElement);
+    let next = null;
+    if (step) next = (at + step + radios.length) % radios.length;
+    if (e.key === "Home") next = 0;
+    if (e.key === "End") next = radios.length - 1;
+    if (next === null) return;
+    e.preventDefault();
+    radios[next].focus();
+  }
+
+  return (
+    <div
+      ref={groupRef}
+      role="radiogroup"
+      aria-labelledby={labelledBy}
+      aria-describedby={describedBy}
+      aria-disabled={locked || undefined}
+      onKeyDown={onKeyDown}
+      style={{ display: "flex", gap: 8, flexWrap: "wrap" }}
+    >
+      {choices.map((c, n) => {
+        const checked = chosen === c;
+        const isAnswer = revealed && c === answer;
+        const mark = revealed ? (isAnswer ? "✓" : checked ? "✗" : "") : checked ? "●" : "";
+        return (
+          <button
+            key={c}
+            role="radio"
+            aria-checked={checked}
+            aria-disabled={locked || undefined}
+            aria-keyshortcuts={n < 9 ? String(n + 1) : undefined}
+            tabIndex={n === focusIndex ? 0 : -1}
+            onClick={() => {
+              if (!locked) onChoose(c);
+            }}
+            dir="auto"
+            style={{
+              padding: "6px 10px",
+              borderRadius: 10,
+              border: checked ? "2px solid #646cff" : isAnswer ? "2px dashed lightgreen" : undefined,
+              fontWeight: checked || isAnswer ? 700 : 400,
+              opacity: locked && !checked && !isAnswer ? 0.65 : 1,
+              cursor: locked ? "default" : undefined,
+            }}
+          >
+            {n < 9 && (
+              <kbd aria-hidden="true" style={{ fontSize: 11, opacity: 0.6, marginInlineEnd: 6 }}>
+                {n + 1}
+              </kbd>
+            )}
+            {mark && <span aria-hidden="true">{mark} </span>}
+            {c}
+            {isAnswer && <SrOnly> ({t("a11y.correctAnswer")})</SrOnly>}
+            {revealed && checked && !isAnswer && <SrOnly> ({t("a11y.wrongAnswer")})</SrOnly>}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,114 @@
+import { useState } from "react";
+import { fetchPack, parsePack } from "../lib/coursePacks.js";
+import { errorText } from "../lib/i18n.js";
+
+const panelStyle = { display: "flex", gap: 6, flexWrap: "wrap", alignItems: "center", marginTop: 8 };
+const PACK_FORMAT_HINT = '{ "format": "a2-trainer-pack", "version": 1, "id", "title", "level", "days": [...] }';
+
+/** Course pack select plus a panel to load packs from a file or a URL. */
+export default function CoursePackPicker({ packs, activeId, onSwitch, onInstall, onRemove, t }) {
+  const active = packs.find((p) => p.id === activeId) || packs[0];
+  const [open, setOpen] = useState(false);
+  const [url, setUrl] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null); // { ok, text }
+
+  // parse/fetch/install errors carry a catalog message (lib/i18n.js messageError)
+  async function load(getPack) {
+    setBusy(true);
+    setMessage(null);
+    try {
+      const pack = await getPack();
+      onInstall(pack);
+      setMessage({ ok: true, text: t("pack.loaded", { title: pack.title, count: pack.days.length }) });
+    } catch (e) {
+      setMessage({ ok: false, text: errorText(e, t) });
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function loadFile(file) {
+    if (!file) return;
+    const text = await file.text();
+    load(() => parsePack(text, { type: "file", name: file.name }));
+  }
+
+  return (
+    <div style={{ marginTop: 6 }}>
+      <div style={panelStyle}>
+        <span style={{ fontSize: 13, opacity: 0.8 }}>📦 {t("pack.course")}</span>
+        <select
+          value={active.id}
+          onChange={(e) => onSwitch(e.target.value)}
+          style={{ padding: 6, borderRadius: 8, maxWidth: 240 }}
+        >
+          {packs.map((p) => (
+            <option key={p.id} value={p.id}>
+              {p.title}
+              {p.level ? ` (${p.level})` : ""}
+            </option>
+          ))}
+        </select>
+        <button onClick={() => setOpen(!open)} style={{ padding: "4px 8px", borderRadius: 8 }}>
+          {open ? "✕" : `➕ ${t("pack.packs")}`}
+        </button>
+      </div>
+
+      {open && (
+        <div style={{ ...panelStyle, flexDirection: "column", alignItems: "flex-start" }}>
+          <label style={{ fontSize: 13 }}>
+            {t("pack.fromFile")}{" "}
+            <input
+              type="file"
+              accept="application/json,.json"
+              disabled={busy}
+              onChange={(e) => {
+                loadFile(e.target.files?.[0]);
+                e.target.value = "";
+              }}
+            />
+          </label>
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              if (url.trim()) load(() => fetchPack(url.trim()));
+            }}
+            style={panelStyle}
+          >
+            <input
+              value={url}
+              onChange={(e) => setUrl(e.target.value)}
+              placeholder="http://localhost:8000/b1-track.json"
+              style={{ padding: 6, borderRadius: 8, width: 260 }}
+            />
+            <button type="submit" disabled={busy || !url.trim()}>
+              {t("pack.loadUrl")}
+            </button>
+          </form>
+
+          {active.source?.type === "url" && (
+            <button disabled={busy} onClick={() => load(() => fetchPack(active.source.url))}>
+              🔄 {t("pack.update", { title: active.title, url: active.source.url })}
+            </button>
+          )}
+          {active.source?.type !== "bundled" && (
+            <button
+              disabled={busy}
+              onClick={() => {
+                if (confirm(t("pack.removeConfirm", { title: active.title }))) onRemove(active.id);
+              }}
+            >
+              🗑 {t("pack.remove", { title: active.title })}
+            </button>
+          )}
+          <span style={{ fontSize: 12, opacity: 0.7 }}>
+            {t("pack.format", { format: PACK_FORMAT_HINT })}
+          </span>
+        </div>
+      )}
+
+      {message && <div style={{ fontSize: 13, color: message.ok ? "lightgreen" : "salmon" }}>{message.text}</div>}
+    </div>
+  );
+}
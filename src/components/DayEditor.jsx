@@ -0,0 +1,609 @@
+import { useState } from "react";
+import { blankDayPlan, isValidRegex, validateDayPlan } from "../lib/dayPlanSchema.js";
+import { mergeDayPlans } from "../lib/planOverrides.js";
+import { GRAMMAR_ITEM_TYPES } from "../lib/grammarItems.js";
+
+const box = { padding: 12, border: "1px solid #444", borderRadius: 12, marginBottom: 14 };
+const itemBox = { padding: 10, border: "1px solid #333", borderRadius: 10, marginBottom: 10 };
+const button = { padding: "6px 10px", borderRadius: 10 };
+const input = { width: "100%", padding: 6, borderRadius: 8, boxSizing: "border-box" };
+const label = { fontSize: 12, opacity: 0.8, display: "block", marginTop: 8 };
+const row = { display: "flex", gap: 8, alignItems: "center", marginBottom: 6 };
+
+// labels: `editor.type.<type>` in the locale catalogs
+const NEW_ITEMS = {
+  choice: () => ({ q: "", choices: ["", ""], a: "" }),
+  gap: () => ({ type: "gap", q: "", a: "", accept: [] }),
+  order: () => ({ type: "order", q: "", tiles: ["", ""], accept: [] }),
+  match: () => ({ type: "match", q: "", pairs: [["", ""], ["", ""]] }),
+};
+
+const clone = (x) => JSON.parse(JSON.stringify(x));
+
+function setIn(obj, [key, ...rest], value) {
+  const next = Array.isArray(obj) ? [...obj] : { ...obj };
+  next[key] = rest.length ? setIn(obj?.[key] ?? (typeof rest[0] === "number" ? [] : {}), rest, value) : value;
+  return next;
+}
+
+function move(list, from, to) {
+  if (to < 0 || to >= list.length) return list;
+  const next = [...list];
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+}
+
+/** Drops the blank lines / rows the form keeps while typing. */
+function cleanDraft(value, key) {
+  if (Array.isArray(value)) {
+    const items = value.map((v) => cleanDraft(v, key === "pairs" ? "pair" : undefined));
+    if (key === "pair") return items;
+    if (key === "pairs") return items.filter((p) => p.some((x) => String(x).trim()));
+    if (key === "vocab_list") return items.filter((v) => String(v.de || "").trim() || String(v.en || "").trim());
+    return items.filter((v) => typeof v !== "string" || v.trim());
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([, v]) => v !== undefined)
+        .map(([k, v]) => [k, cleanDraft(v, k)]),
+    );
+  }
+  return value;
+}
+
+/**
+ * Authoring view: forms for every section of one day plan, live validation,
+ * preview, and a local override layer that can be exported as dayPlans.json.
+ */
+export default function DayEditor({ basePlans, overrides, onSave, onRevert, onPreview, onExport, onClose, t }) {
+  const plans = mergeDayPlans(basePlans, overrides);
+  const nextDay = Math.max(0, ...plans.map((p) => p.day)) + 1;
+
+  const [day, setDay] = useState(plans[0]?.day ?? 1);
+  const source = plans.find((p) => p.day === day) || blankDayPlan(day);
+  const [draft, setDraft] = useState(() => clone(source));
+  const [sample, setSample] = useState("");
+
+  const cleaned = cleanDraft(draft);
+  const issues = validateDayPlan(cleaned);
+  const errors = issues.filter((i) => i.level === "error");
+  const dirty = JSON.stringify(cleaned) !== JSON.stringify(source);
+  const isNew = !plans.some((p) => p.day === day);
+  const bundled = basePlans.some((p) => p.day === day);
+
+  const set = (path, value) => setDraft((d) => setIn(d, path, value));
+
+  function open(nextDayNumber) {
+    if (dirty && !confirm(t("editor.discardConfirm", { day }))) return;
+    const plan = plans.find((p) => p.day === nextDayNumber) || blankDayPlan(nextDayNumber);
+    setDay(nextDayNumber);
+    setDraft(clone(plan));
+  }
+
+  function revert() {
+    if (!confirm(t(bundled ? "editor.resetConfirm" : "editor.deleteConfirm", { day }))) return;
+    onRevert(day);
+    const plan = basePlans.find((p) => p.day === day) || plans.find((p) => p.day !== day) || blankDayPlan(1);
+    setDay(plan.day);
+    setDraft(clone(plan));
+  }
+
+  return (
+    <>
+      <div style={{ ...box, display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+        <b style={{ fontSize: 18 }}>✏️ {t("editor.title")}</b>
+        <select
+          value={day}
+          onChange={(e) => open(Number(e.target.value))}
+          style={{ padding: 6, borderRadius: 8, maxWidth: 320 }}
+        >
+          {plans.map((p) => (
+            <option key={p.day} value={p.day}>
+              {t("editor.dayOption", { day: p.day, topic: p.topic || t("editor.noTopic") })} {overrides[p.day] ? "✏️" : ""}
+            </option>
+          ))}
+          {isNew && <option value={day}>{t("editor.newDayOption", { day })}</option>}
+        </select>
+        <button onClick={() => open(nextDay)} disabled={isNew} style={button}>
+          ➕ {t("editor.newDay")}
+        </button>
+        <span style={{ flex: 1 }} />
+        <button onClick={onClose} style={button}>
+          ← {t("editor.back")}
+        </button>
+      </div>
+
+      <div style={{ ...box, display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+        <button
+          onClick={() => onSave(cleaned)}
+          disabled={!dirty || errors.length > 0}
+          style={{ ...button, fontWeight: 700 }}
+        >
+          💾 {t("editor.save")}
+        </button>
+        <button onClick={() => onPreview(cleaned)} disabled={errors.length > 0} style={button}>
+          👁 {t("editor.preview")}
+        </button>
+        {overrides[day] && (
+          <button onClick={revert} style={button}>
+            ↩ {t(bundled ? "editor.resetBundled" : "editor.deleteDay")}
+          </button>
+        )}
+        <button onClick={onExport} style={button}>
+          ⬇ {t("editor.export")}
+        </button>
+        <span style={{ opacity: 0.8, fontSize: 13 }}>
+          {t(dirty ? "editor.unsaved" : overrides[day] ? "editor.savedLocally" : "editor.bundledVersion")}
+        </span>
+      </div>
+
+      <Issues issues={issues} t={t} />
+
+      {/* ---------- TOPIC ---------- */}
+      <div style={box}>
+        <b>{t("common.day", { day })}</b>
+        <label style={label}>{t("editor.topic")}</label>
+        <input value={draft.topic || ""} onChange={(e) => set(["topic"], e.target.value)} style={input} />
+        <label style={{ ...label, opacity: 1, fontSize: 13 }}>
+          <input
+            type="checkbox"
+            checked={!!draft.examMode}
+            onChange={(e) => set(["examMode"], e.target.checked || undefined)}
+          />{" "}
+          {t("editor.examMode")}
+        </label>
+      </div>
+
+      {/* ---------- VOCAB ---------- */}
+      <div style={box}>
+        <b>📚 {t("editor.vocab", { count: (draft.vocab_list || []).length })}</b>
+        {(draft.vocab_list || []).map((v, i) => (
+          <div key={i} style={row}>
+            <input
+              value={v.de}
+              placeholder={t("editor.german")}
+              onChange={(e) => set(["vocab_list", i, "de"], e.target.value)}
+              style={input}
+            />
+            <input
+              value={v.en}
+              placeholder={t("editor.english")}
+              onChange={(e) => set(["vocab_list", i, "en"], e.target.value)}
+              style={input}
+            />
+            <button onClick={() => set(["vocab_list"], draft.vocab_list.filter((_, j) => j !== i))} style={button}>
+              ✕
+            </button>
+          </div>
+        ))}
+        <button onClick={() => set(["vocab_list"], [...(draft.vocab_list || []), { de: "", en: "" }])} style={button}>
+          + {t("editor.word")}
+        </button>
+        <p style={{ fontSize: 13, opacity: 0.8, marginBottom: 0 }}>
+          {Array.isArray(draft.vocab_quiz) ? (
+            <>
+              {t("editor.authoredVocab", { count: draft.vocab_quiz.length })}{" "}
+              <button onClick={() => set(["vocab_quiz"], undefined)} style={button}>
+                {t("editor.useGenerated")}
+              </button>
+            </>
+          ) : (
+            t("editor.generatedVocab")
+          )}
+        </p>
+      </div>
+
+      {/* ---------- GRAMMAR ---------- */}
+      <div style={box}>
+        <b>📗 {t("editor.grammar")}</b>
+        <label style={label}>{t("editor.grammarTitle")}</label>
+        <input
+          value={draft.grammar?.title || ""}
+          onChange={(e) => set(["grammar", "title"], e.target.value)}
+          style={input}
+        />
+        <LinesField
+          label={t("editor.rules")}
+          value={draft.grammar?.rules}
+          onChange={(v) => set(["grammar", "rules"], v)}
+        />
+        <LinesField
+          label={t("editor.examples")}
+          value={draft.grammar?.examples}
+          onChange={(v) => set(["grammar", "examples"], v)}
+        />
+
+        <label style={label}>{t("editor.quiz", { count: (draft.grammar?.quiz || []).length })}</label>
+        {(draft.grammar?.quiz || []).map((q, i) => (
+          <GrammarItemFields
+            key={i}
+            q={q}
+            index={i}
+            t={t}
+            onChange={(next) => set(["grammar", "quiz", i], next)}
+            onMove={(to) => set(["grammar", "quiz"], move(draft.grammar.quiz, i, to))}
+            onRemove={() =>
+              set(
+                ["grammar", "quiz"],
+                draft.grammar.quiz.filter((_, j) => j !== i),
+              )
+            }
+          />
+        ))}
+        <div style={{ display: "flex", gap: 6, flexWrap: "wrap" }}>
+          {GRAMMAR_ITEM_TYPES.map((type) => (
+            <button
+              key={type}
+              onClick={() => set(["grammar", "quiz"], [...(draft.grammar?.quiz || []), NEW_ITEMS[type]()])}
+              style={button}
+            >
+              + {t(`editor.type.${type}`)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* ---------- LISTENING ---------- */}
+      <div style={box}>
+        <b>🎧 {t("editor.segments", { count: (draft.listening?.segments || []).length })}</b>
+        {(draft.listening?.segments || []).map((seg, i) => (
+          <div key={i} style={itemBox}>
+            <div style={row}>
+              <input
+                value={seg.title || ""}
+                placeholder={t("editor.segment", { number: i + 1 })}
+                onChange={(e) => set(["listening", "segments", i, "title"], e.target.value)}
+                style={input}
+              />
+              <label style={{ fontSize: 12, whiteSpace: "nowrap" }}>
+                {t("editor.repeat")}{" "}
+                <input
+                  type="number"
+                  min="1"
+                  value={seg.repeat ?? 1}
+                  onChange={(e) => set(["listening", "segments", i, "repeat"], Math.max(1, Math.round(Number(e.target.value))))}
+                  style={{ width: 50, padding: 4, borderRadius: 6 }}
+                />
+              </label>
+              <button
+                onClick={() => set(["listening", "segments"], move(draft.listening.segments, i, i - 1))}
+                disabled={i === 0}
+                style={button}
+              >
+                ↑
+              </button>
+              <button
+                onClick={() => set(["listening", "segments"], draft.listening.segments.filter((_, j) => j !== i))}
+                style={button}
+              >
+                ✕
+              </button>
+            </div>
+            <textarea
+              value={seg.text || ""}
+              placeholder={t("editor.segmentText")}
+              onChange={(e) => set(["listening", "segments", i, "text"], e.target.value)}
+              rows={4}
+              style={input}
+            />
+            {(seg.quiz || []).map((q, j) => (
+              <div key={j} style={{ ...itemBox, marginTop: 8 }}>
+                <div style={row}>
+                  <span style={{ fontSize: 12, opacity: 0.7 }}>{t("editor.question", { number: j + 1 })}</span>
+                  <span style={{ flex: 1 }} />
+                  <button
+                    onClick={() =>
+                      set(
+                        ["listening", "segments", i, "quiz"],
+                        seg.quiz.filter((_, k) => k !== j),
+                      )
+                    }
+                    style={button}
+                  >
+                    ✕
+                  </button>
+                </div>
+                <ChoiceFields q={q} t={t} onChange={(next) => set(["listening", "segments", i, "quiz", j], next)} />
+              </div>
+            ))}
+            <button
+              onClick={() => set(["listening", "segments", i, "quiz"], [...(seg.quiz || []), NEW_ITEMS.choice()])}
+              style={{ ...button, marginTop: 6 }}
+            >
+              + {t("editor.addQuestion")}
+            </button>
+          </div>
+        ))}
+        <button
+          onClick={() => {
+            const segments = draft.listening?.segments || [];
+            const id = Math.max(0, ...segments.map((s) => Number(s.id) || 0)) + 1;
+            set(["listening", "segments"], [...segments, { id, title: "", repeat: 2, text: "", quiz: [] }]);
+          }}
+          style={button}
+        >
+          + {t("editor.addSegment")}
+        </button>
+      </div>
+
+      {/* ---------- OUTPUT ---------- */}
+      <div style={box}>
+        <b>✍️ {t("editor.output")}</b>
+        <label style={label}>{t("editor.prompt")}</label>
+        <textarea
+          value={draft.output?.prompt || ""}
+          onChange={(e) => set(["output", "prompt"], e.target.value)}
+          rows={3}
+          style={input}
+        />
+        <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 10 }}>
+          <NumberField
+            label={t("editor.minSentences")}
+            value={draft.outputRules?.minSentences}
+            step={1}
+            onChange={(v) => set(["outputRules", "minSentences"], v)}
+          />
+          <NumberField
+            label={t("editor.minVocab")}
+            value={draft.outputRules?.mustUseVocabAtLeast}
+            step={1}
+            onChange={(v) => set(["outputRules", "mustUseVocabAtLeast"], v)}
+          />
+        </div>
+        <LinesField
+          label={t("editor.mustIncludeAny")}
+          value={draft.outputRules?.mustIncludeAny}
+          onChange={(v) => set(["outputRules", "mustIncludeAny"], v)}
+        />
+        <LinesField
+          label={t("editor.patterns")}
+          value={draft.outputRules?.mustIncludeAllPatterns}
+          onChange={(v) => set(["outputRules", "mustIncludeAllPatterns"], v)}
+        />
+        <PatternCheck patterns={cleaned.outputRules?.mustIncludeAllPatterns || []} sample={sample} t={t} />
+        <label style={label}>{t("editor.trySample")}</label>
+        <textarea value={sample} onChange={(e) => setSample(e.target.value)} rows={2} style={input} />
+      </div>
+
+      {/* ---------- PASS RULES ---------- */}
+      <div style={box}>
+        <b>✅ {t("editor.passRules")}</b>
+        <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 10 }}>
+          <NumberField
+            label={t("editor.vocabThreshold")}
+            value={draft.passRules?.vocabMinCorrect}
+            step={0.05}
+            onChange={(v) => set(["passRules", "vocabMinCorrect"], v)}
+          />
+          <NumberField
+            label={t("editor.grammarThreshold")}
+            value={draft.passRules?.grammarMinCorrect}
+            step={0.05}
+            onChange={(v) => set(["passRules", "grammarMinCorrect"], v)}
+          />
+          <NumberField
+            label={t("editor.listeningThreshold")}
+            value={draft.passRules?.listeningMinCorrect}
+            step={0.05}
+            onChange={(v) => set(["passRules", "listeningMinCorrect"], v)}
+          />
+          <NumberField
+            label={t("editor.minChars")}
+            value={draft.passRules?.minOutputChars}
+            step={10}
+            onChange={(v) => set(["passRules", "minOutputChars"], v)}
+          />
+        </div>
+        <label style={{ ...label, opacity: 1, fontSize: 13 }}>
+          <input
+            type="checkbox"
+            checked={!!draft.passRules?.dictationCountsTowardListening}
+            onChange={(e) => set(["passRules", "dictationCountsTowardListening"], e.target.checked)}
+          />{" "}
+          {t("editor.dictationCounts")}
+        </label>
+      </div>
+    </>
+  );
+}
+
+// schema messages (lib/dayPlanSchema.js) stay English: validate:plans prints the same ones
+function Issues({ issues, t }) {
+  if (!issues.length) return <p style={{ color: "lightgreen", marginTop: -6 }}>✔ {t("editor.noProblems")}</p>;
+  return (
+    <div style={{ ...box, borderColor: issues.some((i) => i.level === "error") ? "salmon" : "#444" }}>
+      <b>{t("editor.problems")}</b>
+      <ul style={{ margin: "6px 0 0", paddingLeft: 20 }}>
+        {issues.map((issue, i) => (
+          <li key={i} style={{ color: issue.level === "error" ? "salmon" : "khaki" }}>
+            {issue.level === "error" ? "✖" : "⚠"} {issue.path || t("editor.plan")}: {issue.message}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+function LinesField({ label: text, value, onChange }) {
+  return (
+    <>
+      <label style={label}>{text}</label>
+      <textarea
+        value={(value || []).join("\n")}
+        onChange={(e) => onChange(e.target.value.split("\n"))}
+        rows={Math.max(2, (value || []).length + 1)}
+        style={input}
+      />
+    </>
+  );
+}
+
+function NumberField({ label: text, value, step, onChange }) {
+  return (
+    <div>
+      <label style={label}>{text}</label>
+      <input
+        type="number"
+        min="0"
+        step={step}
+        value={value ?? ""}
+        onChange={(e) => onChange(e.target.value === "" ? 0 : Number(e.target.value))}
+        style={input}
+      />
+    </div>
+  );
+}
+
+function PatternCheck({ patterns, sample, t }) {
+  if (!patterns.length) return null;
+  return (
+    <ul style={{ margin: "6px 0 0", paddingLeft: 20, fontSize: 13 }}>
+      {patterns.map((p, i) => {
+        if (!isValidRegex(p)) {
+          return (
+            <li key={i} style={{ color: "salmon" }}>
+              ✖ {t("editor.invalidRegex", { pattern: p })}
+            </li>
+          );
+        }
+        const hit = sample.trim() ? new RegExp(p, "i").test(sample) : null;
+        return (
+          <li key={i} style={{ color: hit === false ? "khaki" : "lightgreen" }}>
+            ✔ /{p}/{hit === null ? "" : ` — ${t(hit ? "editor.matchesSample" : "editor.noMatch")}`}
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+function ChoiceFields({ q, onChange, t }) {
+  const choices = q.choices || [];
+  return (
+    <>
+      <input value={q.q || ""} placeholder={t("editor.questionPlaceholder")} onChange={(e) => onChange({ ...q, q: e.target.value })} style={input} />
+      <LinesField label={t("editor.choices")} value={choices} onChange={(v) => onChange({ ...q, choices: v })} />
+      <label style={label}>{t("editor.correctAnswer")}</label>
+      <select value={q.a || ""} onChange={(e) => onChange({ ...q, a: e.target.value })} style={{ padding: 6, borderRadius: 8 }}>
+        <option value="">—</option>
+        {choices
+          .filter((c) => c.trim())
+          .map((c) => (
+            <option key={c} value={c}>
+              {c}
+            </option>
+          ))}
+      </select>
+    </>
+  );
+}
+
+function GrammarItemFields({ q, index, onChange, onMove, onRemove, t }) {
+  const type = q.type || "choice";
+
+  function changeType(next) {
+    if (next === type) return;
+    onChange({ ...NEW_ITEMS[next](), q: q.q || "" });
+  }
+
+  return (
+    <div style={itemBox}>
+      <div style={row}>
+        <span style={{ fontSize: 12, opacity: 0.7 }}>#{index + 1}</span>
+        <select value={type} onChange={(e) => changeType(e.target.value)} style={{ padding: 4, borderRadius: 6 }}>
+          {GRAMMAR_ITEM_TYPES.map((id) => (
+            <option key={id} value={id}>
+              {t(`editor.type.${id}`)}
+            </option>
+          ))}
+        </select>
+        <span style={{ flex: 1 }} />
+        <button onClick={() => onMove(index - 1)} style={button}>
+          ↑
+        </button>
+        <button onClick={() => onMove(index + 1)} style={button}>
+          ↓
+        </button>
+        <button onClick={onRemove} style={button}>
+          ✕
+        </button>
+      </div>
+
+      {type === "choice" && <ChoiceFields q={q} onChange={onChange} t={t} />}
+
+      {type === "gap" && (
+        <>
+          <input
+            value={q.q || ""}
+            placeholder={t("editor.gapPlaceholder")}
+            onChange={(e) => onChange({ ...q, q: e.target.value })}
+            style={input}
+          />
+          <label style={label}>{t("editor.answer")}</label>
+          <input value={q.a || ""} onChange={(e) => onChange({ ...q, a: e.target.value })} style={input} />
+          <LinesField
+            label={t("editor.alsoAccepted")}
+            value={q.accept}
+            onChange={(v) => onChange({ ...q, accept: v })}
+          />
+        </>
+      )}
+
+      {type === "order" && (
+        <>
+          <input
+            value={q.q || ""}
+            placeholder={t("editor.orderPlaceholder")}
+            onChange={(e) => onChange({ ...q, q: e.target.value })}
+            style={input}
+          />
+          <LinesField
+            label={t("editor.tiles")}
+            value={q.tiles}
+            onChange={(v) => onChange({ ...q, tiles: v })}
+          />
+          <LinesField
+            label={t("editor.otherSentences")}
+            value={q.accept}
+            onChange={(v) => onChange({ ...q, accept: v })}
+          />
+        </>
+      )}
+
+      {type === "match" && (
+        <>
+          <input
+            value={q.q || ""}
+            placeholder={t("editor.matchPlaceholder")}
+            onChange={(e) => onChange({ ...q, q: e.target.value })}
+            style={input}
+          />
+          <label style={label}>{t("editor.pairs")}</label>
+          {(q.pairs || []).map(([left, right], i) => (
+            <div key={i} style={row}>
+              <input
+                value={left}
+                onChange={(e) => onChange({ ...q, pairs: setIn(q.pairs, [i, 0], e.target.value) })}
+                style={input}
+              />
+              →
+              <input
+                value={right}
+                onChange={(e) => onChange({ ...q, pairs: setIn(q.pairs, [i, 1], e.target.value) })}
+                style={input}
+              />
+              <button onClick={() => onChange({ ...q, pairs: q.pairs.filter((_, j) => j !== i) })} style={button}>
+                ✕
+              </button>
+            </div>
+          ))}
+          <button onClick={() => onChange({ ...q, pairs: [...(q.pairs || []), ["", ""]] })} style={button}>
+            + {t("editor.addPair")}
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
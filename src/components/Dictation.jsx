@@ -0,0 +1,133 @@
+import { useState } from "react";
+import WordDiff from "./WordDiff.jsx";
+import { dictationAccuracy, scoreDictation, splitSentences } from "../lib/dictation.js";
+
+const box = { padding: 12, border: "1px solid #444", borderRadius: 12, marginBottom: 14 };
+const pct = (x) => `${Math.round((x || 0) * 100)}%`;
+
+function DictationSegment({ seg, index, results, onCheck, onReset, ttsSupported, onSpeak, t }) {
+  const sentences = splitSentences(seg.text);
+  const [typed, setTyped] = useState("");
+  const [checked, setChecked] = useState(false); // showing the diff of the sentence just checked
+  const reviewing = checked && results.length > 0;
+
+  const current = reviewing ? results.length - 1 : results.length;
+  const done = results.length >= sentences.length && !reviewing;
+  const last = reviewing ? results[results.length - 1] : null;
+
+  function check() {
+    const { correct, total } = scoreDictation(sentences[current], typed);
+    onCheck(index, { typed, correct, total });
+    setChecked(true);
+  }
+
+  function next() {
+    setTyped("");
+    setChecked(false);
+  }
+
+  return (
+    <div style={box}>
+      <div style={{ display: "flex", justifyContent: "space-between", gap: 10, flexWrap: "wrap" }}>
+        <div>
+          <b>{t("learn.segment", { number: index + 1 })}</b> {seg.title}
+        </div>
+        <div style={{ opacity: 0.8 }}>
+          {results.length
+            ? t("dictation.progress", {
+                done: Math.min(results.length, sentences.length),
+                total: sentences.length,
+                accuracy: pct(dictationAccuracy(results)),
+              })
+            : t("dictation.sentences", { count: sentences.length })}
+        </div>
+      </div>
+
+      {done ? (
+        <div style={{ marginTop: 10 }}>
+          <span style={{ color: "lightgreen" }}>
+            ✅ {t("dictation.done", { accuracy: pct(dictationAccuracy(results)) })}
+          </span>{" "}
+          <button onClick={() => onReset(index)} style={{ padding: "6px 10px", borderRadius: 10, marginLeft: 8 }}>
+            🔁 {t("dictation.redo")}
+          </button>
+        </div>
+      ) : (
+        <div style={{ marginTop: 10 }}>
+          <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center", marginBottom: 8 }}>
+            <span style={{ opacity: 0.8 }}>{t("common.sentence", { number: current + 1, total: sentences.length })}</span>
+            {ttsSupported && (
+              <button onClick={() => onSpeak([sentences[current]])} style={{ padding: "6px 10px", borderRadius: 10 }}>
+                ▶ {t("dictation.play")}
+              </button>
+            )}
+          </div>
+
+          <textarea
+            value={reviewing ? last.typed : typed}
+            onChange={(e) => setTyped(e.target.value)}
+            readOnly={reviewing}
+            rows={2}
+            placeholder={t("dictation.placeholder")}
+            style={{ width: "100%", padding: 8, borderRadius: 10, fontSize: 15 }}
+          />
+
+          {reviewing ? (
+            <>
+              <WordDiff ops={scoreDictation(sentences[current], last.typed).ops} />
+              <div style={{ opacity: 0.8, marginBottom: 8 }}>
+                {t("dictation.wordsCorrect", { correct: last.correct, total: last.total })}
+              </div>
+              <button onClick={next} style={{ padding: "8px 12px", borderRadius: 10, fontWeight: 700 }}>
+                {t(results.length >= sentences.length ? "dictation.finish" : "dictation.nextSentence")}
+              </button>
+            </>
+          ) : (
+            <button
+              onClick={check}
+              disabled={!typed.trim()}
+              style={{ padding: "8px 12px", borderRadius: 10, fontWeight: 700, marginTop: 6 }}
+            >
+              {t("grammar.check")}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function Dictation({
+  segments,
+  dictation,
+  countsForListening,
+  onCheck,
+  onReset,
+  ttsSupported,
+  onSpeak,
+  t,
+}) {
+  return (
+    <>
+      <h2>✍️ {t("dictation.title")}</h2>
+      <p style={{ opacity: 0.85 }}>
+        {t("dictation.intro")}
+        {countsForListening && ` ${t("dictation.countsForListening")}`}
+      </p>
+      {!ttsSupported && <p style={{ color: "salmon" }}>{t("dictation.needsTts")}</p>}
+      {segments.map((seg, idx) => (
+        <DictationSegment
+          key={idx}
+          seg={seg}
+          index={idx}
+          results={dictation[idx] || []}
+          onCheck={onCheck}
+          onReset={onReset}
+          ttsSupported={ttsSupported}
+          onSpeak={onSpeak}
+          t={t}
+        />
+      ))}
+    </>
+  );
+}
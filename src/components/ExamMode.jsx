@@ -0,0 +1,401 @@
+import { useEffect, useRef, useState } from "react";
+import { formatClock, scoreExam } from "../lib/exam.js";
+import { buildOutputReport, outputRatio } from "../lib/outputReport.js";
+import { scoreSpeech } from "../lib/speechRecognition.js";
+import { errorText } from "../lib/i18n.js";
+import ChoiceGroup from "./ChoiceGroup.jsx";
+
+const box = { padding: 12, border: "1px solid #444", borderRadius: 12, marginBottom: 14 };
+const pct = (x) => `${Math.round((x || 0) * 100)}%`;
+
+// only the certificate is printed
+const PRINT_CSS = `@media print {
+  body * { visibility: hidden; }
+  .exam-certificate, .exam-certificate * { visibility: visible; color: #000 !important; }
+  .exam-certificate { position: absolute; left: 0; top: 0; width: 100%; border: none !important; }
+}`;
+
+// without speech recognition the learner rates their spoken answers (labels: `exam.criterion.<id>`)
+const SELF_CRITERIA = ["task", "pronunciation", "correctness"];
+
+// answers can be changed until the section's time is up; nothing is marked before the result
+function Choices({ q, chosen, disabled, onChoose, t }) {
+  return (
+    <ChoiceGroup
+      choices={q.choices}
+      chosen={chosen}
+      locked={disabled}
+      labelledBy={`exam-${q.key}`}
+      onChoose={(c) => onChoose(q.key, c)}
+      t={t}
+    />
+  );
+}
+
+/**
+ * Mock exam of an exam day (lib/exam.js): timed sections, then a printable result.
+ * `attempt` is kept in the day session by App (`onAttempt` is its state setter), so a page switch
+ * or a reload goes on where the learner left, with the clock still running.
+ * `canPlay(segment)`: whether a listening segment can be played, the same check as in the placement test.
+ * `onRestart`: start a fresh attempt from the result page.
+ */
+export default function ExamMode({
+  dayPlan,
+  exam,
+  attempt,
+  learnerName,
+  recognizer,
+  canPlay,
+  onSpeak,
+  onStopSpeaking,
+  onAttempt,
+  onFinish,
+  onRestart,
+  t,
+}) {
+  const { sections, content, maxPlays } = exam;
+  const {
+    stage = -1, // -1 intro, 0..n-1 section, n result
+    endsAt = null,
+    answers = {},
+    plays = {},
+    writing = "",
+    spoken = {}, // line index → scoreSpeech result
+    selfRating = {}, // criterion index → 0..3
+    timedOut = null, // label of the section last submitted by the clock
+    result = null,
+  } = attempt || {};
+
+  const [now, setNow] = useState(() => Date.now());
+  const [listeningLine, setListeningLine] = useState(null);
+  const [speakError, setSpeakError] = useState("");
+  const submittedRef = useRef(null); // `endsAt` of the section the clock already submitted
+
+  useEffect(() => {
+    if (!endsAt) return;
+    const id = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(id);
+  }, [endsAt]);
+
+  const section = sections[stage];
+  const timeUp = !!endsAt && now >= endsAt;
+
+  // time up (also while the learner was away): the section is submitted as it stands, once
+  useEffect(() => {
+    if (!timeUp || submittedRef.current === endsAt) return;
+    submittedRef.current = endsAt;
+    startSection(stage + 1, section.label);
+  });
+
+  // `patch`: fields of the attempt, or a function of the current attempt returning them
+  function update(patch) {
+    onAttempt((a) => ({ ...a, ...(typeof patch === "function" ? patch(a || {}) : patch) }));
+  }
+
+  function startSection(index, timedOutLabel = null) {
+    onStopSpeaking();
+    recognizer.stop();
+    if (index >= sections.length) {
+      finish(timedOutLabel);
+      return;
+    }
+    const start = Date.now();
+    setNow(start);
+    update({ stage: index, endsAt: start + sections[index].minutes * 60 * 1000, timedOut: timedOutLabel });
+  }
+
+  function choose(key, c) {
+    update((a) => ({ answers: { ...a.answers, [key]: c } }));
+  }
+
+  function playSegment(seg) {
+    const used = plays[seg.segIndex] || 0;
+    if (used >= maxPlays) return;
+    update((a) => ({ plays: { ...a.plays, [seg.segIndex]: used + 1 } }));
+    onSpeak([{ text: seg.text, audio: seg.audio ? { src: seg.audio } : undefined }]);
+  }
+
+  async function speakLine(index) {
+    setSpeakError("");
+    setListeningLine(index);
+    try {
+      const heard = await recognizer.listen({ lang: "de-DE" });
+      const score = scoreSpeech(content.sprechen.lines[index], heard);
+      update((a) => ({ spoken: { ...a.spoken, [index]: score } }));
+    } catch (e) {
+      setSpeakError(errorText(e, t));
+    } finally {
+      setListeningLine(null);
+    }
+  }
+
+  function ratioOf(questions) {
+    return questions.length ? questions.filter((q) => answers[q.key] === q.answer).length / questions.length : 0;
+  }
+
+  function finish(timedOutLabel) {
+    const hoerenQuestions = content.hoeren.segments.flatMap((s) => s.questions);
+    const lines = content.sprechen.lines;
+    const sprechen = recognizer.supported
+      ? lines.reduce((sum, _, i) => sum + (spoken[i]?.accuracy || 0), 0) / (lines.length || 1)
+      : SELF_CRITERIA.reduce((sum, _, i) => sum + (selfRating[i] || 0), 0) / (SELF_CRITERIA.length * 3);
+    const writingReport = buildOutputReport(dayPlan, writing);
+
+    const scored = scoreExam(sections, {
+      lesen: ratioOf(content.lesen.questions),
+      hoeren: ratioOf(hoerenQuestions),
+      schreiben: outputRatio(writingReport),
+      sprechen,
+    });
+    const r = { ...scored, at: Date.now(), answers, writing, writingReport };
+    update({ stage: sections.length, endsAt: null, timedOut: timedOutLabel, result: r });
+    onFinish(r);
+  }
+
+  if (stage === -1) {
+    return (
+      <>
+        <h2>📝 {t("exam.title")}</h2>
+        <div style={box}>
+          <p style={{ marginTop: 0 }}>
+            {t("exam.intro", { count: sections.length })} {t("exam.maxPlays", { count: maxPlays })}
+          </p>
+          <ul>
+            {sections.map((s) => (
+              <li key={s.id}>
+                <b>{s.label}</b> — {t("exam.sectionInfo", { minutes: s.minutes, points: s.points })}
+              </li>
+            ))}
+          </ul>
+          <p>{t("exam.passMark")}</p>
+          <button onClick={() => startSection(0)} style={{ padding: "10px 14px", borderRadius: 12, fontWeight: 800 }}>
+            ▶ {t("exam.start")}
+          </button>
+        </div>
+      </>
+    );
+  }
+
+  if (result) {
+    const reviewQuestions = [...content.lesen.questions, ...content.hoeren.segments.flatMap((s) => s.questions)];
+    return (
+      <>
+        <style>{PRINT_CSS}</style>
+        {timedOut && <p style={{ color: "salmon" }}>⏰ {t("exam.timeUp", { section: timedOut })}</p>}
+        <div className="exam-certificate" style={{ ...box, padding: 20 }}>
+          <h2 style={{ marginTop: 0 }}>{t("exam.resultTitle")}</h2>
+          <p>
+            {learnerName} · {t("top.day", { day: dayPlan.day, topic: dayPlan.topic })} ·{" "}
+            {new Date(result.at).toLocaleString()}
+          </p>
+          <table style={{ width: "100%", borderCollapse: "collapse", textAlign: "left", marginBottom: 12 }}>
+            <thead>
+              <tr>
+                <th>{t("exam.colSection")}</th>
+                <th>{t("exam.colPoints")}</th>
+                <th>%</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.sections.map((s) => (
+                <tr key={s.id}>
+                  <td>{s.label}</td>
+                  <td>
+                    {s.points} / {s.max}
+                  </td>
+                  <td>{pct(s.ratio)}</td>
+                </tr>
+              ))}
+              <tr>
+                <td>
+                  <b>{t("exam.total")}</b>
+                </td>
+                <td>
+                  <b>
+                    {result.total} / {result.max}
+                  </b>
+                </td>
+                <td>
+                  <b>{pct(result.ratio)}</b>
+                </td>
+              </tr>
+            </tbody>
+          </table>
+          <h3 style={{ margin: 0 }}>
+            {result.passed ? `✅ ${t("exam.passed")}` : `❌ ${t("exam.failed")}`} — <span lang="de">{result.grade}</span>
+          </h3>
+          <p style={{ fontSize: 12, opacity: 0.7, marginBottom: 0 }}>
+            {t("exam.disclaimer")}
+          </p>
+        </div>
+
+        <div style={{ display: "flex", gap: 8, marginBottom: 14 }}>
+          <button onClick={() => window.print()} style={{ padding: "8px 12px", borderRadius: 10 }}>
+            🖨 {t("exam.print")}
+          </button>
+          <button onClick={onRestart} style={{ padding: "8px 12px", borderRadius: 10 }}>
+            🔄 {t("exam.restart")}
+          </button>
+        </div>
+
+        <h3>{t("exam.answers")}</h3>
+        {reviewQuestions.map((q) => {
+          const chosen = result.answers[q.key];
+          return (
+            <div key={q.key} style={{ ...box, marginBottom: 8 }}>
+              <div>{q.prompt}</div>
+              {chosen === q.answer ? (
+                <span style={{ color: "lightgreen" }}>✅ {q.answer}</span>
+              ) : (
+                <span style={{ color: "salmon" }}>
+                  ❌ {chosen ?? t("exam.noAnswer")} — {t("exam.correct")} <b>{q.answer}</b>
+                </span>
+              )}
+            </div>
+          );
+        })}
+      </>
+    );
+  }
+
+  return (
+    <>
+      <div
+        style={{
+          ...box,
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          position: "sticky",
+          top: 0,
+          background: "#242424",
+          zIndex: 1,
+        }}
+      >
+        <b>
+          {section.label} ({stage + 1} / {sections.length})
+        </b>
+        <span style={{ fontSize: 20, fontVariantNumeric: "tabular-nums", color: timeUp ? "salmon" : undefined }}>
+          ⏱ {formatClock(endsAt - now)}
+        </span>
+      </div>
+      {timedOut && <p style={{ color: "salmon" }}>⏰ {t("exam.timeUp", { section: timedOut })}</p>}
+
+      {section.id === "lesen" &&
+        content.lesen.questions.map((q, idx) => (
+          <div key={q.key} data-question tabIndex={-1} style={box}>
+            <p id={`exam-${q.key}`} style={{ marginTop: 0 }}>
+              <b>{idx + 1}.</b> {q.prompt}
+            </p>
+            <Choices q={q} chosen={answers[q.key]} disabled={timeUp} onChoose={choose} t={t} />
+          </div>
+        ))}
+
+      {section.id === "hoeren" &&
+        content.hoeren.segments.map((seg) => {
+          const used = plays[seg.segIndex] || 0;
+          return (
+            <div key={seg.segIndex} style={box}>
+              <div style={{ display: "flex", justifyContent: "space-between", gap: 10, flexWrap: "wrap" }}>
+                <b>{seg.title}</b>
+                {canPlay(seg) ? (
+                  <button
+                    onClick={() => playSegment(seg)}
+                    disabled={used >= maxPlays || timeUp}
+                    style={{ padding: "6px 10px", borderRadius: 10 }}
+                  >
+                    ▶ {t("exam.play", { count: maxPlays - used })}
+                  </button>
+                ) : (
+                  <span style={{ color: "salmon" }}>{t("exam.noTts")}</span>
+                )}
+              </div>
+              {seg.questions.map((q) => (
+                <div key={q.key} data-question tabIndex={-1} style={{ marginTop: 10 }}>
+                  <p id={`exam-${q.key}`} style={{ margin: "0 0 6px" }}>
+                    {q.prompt}
+                  </p>
+                  <Choices q={q} chosen={answers[q.key]} disabled={timeUp} onChoose={choose} t={t} />
+                </div>
+              ))}
+            </div>
+          );
+        })}
+
+      {section.id === "schreiben" && (
+        <div style={box}>
+          <p style={{ marginTop: 0, whiteSpace: "pre-wrap" }}>{content.schreiben.prompt}</p>
+          <textarea
+            value={writing}
+            onChange={(e) => update({ writing: e.target.value })}
+            readOnly={timeUp}
+            rows={12}
+            style={{ width: "100%", padding: 10, borderRadius: 12, fontSize: 15 }}
+          />
+          <div style={{ opacity: 0.75 }}>{t("exam.characters", { count: writing.trim().length })}</div>
+        </div>
+      )}
+
+      {section.id === "sprechen" && (
+        <div style={box}>
+          {recognizer.supported ? (
+            <>
+              <p style={{ marginTop: 0 }}>{t("exam.readAloud")}</p>
+              {content.sprechen.lines.map((line, i) => (
+                <div key={i} style={{ display: "flex", gap: 10, alignItems: "center", marginBottom: 8 }}>
+                  <button
+                    onClick={() => (listeningLine === i ? recognizer.stop() : speakLine(i))}
+                    disabled={timeUp || (listeningLine !== null && listeningLine !== i)}
+                    style={{ padding: "6px 10px", borderRadius: 10 }}
+                  >
+                    {listeningLine === i ? `⏹ ${t("exam.done")}` : `🎤 ${t(spoken[i] ? "exam.again" : "exam.speak")}`}
+                  </button>
+                  <span>{line}</span>
+                  {spoken[i] && <span style={{ opacity: 0.7 }}>✓ {t("exam.recorded")}</span>}
+                </div>
+              ))}
+              {speakError && <p style={{ color: "salmon" }}>{speakError}</p>}
+            </>
+          ) : (
+            <>
+              <p style={{ marginTop: 0 }}>{t("exam.noRecognition")}</p>
+              <ul>
+                {content.sprechen.lines.map((line, i) => (
+                  <li key={i}>{line}</li>
+                ))}
+              </ul>
+              {SELF_CRITERIA.map((c, i) => (
+                <div key={c} style={{ display: "flex", gap: 8, alignItems: "center", marginBottom: 6 }}>
+                  <span style={{ minWidth: 220 }}>{t(`exam.criterion.${c}`)}</span>
+                  {[0, 1, 2, 3].map((n) => (
+                    <button
+                      key={n}
+                      disabled={timeUp}
+                      onClick={() => update((a) => ({ selfRating: { ...a.selfRating, [i]: n } }))}
+                      aria-pressed={selfRating[i] === n}
+                      style={{ padding: "4px 10px", borderRadius: 8, fontWeight: selfRating[i] === n ? 700 : 400 }}
+                    >
+                      {n}
+                    </button>
+                  ))}
+                </div>
+              ))}
+            </>
+          )}
+        </div>
+      )}
+
+      <button
+        onClick={() => {
+          if (!timeUp && !confirm(t("exam.submitConfirm", { section: section.label }))) return;
+          startSection(stage + 1);
+        }}
+        style={{ padding: "10px 14px", borderRadius: 12, fontWeight: 800 }}
+      >
+        {stage + 1 < sections.length
+          ? t("exam.submitSection", { section: section.label, next: sections[stage + 1].label })
+          : t("exam.submit")}
+      </button>
+    </>
+  );
+}
@@ -0,0 +1,55 @@
+/** Sentence text with the flagged spans marked (overlapping spans are merged into the first). */
+function HighlightedSentence({ sentence }) {
+  const slice = (from, to) => sentence.text.slice(from - sentence.start, to - sentence.start);
+  const parts = [];
+  let pos = sentence.start;
+  sentence.issues.forEach((iss, idx) => {
+    if (iss.start < pos) return;
+    if (iss.start > pos) parts.push(<span key={`t${idx}`}>{slice(pos, iss.start)}</span>);
+    parts.push(
+      <mark key={`m${idx}`} style={{ background: "#ffd54f", color: "#222", borderRadius: 4, padding: "0 2px" }}>
+        {slice(iss.start, iss.end)}
+      </mark>
+    );
+    pos = iss.end;
+  });
+  if (pos < sentence.end) parts.push(<span key="rest">{slice(pos, sentence.end)}</span>);
+  return <>{parts}</>;
+}
+
+export default function GrammarFeedback({ report, t }) {
+  if (!report) return null;
+
+  return (
+    <div style={{ marginTop: 12 }}>
+      <h4 style={{ margin: "0 0 6px" }}>{t("grammarHints.title")}</h4>
+      {!report.checks.length ? (
+        <p style={{ margin: 0, opacity: 0.75 }}>{t("grammarHints.none")}</p>
+      ) : (
+        <>
+          <p style={{ margin: "0 0 8px", fontSize: 12, opacity: 0.75 }}>
+            {t("grammarHints.checked", { rules: report.checks.map((c) => t(`grammarHints.rule.${c}`)).join(" · ") })}
+          </p>
+          {!report.sentences.length ? (
+            <p style={{ margin: 0 }}>{t("grammarHints.noProblems")} ✅</p>
+          ) : (
+            <div style={{ display: "grid", gap: 8 }}>
+              {report.sentences.map((s) => (
+                <div key={s.start} style={{ padding: 10, border: "1px solid #555", borderRadius: 10 }}>
+                  <div>
+                    <HighlightedSentence sentence={s} />
+                  </div>
+                  <ul style={{ margin: "6px 0 0", fontSize: 14 }}>
+                    {s.issues.map((iss, idx) => (
+                      <li key={idx}>⚠️ {t(iss.key, iss.params)}</li>
+                    ))}
+                  </ul>
+                </div>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
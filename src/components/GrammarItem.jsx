@@ -0,0 +1,318 @@
+import { useId, useRef, useState } from "react";
+import { GAP_MARK, answerText, isCorrect, itemType, shuffledRights, shuffledTiles } from "../lib/grammarItems.js";
+import { focusNextOpen } from "../lib/keyboard.js";
+import { shuffledChoices } from "../lib/quizOrder.js";
+import ChoiceGroup from "./ChoiceGroup.jsx";
+
+const box = { marginBottom: 14, padding: 12, border: "1px solid #444", borderRadius: 12 };
+const button = { padding: "6px 10px", borderRadius: 10 };
+const tile = { ...button, cursor: "grab", border: "1px solid #666" };
+
+// the prompt, with its gloss (if any) below
+function Prompt({ q, hint, id }) {
+  return (
+    <>
+      <p id={id} dir="auto" style={{ marginTop: 0 }}>
+        {q.q}
+      </p>
+      {hint && (
+        <p dir="auto" style={{ marginTop: -8, fontSize: 13, opacity: 0.7 }}>
+          {hint}
+        </p>
+      )}
+    </>
+  );
+}
+
+/**
+ * One grammar quiz item of any type (see lib/grammarItems.js).
+ * `response` undefined = still open; onAnswer(response) locks it.
+ * `seed` keeps the choice / tile / pair order stable across reloads.
+ * `hint`: gloss of the prompt in the learner's language; `t`: translator (lib/i18n.js).
+ * The box is a question card for the keyboard shortcuts (lib/keyboard.js); after a typed,
+ * ordered or matched answer focus returns to it, since the controls that had it are gone,
+ * and from the keyboard goes on to the next open question (choices do that in ChoiceGroup).
+ */
+export default function GrammarItem({ q, response, seed, hint, t, onAnswer }) {
+  const locked = response !== undefined;
+  const type = itemType(q);
+  const id = useId();
+  const boxRef = useRef(null);
+  const answer = (r) => {
+    onAnswer(r);
+    if (type === "choice") return;
+    const box = boxRef.current;
+    box?.focus();
+    if (box?.matches(":focus-visible")) focusNextOpen(box);
+  };
+  const props = { q, response, seed, hint, t, id, onAnswer: answer };
+
+  return (
+    <div
+      ref={boxRef}
+      data-question
+      data-answered={locked || undefined}
+      tabIndex={-1}
+      role="group"
+      aria-labelledby={`${id}-prompt`}
+      style={box}
+    >
+      {type === "choice" && <ChoiceItem {...props} />}
+      {type === "gap" && <GapItem {...props} />}
+      {type === "order" && <OrderItem {...props} />}
+      {type === "match" && <MatchItem {...props} />}
+
+      {locked && (
+        <p id={`${id}-feedback`} style={{ marginBottom: 0, marginTop: 10 }}>
+          {isCorrect(q, response) ? (
+            <span style={{ color: "lightgreen" }}>✅ {t("quiz.correct")}</span>
+          ) : (
+            <span style={{ color: "salmon" }}>
+              ❌ {t("quiz.wrong")} <b dir="auto">{answerText(q)}</b>
+            </span>
+          )}
+        </p>
+      )}
+    </div>
+  );
+}
+
+function ChoiceItem({ q, response, seed, hint, t, id, onAnswer }) {
+  const locked = response !== undefined;
+  return (
+    <>
+      <Prompt q={q} hint={hint} id={`${id}-prompt`} />
+      <ChoiceGroup
+        choices={shuffledChoices(q.choices, seed)}
+        chosen={response}
+        answer={answerText(q)}
+        locked={locked}
+        revealed={locked}
+        labelledBy={`${id}-prompt`}
+        describedBy={locked ? `${id}-feedback` : undefined}
+        onChoose={onAnswer}
+        t={t}
+      />
+    </>
+  );
+}
+
+function GapItem({ q, response, hint, t, id, onAnswer }) {
+  const locked = response !== undefined;
+  const [draft, setDraft] = useState("");
+  const value = locked ? response : draft;
+  const [before, after] = GAP_MARK.test(q.q) ? q.q.split(GAP_MARK, 2) : [q.q, null];
+
+  function submit(e) {
+    e.preventDefault();
+    if (draft.trim()) onAnswer(draft.trim());
+  }
+
+  const input = (
+    <input
+      value={value}
+      disabled={locked}
+      onChange={(e) => setDraft(e.target.value)}
+      autoCapitalize="off"
+      spellCheck={false}
+      aria-label={t("grammar.gap")}
+      style={{ width: Math.max(6, value.length + 2) + "ch", padding: "4px 6px", borderRadius: 8, margin: "0 4px" }}
+    />
+  );
+
+  return (
+    <form onSubmit={submit}>
+      {after === null ? (
+        <>
+          <Prompt q={q} hint={hint} id={`${id}-prompt`} />
+          {input}
+        </>
+      ) : (
+        <>
+          <p id={`${id}-prompt`} dir="ltr" lang="de" style={{ marginTop: 0, lineHeight: 2 }}>
+            {before}
+            {input}
+            {after}
+          </p>
+          {hint && (
+            <p dir="auto" style={{ marginTop: -8, fontSize: 13, opacity: 0.7 }}>
+              {hint}
+            </p>
+          )}
+        </>
+      )}
+      {!locked && (
+        <button type="submit" disabled={!draft.trim()} style={button}>
+          {t("grammar.check")}
+        </button>
+      )}
+    </form>
+  );
+}
+
+function OrderItem({ q, response, seed, hint, t, id, onAnswer }) {
+  const locked = response !== undefined;
+  const [pool] = useState(() => shuffledTiles(q, seed));
+  const [placed, setPlaced] = useState([]); // tile indices in answer order
+  const [dragging, setDragging] = useState(null); // tile index
+
+  const free = pool.filter((i) => !placed.includes(i));
+
+  // drop before `target` (a placed tile) or at the end
+  function place(i, target = null) {
+    setPlaced((p) => {
+      const rest = p.filter((x) => x !== i);
+      const at = target === null ? rest.length : rest.indexOf(target);
+      return [...rest.slice(0, at), i, ...rest.slice(at)];
+    });
+  }
+
+  function unplace(i) {
+    setPlaced((p) => p.filter((x) => x !== i));
+  }
+
+  const dragProps = (i) => ({
+    draggable: !locked,
+    onDragStart: (e) => {
+      e.dataTransfer.effectAllowed = "move";
+      e.dataTransfer.setData("text/plain", q.tiles[i]);
+      setDragging(i);
+    },
+    onDragEnd: () => setDragging(null),
+  });
+
+  const dropZone = (onDrop) => ({
+    onDragOver: (e) => {
+      if (dragging !== null) e.preventDefault();
+    },
+    onDrop: (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (dragging !== null) onDrop(dragging);
+      setDragging(null);
+    },
+  });
+
+  if (locked) {
+    return (
+      <>
+        <Prompt q={q} hint={hint} id={`${id}-prompt`} />
+        <p dir="ltr" lang="de" style={{ fontSize: 18 }}>
+          <b>{response}</b>
+        </p>
+      </>
+    );
+  }
+
+  return (
+    <>
+      <Prompt q={q} hint={hint} id={`${id}-prompt`} />
+
+      <div
+        {...dropZone((i) => place(i))}
+        dir="ltr"
+        lang="de"
+        style={{
+          display: "flex",
+          gap: 6,
+          flexWrap: "wrap",
+          minHeight: 40,
+          padding: 8,
+          border: "1px dashed #666",
+          borderRadius: 10,
+          marginBottom: 8,
+        }}
+      >
+        {placed.length === 0 && (
+          <span dir="auto" style={{ opacity: 0.6 }}>
+            {t("grammar.dragHint")}
+          </span>
+        )}
+        {placed.map((i) => (
+          <button
+            key={i}
+            {...dragProps(i)}
+            {...dropZone((d) => place(d, i))}
+            onClick={() => unplace(i)}
+            title={t("grammar.takeBack")}
+            style={{ ...tile, fontWeight: 700, opacity: dragging === i ? 0.4 : 1 }}
+          >
+            {q.tiles[i]}
+          </button>
+        ))}
+      </div>
+
+      <div
+        {...dropZone(unplace)}
+        dir="ltr"
+        lang="de"
+        style={{ display: "flex", gap: 6, flexWrap: "wrap", minHeight: 34 }}
+      >
+        {free.map((i) => (
+          <button key={i} {...dragProps(i)} onClick={() => place(i)} style={{ ...tile, opacity: dragging === i ? 0.4 : 1 }}>
+            {q.tiles[i]}
+          </button>
+        ))}
+      </div>
+
+      <div style={{ display: "flex", gap: 8, marginTop: 8 }}>
+        <button
+          disabled={free.length > 0}
+          onClick={() => onAnswer(placed.map((i) => q.tiles[i]).join(" "))}
+          style={{ ...button, fontWeight: 700 }}
+        >
+          {t("grammar.check")}
+        </button>
+        <button disabled={!placed.length} onClick={() => setPlaced([])} style={button}>
+          {t("grammar.reset")}
+        </button>
+      </div>
+    </>
+  );
+}
+
+function MatchItem({ q, response, seed, hint, t, id, onAnswer }) {
+  const locked = response !== undefined;
+  const [rights] = useState(() => shuffledRights(q, seed));
+  const [picked, setPicked] = useState(() => q.pairs.map(() => ""));
+  const shown = locked ? response : picked;
+
+  return (
+    <>
+      <Prompt q={q} hint={hint} id={`${id}-prompt`} />
+      <div style={{ display: "grid", gridTemplateColumns: "auto 1fr", gap: "6px 12px", alignItems: "center" }}>
+        {q.pairs.map(([left, right], i) => (
+          <div key={left} style={{ display: "contents" }}>
+            <b dir="auto">{left}</b>
+            <span>
+              <select
+                value={shown[i] || ""}
+                disabled={locked}
+                onChange={(e) => setPicked((p) => p.map((x, j) => (j === i ? e.target.value : x)))}
+                aria-label={t("grammar.matchFor", { word: left })}
+                style={{ padding: 6, borderRadius: 8 }}
+              >
+                <option value="">—</option>
+                {rights.map((r) => (
+                  <option key={r} value={r}>
+                    {r}
+                  </option>
+                ))}
+              </select>
+              {locked && <span style={{ marginInlineStart: 6 }}>{shown[i] === right ? "✅" : "❌"}</span>}
+            </span>
+          </div>
+        ))}
+      </div>
+      {!locked && (
+        <button
+          disabled={picked.some((x) => !x)}
+          onClick={() => onAnswer(picked)}
+          style={{ ...button, fontWeight: 700, marginTop: 8 }}
+        >
+          {t("grammar.check")}
+        </button>
+      )}
+    </>
+  );
+}
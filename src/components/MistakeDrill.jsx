@@ -0,0 +1,157 @@
+import { useRef, useState } from "react";
+import { RETIRE_AFTER, mistakeList } from "../lib/mistakes.js";
+import { seededRandom, shuffle } from "../lib/vocabQuiz.js";
+import Announcer from "./Announcer.jsx";
+import ChoiceGroup from "./ChoiceGroup.jsx";
+
+const box = { padding: 12, border: "1px solid #444", borderRadius: 12, marginBottom: 14 };
+
+export default function MistakeDrill({ mistakes, onAnswer, ttsSupported, onSpeak, t }) {
+  const items = mistakeList(mistakes);
+
+  // session queue of ids, mixed across days; wrong answers go back to the end
+  const [queue, setQueue] = useState(() => shuffle(items.map((m) => m.id)));
+  const [feedback, setFeedback] = useState(null); // { item, chosen }
+  const [round, setRound] = useState(0);
+  const [stats, setStats] = useState({ answered: 0, correct: 0 });
+  const [announcement, setAnnouncement] = useState("");
+  const cardRef = useRef(null);
+
+  const liveQueue = queue.filter((id) => mistakes[id]);
+  const item = feedback?.item || mistakes[liveQueue[0]];
+  const choices = item ? shuffle(item.choices || [], seededRandom(`${item.id}:${round}`)) : [];
+
+  function choose(c) {
+    const correct = c === item.answer;
+    setFeedback({ item, chosen: c });
+    setStats((s) => ({ answered: s.answered + 1, correct: s.correct + (correct ? 1 : 0) }));
+    setAnnouncement(
+      correct
+        ? t("a11y.drillCorrect", { prompt: item.prompt })
+        : t("a11y.drillWrong", { prompt: item.prompt, answer: item.answer })
+    );
+    onAnswer(item.id, c);
+  }
+
+  function next() {
+    const wasCorrect = feedback.chosen === feedback.item.answer;
+    setQueue((q) => {
+      const [head, ...rest] = q.filter((id) => mistakes[id] || id === feedback.item.id);
+      return wasCorrect ? rest : [...rest, head];
+    });
+    setFeedback(null);
+    setRound((r) => r + 1);
+    cardRef.current?.focus(); // the Next button goes away; the card stays and shows the next question
+  }
+
+  function restart() {
+    setQueue(shuffle(items.map((m) => m.id)));
+    setFeedback(null);
+    setStats({ answered: 0, correct: 0 });
+  }
+
+  return (
+    <>
+      <Announcer message={announcement} />
+      <h2>📒 {t("mistakes.title")}</h2>
+      <p style={{ opacity: 0.85 }}>
+        {t("mistakes.intro", { count: items.length, retire: RETIRE_AFTER })}
+        {stats.answered > 0 && ` ${t("mistakes.session", { correct: stats.correct, answered: stats.answered })}`}
+      </p>
+
+      {!item ? (
+        <div style={box}>
+          <p style={{ marginTop: 0 }}>
+            {items.length ? `${t("mistakes.finished")} 🎉` : t("mistakes.empty")}
+          </p>
+          {items.length > 0 && (
+            <button onClick={restart} style={{ padding: "8px 12px", borderRadius: 10 }}>
+              🔄 {t("mistakes.again")}
+            </button>
+          )}
+        </div>
+      ) : (
+        <div ref={cardRef} data-question tabIndex={-1} role="group" aria-labelledby="drill-prompt" style={box}>
+          <div style={{ fontSize: 12, opacity: 0.7 }}>
+            {t("common.day", { day: item.day })} · {t(`section.${item.section}`)} ·{" "}
+            {t("mistakes.meta", { misses: item.misses, streak: item.streak || 0, retire: RETIRE_AFTER })}
+          </div>
+          <p id="drill-prompt">
+            <b>{item.prompt}</b>
+          </p>
+
+          {item.context && ttsSupported && (
+            <button
+              onClick={() => onSpeak([item.context])}
+              style={{ padding: "6px 10px", borderRadius: 10, marginBottom: 10 }}
+            >
+              ▶ {t("learn.playSegment")}
+            </button>
+          )}
+
+          <ChoiceGroup
+            key={`${item.id}:${round}`}
+            choices={choices}
+            chosen={feedback?.chosen}
+            answer={item.answer}
+            locked={!!feedback}
+            revealed={!!feedback}
+            labelledBy="drill-prompt"
+            describedBy={feedback ? "drill-feedback" : undefined}
+            onChoose={choose}
+            t={t}
+          />
+
+          {feedback && (
+            <>
+              <p id="drill-feedback" style={{ marginBottom: 8, marginTop: 10 }}>
+                {feedback.chosen === item.answer ? (
+                  <span style={{ color: "lightgreen" }}>✅ {t("quiz.correct")}</span>
+                ) : (
+                  <span style={{ color: "salmon" }}>
+                    ❌ {t("quiz.wrong")} <b>{item.answer}</b>
+                  </span>
+                )}
+              </p>
+              <button onClick={next} style={{ padding: "8px 12px", borderRadius: 10, fontWeight: 700 }}>
+                {t("common.next")}
+              </button>
+            </>
+          )}
+        </div>
+      )}
+
+      {items.length > 0 && (
+        <>
+          <h3>{t("mistakes.all")}</h3>
+          <div style={{ ...box, overflowX: "auto" }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", textAlign: "left" }}>
+              <thead>
+                <tr>
+                  <th>{t("mistakes.colDay")}</th>
+                  <th>{t("mistakes.colSection")}</th>
+                  <th>{t("mistakes.colQuestion")}</th>
+                  <th>{t("mistakes.colChosen")}</th>
+                  <th>{t("mistakes.colAnswer")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {items.map((m) => (
+                  <tr key={m.id}>
+                    <td>{m.day}</td>
+                    <td>{t(`section.${m.section}`)}</td>
+                    <td>{m.prompt}</td>
+                    <td style={{ color: "salmon" }}>{m.lastChosen}</td>
+                    <td>
+                      <b>{m.answer}</b>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </>
+  );
+}
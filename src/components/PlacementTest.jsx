@@ -0,0 +1,153 @@
+import { useEffect, useRef, useState } from "react";
+import { MAX_PROBES, PROBE_PASS, answerProbe, placementResult, startPlacement } from "../lib/placement.js";
+import ChoiceGroup from "./ChoiceGroup.jsx";
+
+const box = { padding: 12, border: "1px solid #444", borderRadius: 12, marginBottom: 14 };
+
+/**
+ * Adaptive placement test over the whole course (see lib/placement.js).
+ * `canPlay(segment)`: whether the segment can be played; otherwise its text is shown to read.
+ */
+export default function PlacementTest({
+  plans,
+  seed,
+  maxUnlockedDay,
+  canPlay,
+  onSpeak,
+  onStop,
+  onApply,
+  onClose,
+  t,
+}) {
+  const [state, setState] = useState(() => startPlacement(plans, seed));
+  const [answers, setAnswers] = useState({});
+  const headingRef = useRef(null);
+
+  const probe = state.current;
+  const result = probe ? null : placementResult(state, plans);
+
+  // a new question set (or the result) replaces the page: start reading it from its heading
+  useEffect(() => {
+    if (state.probes.length) headingRef.current?.focus();
+  }, [state]);
+
+  function nextProbe() {
+    onStop();
+    setState(answerProbe(state, plans, answers));
+    setAnswers({});
+  }
+
+  if (result) {
+    const startPlan = plans.find((d) => d.day === result.startDay);
+    return (
+      <>
+        <h2 ref={headingRef} tabIndex={-1}>
+          🧭 {t("placement.resultTitle")}
+        </h2>
+        <div style={box}>
+          <p style={{ marginTop: 0 }}>
+            <b>{t("placement.startAt", { day: result.startDay })}</b>
+            {startPlan ? `: ${startPlan.topic}` : ""}.
+          </p>
+          <ul style={{ margin: 0 }}>
+            {result.probes.map((p, i) => (
+              <li key={i}>
+                {t("common.day", { day: p.day })}: {p.correct}/{p.total}{" "}
+                {p.passed ? `✅ ${t("placement.mastered")}` : `❌ ${t("placement.notYet")}`}
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        <div style={box}>
+          <b>{t("placement.masteredTopics", { count: result.mastered.length })}</b>
+          {result.mastered.length ? (
+            <ul style={{ marginBottom: 0 }}>
+              {result.mastered.map((m) => (
+                <li key={m.day}>
+                  {t("top.day", { day: m.day, topic: m.topic })}
+                  {m.grammarTitle && <span style={{ opacity: 0.75 }}> — {m.grammarTitle}</span>}
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p style={{ marginBottom: 0 }}>{t("placement.none")}</p>
+          )}
+        </div>
+
+        {result.startDay <= maxUnlockedDay && (
+          <p style={{ opacity: 0.85 }}>{t("placement.keepUnlocked", { day: maxUnlockedDay })}</p>
+        )}
+        <div style={{ display: "flex", gap: 8 }}>
+          <button
+            onClick={() => onApply(result)}
+            style={{ padding: "10px 14px", borderRadius: 12, fontWeight: 800 }}
+          >
+            {t("placement.apply", { day: result.startDay })}
+          </button>
+          <button onClick={onClose} style={{ padding: "10px 14px", borderRadius: 12 }}>
+            {t("placement.keep")}
+          </button>
+        </div>
+      </>
+    );
+  }
+
+  const answered = probe.items.filter((q) => answers[q.key] !== undefined).length;
+
+  return (
+    <>
+      <h2 ref={headingRef} tabIndex={-1}>
+        🧭 {t("dayNav.placement")}
+      </h2>
+      <p style={{ opacity: 0.85 }}>
+        {t("placement.intro", {
+          set: state.probes.length + 1,
+          max: MAX_PROBES,
+          count: probe.items.length,
+          day: probe.day,
+          pass: PROBE_PASS,
+        })}
+      </p>
+
+      {probe.items.map((q) => {
+        const pick = answers[q.key];
+        return (
+          <div key={q.key} data-question tabIndex={-1} style={box}>
+            {q.segment &&
+              (canPlay(q.segment) ? (
+                <button onClick={() => onSpeak([q.segment])} style={{ padding: "6px 10px", borderRadius: 10 }}>
+                  🔊 {t("placement.play", { title: q.segment.title })}
+                </button>
+              ) : (
+                <p style={{ marginTop: 0, fontStyle: "italic", opacity: 0.85 }}>{q.segment.text}</p>
+              ))}
+            <p id={`placement-${q.key}`}>
+              <b>{q.prompt}</b>
+            </p>
+            <ChoiceGroup
+              choices={q.choices}
+              chosen={pick}
+              labelledBy={`placement-${q.key}`}
+              onChoose={(c) => setAnswers((prev) => ({ ...prev, [q.key]: c }))}
+              t={t}
+            />
+          </div>
+        );
+      })}
+
+      <div style={{ display: "flex", gap: 8 }}>
+        <button
+          disabled={answered < probe.items.length}
+          onClick={nextProbe}
+          style={{ padding: "10px 14px", borderRadius: 12, fontWeight: 800 }}
+        >
+          {t("placement.next", { answered, total: probe.items.length })}
+        </button>
+        <button onClick={onClose} style={{ padding: "10px 14px", borderRadius: 12 }}>
+          {t("common.cancel")}
+        </button>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,188 @@
+import { useState } from "react";
+import { DEFAULT_PROFILE_ID, activeProfile, checkPin } from "../lib/profiles.js";
+
+const panelStyle = { display: "flex", gap: 6, flexWrap: "wrap", alignItems: "center", marginTop: 8 };
+const inputStyle = { padding: 6, borderRadius: 8, width: 130 };
+
+export default function ProfileSwitcher({ profiles, onSwitch, onCreate, onRename, onSetPin, onDelete, t }) {
+  const current = activeProfile(profiles);
+  const [panel, setPanel] = useState(null); // null | "unlock" | "new" | "manage"
+  const [targetId, setTargetId] = useState(null);
+  const [name, setName] = useState("");
+  const [pin, setPin] = useState("");
+  const [newPin, setNewPin] = useState("");
+  const [error, setError] = useState("");
+
+  function open(nextPanel) {
+    setPanel(panel === nextPanel ? null : nextPanel);
+    setName(nextPanel === "manage" ? current.name : "");
+    setPin("");
+    setNewPin("");
+    setError("");
+  }
+
+  function choose(id) {
+    const target = profiles.profiles.find((p) => p.id === id);
+    if (!target || id === current.id) return;
+    if (!target.pinHash) {
+      setPanel(null);
+      onSwitch(id);
+      return;
+    }
+    setTargetId(id);
+    setPanel("unlock");
+    setPin("");
+    setError("");
+  }
+
+  function unlock(e) {
+    e.preventDefault();
+    const target = profiles.profiles.find((p) => p.id === targetId);
+    if (!target || !checkPin(target, pin)) {
+      setError(t("profile.wrongPin"));
+      return;
+    }
+    setPanel(null);
+    onSwitch(target.id);
+  }
+
+  function create(e) {
+    e.preventDefault();
+    onCreate(name, pin);
+    setPanel(null);
+  }
+
+  // changing the PIN or deleting needs the current PIN, so a classmate can't take over the profile
+  function manage(action) {
+    if (!checkPin(current, pin)) {
+      setError(t("profile.pinFirst"));
+      return;
+    }
+    if (action === "pin") onSetPin(newPin);
+    if (action === "delete") {
+      if (!confirm(t("profile.deleteConfirm", { name: current.name }))) return;
+      onDelete();
+    }
+    setPanel(null);
+  }
+
+  const target = profiles.profiles.find((p) => p.id === targetId);
+
+  return (
+    <div style={{ marginTop: 6 }}>
+      <div style={{ display: "flex", gap: 6, flexWrap: "wrap", alignItems: "center" }}>
+        <span style={{ opacity: 0.8 }}>👤</span>
+        <select
+          value={current.id}
+          onChange={(e) => choose(e.target.value)}
+          style={{ padding: 6, borderRadius: 8 }}
+          aria-label={t("profile.label")}
+        >
+          {profiles.profiles.map((p) => (
+            <option key={p.id} value={p.id}>
+              {p.name}
+              {p.pinHash ? " 🔒" : ""}
+            </option>
+          ))}
+        </select>
+        <button onClick={() => open("new")} style={{ padding: "4px 8px", borderRadius: 8 }}>
+          ➕ {t("profile.new")}
+        </button>
+        <button onClick={() => open("manage")} style={{ padding: "4px 8px", borderRadius: 8 }}>
+          ⚙ {t("profile.manage")}
+        </button>
+      </div>
+
+      {panel === "unlock" && target && (
+        <form onSubmit={unlock} style={panelStyle}>
+          <span>{t("profile.pinFor", { name: target.name })}</span>
+          <input
+            type="password"
+            inputMode="numeric"
+            autoFocus
+            value={pin}
+            onChange={(e) => setPin(e.target.value)}
+            style={inputStyle}
+          />
+          <button type="submit" style={{ padding: "4px 8px", borderRadius: 8 }}>
+            {t("profile.unlock")}
+          </button>
+          <button type="button" onClick={() => setPanel(null)} style={{ padding: "4px 8px", borderRadius: 8 }}>
+            {t("common.cancel")}
+          </button>
+        </form>
+      )}
+
+      {panel === "new" && (
+        <form onSubmit={create} style={panelStyle}>
+          <input
+            placeholder={t("profile.name")}
+            autoFocus
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            style={inputStyle}
+          />
+          <input
+            type="password"
+            inputMode="numeric"
+            placeholder={t("profile.pinOptional")}
+            value={pin}
+            onChange={(e) => setPin(e.target.value)}
+            style={inputStyle}
+          />
+          <button type="submit" style={{ padding: "4px 8px", borderRadius: 8 }}>
+            {t("profile.create")}
+          </button>
+        </form>
+      )}
+
+      {panel === "manage" && (
+        <div style={panelStyle}>
+          <input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            style={inputStyle}
+            aria-label={t("profile.nameLabel")}
+          />
+          <button
+            onClick={() => {
+              onRename(name);
+              setPanel(null);
+            }}
+            style={{ padding: "4px 8px", borderRadius: 8 }}
+          >
+            {t("profile.rename")}
+          </button>
+          {current.pinHash && (
+            <input
+              type="password"
+              inputMode="numeric"
+              placeholder={t("profile.currentPin")}
+              value={pin}
+              onChange={(e) => setPin(e.target.value)}
+              style={inputStyle}
+            />
+          )}
+          <input
+            type="password"
+            inputMode="numeric"
+            placeholder={t(current.pinHash ? "profile.newPinOrNone" : "profile.newPin")}
+            value={newPin}
+            onChange={(e) => setNewPin(e.target.value)}
+            style={inputStyle}
+          />
+          <button onClick={() => manage("pin")} style={{ padding: "4px 8px", borderRadius: 8 }}>
+            {t(current.pinHash && !newPin ? "profile.removePin" : "profile.setPin")}
+          </button>
+          {current.id !== DEFAULT_PROFILE_ID && (
+            <button onClick={() => manage("delete")} style={{ padding: "4px 8px", borderRadius: 8, color: "salmon" }}>
+              🗑 {t("profile.delete")}
+            </button>
+          )}
+        </div>
+      )}
+
+      {panel && error && <div style={{ color: "salmon", marginTop: 6 }}>{error}</div>}
+    </div>
+  );
+}
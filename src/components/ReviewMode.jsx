@@ -0,0 +1,93 @@
+import { useState } from "react";
+import { GRADES, buildReviewQueue, countReview, formatInterval, schedule } from "../lib/srs";
+import { glossOf } from "../lib/glosses.js";
+
+/** `meaningLang`: language of the answer side (lib/glosses.js). */
+export default function ReviewMode({ cards, srs, meaningLang, onGrade, ttsSupported, onSpeak, t }) {
+  // queue is fixed for a session; "again" cards go back to the end
+  const [queue, setQueue] = useState(() => buildReviewQueue(cards, srs));
+  const [revealed, setRevealed] = useState(false);
+  const [reviewed, setReviewed] = useState(0);
+
+  const card = queue[0];
+  const counts = countReview(cards, srs);
+
+  function grade(g) {
+    onGrade(card.id, g.quality);
+    setQueue((q) => {
+      const [head, ...rest] = q;
+      return g.quality < 3 ? [...rest, head] : rest;
+    });
+    setRevealed(false);
+    setReviewed((n) => n + 1);
+  }
+
+  function startNewSession() {
+    setQueue(buildReviewQueue(cards, srs));
+    setRevealed(false);
+    setReviewed(0);
+  }
+
+  return (
+    <>
+      <h2>🔁 {t("review.title")}</h2>
+      <p style={{ opacity: 0.85 }}>
+        {t("review.words", { count: counts.total })} {t("review.due")} <b>{counts.due}</b> · {t("review.new")}{" "}
+        <b>{counts.fresh}</b> · {t("review.reviewed")} <b>{reviewed}</b> · {t("review.left")} <b>{queue.length}</b>
+      </p>
+
+      {!card ? (
+        <div style={{ padding: 12, border: "1px solid #444", borderRadius: 12 }}>
+          <p style={{ marginTop: 0 }}>🎉 {t("review.nothingDue")}</p>
+          <button onClick={startNewSession} style={{ padding: "8px 12px", borderRadius: 10 }}>
+            🔄 {t("review.checkAgain")}
+          </button>
+        </div>
+      ) : (
+        <div style={{ padding: 18, border: "1px solid #444", borderRadius: 12, textAlign: "center" }}>
+          <div style={{ fontSize: 12, opacity: 0.7 }}>
+            {t("common.day", { day: card.day })} {srs[card.id] ? "" : `· ${t("review.newCard")}`}
+          </div>
+          <div style={{ fontSize: 28, fontWeight: 800, margin: "10px 0" }}>{card.de}</div>
+
+          {ttsSupported && (
+            <button onClick={() => onSpeak([card.de])} style={{ padding: "6px 10px", borderRadius: 10 }}>
+              🔊 {t("review.listen")}
+            </button>
+          )}
+
+          {!revealed ? (
+            <div style={{ marginTop: 14 }}>
+              <button
+                onClick={() => setRevealed(true)}
+                style={{ padding: "10px 14px", borderRadius: 12, fontWeight: 800 }}
+              >
+                {t("review.showAnswer")}
+              </button>
+            </div>
+          ) : (
+            <>
+              <div dir="auto" style={{ fontSize: 20, margin: "14px 0" }}>
+                {glossOf(card, meaningLang)}
+              </div>
+              <div style={{ display: "flex", gap: 8, flexWrap: "wrap", justifyContent: "center" }}>
+                {GRADES.map((g) => (
+                  <button
+                    key={g.id}
+                    onClick={() => grade(g)}
+                    style={{ padding: "8px 12px", borderRadius: 10, fontWeight: 700 }}
+                  >
+                    {t(`grade.${g.id}`)}
+                    <div style={{ fontSize: 11, opacity: 0.7 }}>
+                      {formatInterval(schedule(srs[card.id], g.quality), t)}
+                    </div>
+                  </button>
+                ))}
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,140 @@
+const btn = { padding: "6px 10px", borderRadius: 10 };
+
+// current sentence with the spoken word marked (boundary events give its character range)
+function KaraokeSentence({ text, word }) {
+  if (!word) return text;
+  return (
+    <>
+      {text.slice(0, word.start)}
+      <mark>{text.slice(word.start, word.end)}</mark>
+      {text.slice(word.end)}
+    </>
+  );
+}
+
+/**
+ * Controls for the sentence-by-sentence listening player.
+ * items: `[{ segIndex, pass, text }]`; player: `{ items, index, paused }` or null.
+ * `showText` false hides the live transcript (quiz page before any listening answer).
+ */
+export default function SentencePlayer({
+  items,
+  segments,
+  player,
+  opts,
+  spokenWord,
+  showText = true,
+  onPlay,
+  onPause,
+  onResume,
+  onStop,
+  onOptsChange,
+  t,
+}) {
+  const active = player && player.items.length ? player : null;
+  const playing = active && !active.paused;
+  const current = active?.items[active.index];
+
+  // karaoke shows the sentences of the segment (and repeat pass) being played
+  const lines = current
+    ? active.items
+        .map((item, index) => ({ item, index }))
+        .filter(({ item }) => item.segIndex === current.segIndex && item.pass === current.pass)
+    : [];
+
+  return (
+    <div style={{ padding: 12, border: "1px solid #444", borderRadius: 12, marginBottom: 10 }}>
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+        <button onClick={() => active && onPlay(active.items, active.index - 1)} disabled={!active || active.index <= 0} style={btn}>
+          ⏮ {t("player.prev")}
+        </button>
+        {playing ? (
+          <button onClick={onPause} style={{ ...btn, fontWeight: 700 }}>
+            ⏸ {t("player.pause")}
+          </button>
+        ) : active ? (
+          <button onClick={onResume} style={{ ...btn, fontWeight: 700 }}>
+            ▶ {t("player.resume")}
+          </button>
+        ) : (
+          <button onClick={() => onPlay(items, 0)} style={{ ...btn, fontWeight: 700 }}>
+            ▶ {t("player.playAll")}
+          </button>
+        )}
+        <button
+          onClick={() => active && onPlay(active.items, active.index + 1)}
+          disabled={!active || active.index >= active.items.length - 1}
+          style={btn}
+        >
+          {t("player.next")} ⏭
+        </button>
+        {active && (
+          <button onClick={onStop} style={btn}>
+            ⏹ {t("player.stop")}
+          </button>
+        )}
+        <button
+          onClick={() => onOptsChange({ loop: !opts.loop })}
+          aria-pressed={opts.loop}
+          style={{ ...btn, opacity: opts.loop ? 1 : 0.7, fontWeight: opts.loop ? 700 : 400 }}
+        >
+          🔂 {t(opts.loop ? "player.loopOn" : "player.loopOff")}
+        </button>
+      </div>
+
+      <div style={{ display: "flex", gap: 16, flexWrap: "wrap", alignItems: "center", marginTop: 10 }}>
+        <label style={{ fontSize: 13 }}>
+          {t("player.gap", { seconds: (opts.gapMs / 1000).toFixed(1) })}{" "}
+          <input
+            type="range"
+            min="0"
+            max="5000"
+            step="250"
+            value={opts.gapMs}
+            onChange={(e) => onOptsChange({ gapMs: Number(e.target.value) })}
+            style={{ verticalAlign: "middle" }}
+          />
+        </label>
+        {showText && (
+          <label style={{ fontSize: 13 }}>
+            <input
+              type="checkbox"
+              checked={opts.karaoke}
+              onChange={(e) => onOptsChange({ karaoke: e.target.checked })}
+            />{" "}
+            {t("player.liveTranscript")}
+          </label>
+        )}
+      </div>
+
+      {current && (
+        <div style={{ fontSize: 13, opacity: 0.8, marginTop: 8 }}>
+          {t("learn.segment", { number: current.segIndex + 1 })} {segments[current.segIndex]?.title} ·{" "}
+          {t("player.position", { number: active.index + 1, total: active.items.length })}
+          {current.pass > 0 && ` · ${t("player.repeat", { count: current.pass + 1 })}`}
+          {active.paused && ` · ${t("player.paused")}`}
+        </div>
+      )}
+
+      {showText && opts.karaoke && current && (
+        <div style={{ marginTop: 8, lineHeight: 1.7 }}>
+          {lines.map(({ item, index }) => (
+            <span
+              key={index}
+              onClick={() => onPlay(active.items, index)}
+              title={t("player.playFrom")}
+              style={{
+                cursor: "pointer",
+                padding: "1px 2px",
+                borderRadius: 4,
+                background: index === active.index ? "rgba(100, 108, 255, 0.25)" : "transparent",
+              }}
+            >
+              {index === active.index ? <KaraokeSentence text={item.text} word={spokenWord} /> : item.text}{" "}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
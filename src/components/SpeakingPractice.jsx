@@ -0,0 +1,146 @@
+import { useState } from "react";
+import WordDiff from "./WordDiff.jsx";
+import { scoreSpeech } from "../lib/speechRecognition.js";
+import { errorText } from "../lib/i18n.js";
+
+const box = { padding: 12, border: "1px solid #444", borderRadius: 12, marginBottom: 14 };
+const pct = (x) => `${Math.round((x || 0) * 100)}%`;
+
+/**
+ * Read-aloud practice: the learner speaks each target line, the recognizer's
+ * transcript is compared word by word. sources: `[{ id, label, lines }]`
+ * Without recognition the lines and ▶ Listen stay; only the scoring is left out.
+ */
+export default function SpeakingPractice({ sources, recognizer, ttsSupported, onSpeak, t }) {
+  const available = sources.filter((s) => s.lines.length);
+  const [sourceId, setSourceId] = useState(available[0]?.id);
+  const [index, setIndex] = useState(0);
+  const [results, setResults] = useState({}); // `${sourceId}:${index}` → scoreSpeech result
+  const [listening, setListening] = useState(false);
+  const [error, setError] = useState("");
+
+  const source = available.find((s) => s.id === sourceId) || available[0];
+  const line = source?.lines[index];
+  const key = `${source?.id}:${index}`;
+  const result = results[key];
+  const scores = Object.values(results).map((r) => r.accuracy);
+
+  const canScore = recognizer.supported;
+
+  if (!source) {
+    return (
+      <>
+        <h2>🎤 {t("speaking.title")}</h2>
+        <p style={{ opacity: 0.85 }}>{t("speaking.noLines")}</p>
+      </>
+    );
+  }
+
+  async function speak() {
+    setError("");
+    setListening(true);
+    try {
+      const heard = await recognizer.listen({ lang: "de-DE" });
+      setResults((r) => ({ ...r, [key]: scoreSpeech(line, heard) }));
+    } catch (e) {
+      setError(errorText(e, t));
+    } finally {
+      setListening(false);
+    }
+  }
+
+  function go(nextIndex) {
+    recognizer.stop();
+    setIndex(Math.max(0, Math.min(source.lines.length - 1, nextIndex)));
+    setError("");
+  }
+
+  return (
+    <>
+      <h2>🎤 {t("speaking.title")}</h2>
+      {!canScore && <p style={{ color: "salmon" }}>{t("speaking.unsupported")}</p>}
+      <p style={{ opacity: 0.85 }}>
+        {t("speaking.readAloud")}
+        {canScore && ` ${t("speaking.compared")}`}
+        {scores.length > 0 &&
+          ` ${t("speaking.average", {
+            average: pct(scores.reduce((a, b) => a + b, 0) / scores.length),
+            count: scores.length,
+          })}`}
+      </p>
+
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 10 }}>
+        {available.map((s) => (
+          <button
+            key={s.id}
+            onClick={() => {
+              recognizer.stop();
+              setSourceId(s.id);
+              setIndex(0);
+              setError("");
+            }}
+            style={{ padding: "6px 10px", borderRadius: 10, opacity: s.id === source.id ? 1 : 0.7 }}
+          >
+            {s.label} ({s.lines.length})
+          </button>
+        ))}
+      </div>
+
+      <div style={box}>
+        <div style={{ fontSize: 12, opacity: 0.7 }}>
+          {t("common.sentence", { number: index + 1, total: source.lines.length })}
+        </div>
+        <p style={{ fontSize: 20 }}>
+          <b>{line}</b>
+        </p>
+
+        <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+          {ttsSupported && (
+            <button onClick={() => onSpeak([line])} style={{ padding: "6px 10px", borderRadius: 10 }}>
+              ▶ {t("speaking.listenFirst")}
+            </button>
+          )}
+          {canScore &&
+            (listening ? (
+              <button
+                onClick={() => recognizer.stop()}
+                style={{ padding: "6px 10px", borderRadius: 10, fontWeight: 700 }}
+              >
+                ⏹ {t("speaking.doneSpeaking")}
+              </button>
+            ) : (
+              <button onClick={speak} style={{ padding: "6px 10px", borderRadius: 10, fontWeight: 700 }}>
+                🎤 {t(result ? "speaking.tryAgain" : "speaking.speak")}
+              </button>
+            ))}
+        </div>
+
+        {listening && <p style={{ opacity: 0.8 }}>{t("speaking.listening")}</p>}
+        {error && <p style={{ color: "salmon" }}>{error}</p>}
+
+        {result && !listening && (
+          <div style={{ marginTop: 10 }}>
+            <div style={{ opacity: 0.8, marginBottom: 4 }}>
+              {t("speaking.heard", { heard: result.heard || "…" })} — <b>{pct(result.accuracy)}</b>{" "}
+              {t("speaking.words", { correct: result.correct, total: result.total })}
+            </div>
+            <WordDiff ops={result.ops} />
+          </div>
+        )}
+
+        <div style={{ display: "flex", gap: 8, marginTop: 10 }}>
+          <button onClick={() => go(index - 1)} disabled={index === 0} style={{ padding: "6px 10px", borderRadius: 10 }}>
+            {t("common.previous")}
+          </button>
+          <button
+            onClick={() => go(index + 1)}
+            disabled={index >= source.lines.length - 1}
+            style={{ padding: "6px 10px", borderRadius: 10 }}
+          >
+            {t("common.next")}
+          </button>
+        </div>
+      </div>
+    </>
+  );
+}
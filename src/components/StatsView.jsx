@@ -0,0 +1,168 @@
+import {
+  calendarWeeks,
+  formatDuration,
+  mostMissedQuestions,
+  overallScore,
+  statsByDay,
+  studyStreaks,
+  weakestGrammarTopics,
+} from "../lib/history.js";
+
+const box = { padding: 12, border: "1px solid #444", borderRadius: 12, marginBottom: 14 };
+const pct = (x) => `${Math.round((x || 0) * 100)}%`;
+
+function ScoreTrend({ attempts, t }) {
+  const points = attempts.slice(-30);
+  if (points.length < 2) return <p style={{ opacity: 0.75 }}>{t("stats.trendLater")}</p>;
+
+  const w = 600;
+  const h = 120;
+  const step = w / (points.length - 1);
+  const y = (score) => h - score * h;
+  const line = points.map((a, i) => `${(i * step).toFixed(1)},${y(overallScore(a)).toFixed(1)}`).join(" ");
+
+  return (
+    <svg viewBox={`-6 -6 ${w + 12} ${h + 12}`} style={{ width: "100%", height: 140 }} role="img" aria-label={t("stats.trendLabel")}>
+      <line x1={0} x2={w} y1={y(0.7)} y2={y(0.7)} stroke="#666" strokeDasharray="4 4" />
+      <polyline points={line} fill="none" stroke="#646cff" strokeWidth={2} />
+      {points.map((a, i) => (
+        <circle key={a.id} cx={i * step} cy={y(overallScore(a))} r={4} fill={a.passed ? "lightgreen" : "salmon"}>
+          <title>
+            {t("common.day", { day: a.day })} · {new Date(a.at).toLocaleString()} · {pct(overallScore(a))}{" "}
+            {t(a.passed ? "stats.passed" : "stats.notPassed")}
+          </title>
+        </circle>
+      ))}
+    </svg>
+  );
+}
+
+function StreakCalendar({ history, t }) {
+  const weeks = calendarWeeks(history);
+  const color = (c) => (c === 0 ? "#333" : c === 1 ? "#2e7d32" : c === 2 ? "#43a047" : "#66bb6a");
+
+  return (
+    <div style={{ display: "flex", gap: 3 }}>
+      {weeks.map((week) => (
+        <div key={week[0].date} style={{ display: "grid", gap: 3 }}>
+          {week.map((d) => (
+            <div
+              key={d.date}
+              title={t("stats.calendarDay", { date: d.date, count: d.count })}
+              style={{
+                width: 14,
+                height: 14,
+                borderRadius: 3,
+                background: d.future ? "transparent" : color(d.count),
+              }}
+            />
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default function StatsView({ history, t }) {
+  if (!history.length) {
+    return (
+      <>
+        <h2>📊 {t("stats.title")}</h2>
+        <p style={{ opacity: 0.85 }}>{t("stats.empty")}</p>
+      </>
+    );
+  }
+
+  const days = statsByDay(history);
+  const weakest = weakestGrammarTopics(history);
+  const missed = mostMissedQuestions(history);
+  const streaks = studyStreaks(history);
+  const totalTime = history.reduce((sum, a) => sum + (a.durationMs || 0), 0);
+  const passes = history.filter((a) => a.passed).length;
+
+  return (
+    <>
+      <h2>📊 {t("stats.title")}</h2>
+
+      <div style={{ ...box, display: "flex", gap: 24, flexWrap: "wrap" }}>
+        <div>
+          {t("stats.attempts")} <b>{history.length}</b> {t("stats.passes", { count: passes })}
+        </div>
+        <div>
+          {t("stats.timeSpent")} <b>{formatDuration(totalTime, t)}</b>
+        </div>
+        <div>
+          {t("stats.streak")} <b>{streaks.current}</b> {t("stats.longest", { count: streaks.longest })}
+        </div>
+      </div>
+
+      <h3>🔥 {t("stats.calendar")}</h3>
+      <div style={box}>
+        <StreakCalendar history={history} t={t} />
+      </div>
+
+      <h3>📈 {t("stats.trend")}</h3>
+      <div style={box}>
+        <ScoreTrend attempts={history} t={t} />
+      </div>
+
+      <h3>🧩 {t("stats.weakest")}</h3>
+      <div style={box}>
+        <ol style={{ margin: 0 }}>
+          {weakest.map((w) => (
+            <li key={w.title}>
+              <b>{w.title}</b>{" "}
+              {t("stats.weakTopic", { day: w.day, average: pct(w.average), attempts: w.attempts, missed: w.missed })}
+            </li>
+          ))}
+        </ol>
+      </div>
+
+      {missed.length > 0 && (
+        <>
+          <h3>❓ {t("stats.mostMissed")}</h3>
+          <div style={box}>
+            <ol style={{ margin: 0 }}>
+              {missed.map((m) => (
+                <li key={`${m.day}|${m.section}|${m.q}`}>
+                  {t("common.day", { day: m.day })} {t(`section.${m.section}`)}: {m.q} → <b>{m.answer}</b>{" "}
+                  {t("stats.missedCount", { count: m.count })}
+                </li>
+              ))}
+            </ol>
+          </div>
+        </>
+      )}
+
+      <h3>📅 {t("stats.perDay")}</h3>
+      <div style={{ ...box, overflowX: "auto" }}>
+        <table style={{ width: "100%", borderCollapse: "collapse", textAlign: "left" }}>
+          <thead>
+            <tr>
+              <th>{t("stats.colDay")}</th>
+              <th>{t("stats.colAttempts")}</th>
+              <th>{t("stats.colVocab")}</th>
+              <th>{t("stats.colGrammar")}</th>
+              <th>{t("stats.colListening")}</th>
+              <th>{t("stats.colTime")}</th>
+              <th>{t("stats.colPassed")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {days.map((d) => (
+              <tr key={d.day} title={d.topic}>
+                <td>{d.day}</td>
+                <td>{d.attempts}</td>
+                <td>{pct(d.best.vocab)}</td>
+                <td>{pct(d.best.grammar)}</td>
+                <td>{pct(d.best.listening)}</td>
+                <td>{formatDuration(d.timeMs, t)}</td>
+                <td>{d.passed ? "✅" : "❌"}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </>
+  );
+}
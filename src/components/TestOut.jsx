@@ -0,0 +1,97 @@
+import { useEffect, useRef, useState } from "react";
+import ChoiceGroup from "./ChoiceGroup.jsx";
+
+const box = { padding: 12, border: "1px solid #444", borderRadius: 12, marginBottom: 14 };
+
+/** Test-out quiz for a block of days; answers are shown only after submitting. */
+export default function TestOut({ block, questions, minScore, onPass, onClose, t }) {
+  const [chosen, setChosen] = useState({});
+  const [submitted, setSubmitted] = useState(false);
+  const resultRef = useRef(null);
+
+  // the Submit button is gone once submitted: focus (and so read out) the verdict instead
+  useEffect(() => {
+    if (submitted) resultRef.current?.focus();
+  }, [submitted]);
+
+  const answered = Object.keys(chosen).length;
+  const correct = questions.filter((q) => chosen[q.key] === q.answer).length;
+  const score = questions.length ? correct / questions.length : 0;
+  const passed = submitted && score >= minScore;
+
+  return (
+    <>
+      <h2>🎯 {t("dayNav.testOut", { from: block.from, to: block.to })}</h2>
+      <p style={{ opacity: 0.85 }}>
+        {t("testOut.intro", { count: questions.length, percent: Math.round(minScore * 100), day: block.to + 1 })}
+      </p>
+
+      {questions.map((q) => {
+        const pick = chosen[q.key];
+        return (
+          <div key={q.key} data-question tabIndex={-1} style={box}>
+            <div style={{ fontSize: 12, opacity: 0.7 }}>{t("common.day", { day: q.day })}</div>
+            <p id={`testout-${q.key}`}>
+              <b>{q.prompt}</b>
+            </p>
+            <ChoiceGroup
+              choices={q.choices}
+              chosen={pick}
+              answer={q.answer}
+              locked={submitted}
+              revealed={submitted}
+              labelledBy={`testout-${q.key}`}
+              describedBy={submitted ? `testout-${q.key}-feedback` : undefined}
+              onChoose={(c) => setChosen((prev) => ({ ...prev, [q.key]: c }))}
+              t={t}
+            />
+            {submitted && (
+              <p id={`testout-${q.key}-feedback`} style={{ marginBottom: 0, marginTop: 10 }}>
+                {pick === q.answer ? (
+                  <span style={{ color: "lightgreen" }}>✅ {t("quiz.correct")}</span>
+                ) : (
+                  <span style={{ color: "salmon" }}>
+                    ❌ {t("testOut.correctAnswer")} <b>{q.answer}</b>
+                  </span>
+                )}
+              </p>
+            )}
+          </div>
+        );
+      })}
+
+      {!submitted ? (
+        <div style={{ display: "flex", gap: 8 }}>
+          <button
+            disabled={answered < questions.length}
+            onClick={() => setSubmitted(true)}
+            style={{ padding: "10px 14px", borderRadius: 12, fontWeight: 800 }}
+          >
+            {t("testOut.submit", { answered, total: questions.length })}
+          </button>
+          <button onClick={onClose} style={{ padding: "10px 14px", borderRadius: 12 }}>
+            {t("common.cancel")}
+          </button>
+        </div>
+      ) : (
+        <div style={box}>
+          <h3 ref={resultRef} tabIndex={-1} style={{ marginTop: 0 }}>
+            {passed ? `✅ ${t("result.passed")}` : `❌ ${t("result.notPassed")}`} — {correct} / {questions.length}
+          </h3>
+          {passed ? (
+            <button onClick={onPass} style={{ padding: "8px 12px", borderRadius: 10, fontWeight: 700 }}>
+              {t("testOut.goTo", { day: block.to + 1 })}
+            </button>
+          ) : (
+            <>
+              <p style={{ marginTop: 0 }}>{t("testOut.failed")}</p>
+              <button onClick={onClose} style={{ padding: "8px 12px", borderRadius: 10 }}>
+                {t("testOut.backToCourse")}
+              </button>
+            </>
+          )}
+        </div>
+      )}
+    </>
+  );
+}
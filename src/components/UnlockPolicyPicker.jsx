@@ -0,0 +1,77 @@
+import { dateKey } from "../lib/history.js";
+import { UNLOCK_POLICIES, normalizePolicy } from "../lib/unlockPolicy.js";
+
+const small = { fontSize: 13 };
+const input = { width: 70, padding: 4, borderRadius: 6 };
+
+/** Unlocking policy of the active profile. "Course default" (null) follows the pack's policy. */
+export default function UnlockPolicyPicker({ profilePolicy, packPolicy, onChange, t }) {
+  const own = normalizePolicy(profilePolicy);
+  const effective = own || normalizePolicy(packPolicy) || { type: "linear" };
+
+  function choose(type) {
+    if (!type) {
+      onChange(null);
+      return;
+    }
+    // a calendar chosen here starts today
+    onChange(normalizePolicy(type === "calendar" ? { type, startDate: dateKey(Date.now()) } : { type }));
+  }
+
+  return (
+    <div style={{ display: "flex", gap: 6, flexWrap: "wrap", alignItems: "center", marginTop: 8 }}>
+      <span style={{ ...small, opacity: 0.8 }}>🔓 {t("policy.label")}</span>
+      <select value={own?.type || ""} onChange={(e) => choose(e.target.value)} style={{ padding: 6, borderRadius: 8 }}>
+        <option value="">
+          {t("policy.courseDefault", { label: t(`policy.${normalizePolicy(packPolicy)?.type || "linear"}`) })}
+        </option>
+        {UNLOCK_POLICIES.map((p) => (
+          <option key={p.id} value={p.id}>
+            {t(`policy.${p.id}`)}
+          </option>
+        ))}
+      </select>
+
+      {own?.type === "calendar" && (
+        <label style={small}>
+          {t("policy.from")}{" "}
+          <input
+            type="date"
+            value={own.startDate}
+            onChange={(e) => onChange(normalizePolicy({ ...own, startDate: e.target.value }))}
+            style={{ padding: 4, borderRadius: 6 }}
+          />
+        </label>
+      )}
+      {own?.type === "testout" && (
+        <label style={small}>
+          {t("policy.blockOf")}{" "}
+          <input
+            type="number"
+            min="2"
+            max="15"
+            value={own.blockSize}
+            onChange={(e) => onChange(normalizePolicy({ ...own, blockSize: e.target.value }))}
+            style={input}
+          />{" "}
+          {t("policy.days")}
+        </label>
+      )}
+      {own?.type === "reviews" && (
+        <label style={small}>
+          <input
+            type="number"
+            min="1"
+            max="200"
+            value={own.minReviews}
+            onChange={(e) => onChange(normalizePolicy({ ...own, minReviews: e.target.value }))}
+            style={input}
+          />{" "}
+          {t("policy.reviewsPerDay")}
+        </label>
+      )}
+
+      <span style={{ fontSize: 12, opacity: 0.7 }}>{t(`policy.${effective.type}.hint`)}</span>
+    </div>
+  );
+}
@@ -0,0 +1,26 @@
+const OP_STYLES = {
+  ok: { color: "lightgreen" },
+  wrong: { color: "salmon" },
+  missing: { color: "salmon", textDecoration: "underline dotted" },
+  extra: { color: "salmon", textDecoration: "line-through", opacity: 0.8 },
+};
+
+/** Word-by-word comparison from `diffWords` (ok / wrong / missing / extra) */
+export default function WordDiff({ ops }) {
+  return (
+    <div style={{ lineHeight: 1.9 }}>
+      {ops.map((op, i) => (
+        <span key={i} style={{ ...OP_STYLES[op.type], marginRight: 6 }}>
+          {op.type === "ok" && op.word}
+          {op.type === "missing" && <>[{op.word}]</>}
+          {op.type === "extra" && op.typed}
+          {op.type === "wrong" && (
+            <>
+              <s style={{ opacity: 0.8 }}>{op.typed}</s> → <b>{op.word}</b>
+            </>
+          )}
+        </span>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,202 @@
+/**
+ * Audio backends behind one interface, so the app does not depend on the
+ * voices of the learner's OS:
+ *
+ *   provider.capabilities        → { voices, rate, pitch, boundaries }
+ *   provider.isAvailable()       → boolean
+ *   provider.speak(item, opts)   → { done: Promise<void>, cancel(), pause(), resume() }
+ *
+ * item: `{ text, audio? }` where audio is `{ src, start?, end? }` (seconds).
+ * opts: `{ voice, rate, pitch, onBoundary(charIndex, charLength), onError({ key, params }) }`
+ * (a catalog message, see lib/i18n.js).
+ * `done` resolves when playback ends, is cancelled or fails; a failure calls
+ * onError and the queue moves on, like the old utterance onerror handler.
+ * A paused item keeps its place; `done` waits until it is resumed and ends.
+ */
+
+const clamp = (x) => Math.max(0.6, Math.min(1.4, Number(x) || 1));
+
+// ---------- Web Speech (browser / OS voices) ----------
+
+let speechGeneration = 0; // bumped on every utterance; a stale delayed cancel must not hit a newer one
+
+function cancelSpeech() {
+  const generation = speechGeneration;
+  try {
+    // cancel now + again shortly (Safari sometimes needs the second)
+    window.speechSynthesis.cancel();
+    setTimeout(() => {
+      if (speechGeneration !== generation) return;
+      try {
+        window.speechSynthesis.cancel();
+      } catch {
+        // ignore
+      }
+    }, 50);
+  } catch {
+    // ignore
+  }
+}
+
+export const webSpeechProvider = {
+  id: "webspeech",
+  label: "Browser voices (Web Speech)",
+  capabilities: { voices: true, rate: true, pitch: true, boundaries: true },
+
+  isAvailable() {
+    return typeof window !== "undefined" && "speechSynthesis" in window;
+  },
+
+  speak(item, { voice, rate, pitch, onBoundary, onError } = {}) {
+    let finish;
+    const done = new Promise((resolve) => {
+      finish = resolve;
+    });
+
+    const u = new SpeechSynthesisUtterance(item.text);
+    if (voice) u.voice = voice;
+    u.lang = voice?.lang || "de-DE";
+    u.rate = clamp(rate);
+    u.pitch = clamp(pitch);
+    u.onend = () => finish();
+    u.onerror = (e) => {
+      if (e.error && e.error !== "interrupted" && e.error !== "canceled") onError?.({ key: "audio.speechFailed", params: { error: e.error } });
+      finish();
+    };
+    if (onBoundary) {
+      u.onboundary = (e) => {
+        if (e.name === "word") onBoundary(e.charIndex, e.charLength);
+      };
+    }
+
+    speechGeneration += 1;
+    try {
+      // Some browsers need this “kick” if synthesis is paused
+      if (window.speechSynthesis.paused) window.speechSynthesis.resume();
+      window.speechSynthesis.speak(u);
+    } catch {
+      finish();
+    }
+
+    return {
+      done,
+      cancel() {
+        cancelSpeech();
+        finish();
+      },
+      pause() {
+        window.speechSynthesis.pause();
+      },
+      resume() {
+        window.speechSynthesis.resume();
+      },
+    };
+  },
+};
+
+// ---------- <audio> playback (recordings and TTS servers) ----------
+
+function playAudio(src, { rate = 1, start = 0, end = null, onError } = {}) {
+  let finish;
+  const done = new Promise((resolve) => {
+    finish = resolve;
+  });
+
+  const el = new Audio(src);
+  el.preservesPitch = true;
+  el.playbackRate = clamp(rate);
+
+  const stop = () => {
+    el.pause();
+    el.removeAttribute("src");
+    finish();
+  };
+
+  el.addEventListener("ended", finish);
+  el.addEventListener("error", () => {
+    onError?.({ key: "audio.loadFailed", params: { src } });
+    finish();
+  });
+  if (end != null) {
+    el.addEventListener("timeupdate", () => {
+      if (el.currentTime >= end) stop();
+    });
+  }
+
+  const begin = () => {
+    if (start) el.currentTime = start;
+    el.play().catch((err) => {
+      if (err?.name !== "AbortError") onError?.({ key: "audio.playbackFailed", params: { error: err?.message || err } });
+      finish();
+    });
+  };
+  if (start) el.addEventListener("loadedmetadata", begin, { once: true });
+  else begin();
+
+  return {
+    done,
+    cancel: stop,
+    pause: () => el.pause(),
+    resume: () =>
+      el.play().catch((err) => {
+        if (err?.name !== "AbortError") onError?.({ key: "audio.playbackFailed", params: { error: err?.message || err } });
+        finish();
+      }),
+  };
+}
+
+/** Pre-recorded files from the optional `audio` field of listening segments. Rate works, pitch and voice don't. */
+export const recordingProvider = {
+  id: "recording",
+  label: "Recorded audio",
+  capabilities: { voices: false, rate: true, pitch: false, boundaries: false },
+
+  isAvailable() {
+    return typeof Audio !== "undefined";
+  },
+
+  speak(item, { rate, onError } = {}) {
+    return playAudio(item.audio.src, { rate, start: item.audio.start, end: item.audio.end, onError });
+  },
+};
+
+export const DEFAULT_SERVER_URL = "http://localhost:5002/api/tts?text={text}";
+
+/**
+ * A local HTTP TTS server (Piper, Coqui, an espeak wrapper…) that returns audio for a GET request.
+ * The URL template may use {text}, {voice} and {rate}; without {rate} the speed is the playback rate.
+ */
+export function createServerProvider(urlTemplate, voiceName = "") {
+  const template = String(urlTemplate || "").trim();
+  const serverRate = template.includes("{rate}");
+
+  return {
+    id: "server",
+    label: "Local TTS server",
+    capabilities: { voices: template.includes("{voice}"), rate: true, pitch: false, boundaries: false },
+
+    isAvailable() {
+      return !!template && typeof Audio !== "undefined";
+    },
+
+    speak(item, { rate, onError } = {}) {
+      const src = template
+        .replace("{text}", encodeURIComponent(item.text))
+        .replace("{voice}", encodeURIComponent(voiceName))
+        .replace("{rate}", encodeURIComponent(clamp(rate)));
+      return playAudio(src, { rate: serverRate ? 1 : rate, onError });
+    },
+  };
+}
+
+/**
+ * Player items of a listening segment. With a recording, `audioMarks` (start second of
+ * every sentence) allow sentence-level playback; without marks the recording plays whole.
+ */
+export function segmentAudioItems(seg, sentences, useRecordings = true) {
+  if (!useRecordings || !seg.audio) return sentences.map((text) => ({ text }));
+
+  const marks = seg.audioMarks || [];
+  if (marks.length !== sentences.length) return [{ text: seg.text, audio: { src: seg.audio } }];
+  return sentences.map((text, i) => ({ text, audio: { src: seg.audio, start: marks[i], end: marks[i + 1] ?? null } }));
+}
@@ -0,0 +1,141 @@
+/** Progress backup: one JSON file with everything needed to continue on another device */
+
+import { DEFAULT_PACK_ID } from "./coursePacks.js";
+import { MAX_ATTEMPTS } from "./history.js";
+import { messageError } from "./i18n.js";
+import { SECTION_LABELS } from "./mistakes.js";
+import { PROGRESS_VERSION, migrateProgress, sanitizeProgress } from "./progressStore.js";
+
+export const EXPORT_FORMAT = "a2-trainer-progress";
+export const EXPORT_VERSION = 1;
+
+const isObject = (x) => !!x && typeof x === "object" && !Array.isArray(x);
+const isNumber = (x) => typeof x === "number" && Number.isFinite(x);
+const isText = (x) => typeof x === "string" && x.length > 0;
+
+// SM-2 state as lib/srs.js schedules it
+function validCard(c) {
+  return isObject(c) && ["ease", "interval", "reps", "lapses", "due"].every((k) => isNumber(c[k]));
+}
+
+// what MistakeDrill needs to ask the question again
+function validMistake(m, id) {
+  return (
+    isObject(m) &&
+    m.id === id &&
+    isNumber(m.day) &&
+    m.section in SECTION_LABELS &&
+    isText(m.prompt) &&
+    isText(m.answer) &&
+    Array.isArray(m.choices) &&
+    m.choices.every(isText) &&
+    m.choices.includes(m.answer) &&
+    isNumber(m.misses)
+  );
+}
+
+// fields of lib/session.js that are present must have their type; missing ones default on load
+function validSession(s) {
+  const maps = ["vocabChosen", "grammarChosen", "listeningChosen", "dictation"];
+  return (
+    isObject(s) &&
+    maps.every((k) => s[k] === undefined || isObject(s[k])) &&
+    (s.seed === undefined || typeof s.seed === "string") &&
+    (s.vocabAttempt === undefined || isNumber(s.vocabAttempt)) &&
+    (s.outputText === undefined || typeof s.outputText === "string") &&
+    (s.exam === undefined || s.exam === null || isObject(s.exam))
+  );
+}
+
+// keeps the entries of an imported map that pass `valid(value, key)`; anything else → {}
+function validEntries(map, valid) {
+  if (!isObject(map)) return {};
+  return Object.fromEntries(Object.entries(map).filter(([key, value]) => valid(value, key)));
+}
+
+export function buildExport({ pack, progress, srs, history, mistakes, sessions }, now = Date.now()) {
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date(now).toISOString(),
+    pack,
+    progressVersion: PROGRESS_VERSION,
+    progress,
+    srs,
+    history,
+    mistakes,
+    sessions,
+  };
+}
+
+export function downloadJson(filename, data) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Reads an exported file. Throws a `messageError` (lib/i18n.js) when the
+ * file is not a progress export; optional parts that are malformed are dropped, entry by entry.
+ */
+export function parseImport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw messageError("common.invalidJson");
+  }
+  if (!isObject(data) || data.format !== EXPORT_FORMAT) {
+    throw messageError("backup.notExport");
+  }
+  if (!(Number(data.version) >= 1) || data.version > EXPORT_VERSION) {
+    throw messageError("backup.unsupportedVersion", { version: data.version, max: EXPORT_VERSION });
+  }
+  if (!isObject(data.progress)) throw messageError("backup.noProgress");
+
+  return {
+    exportedAt: data.exportedAt || null,
+    pack: typeof data.pack === "string" ? data.pack : DEFAULT_PACK_ID, // exports before course packs
+    progress: migrateProgress(data.progress, data.progressVersion ?? data.progress.version ?? 10),
+    srs: validEntries(data.srs, validCard),
+    history: Array.isArray(data.history) ? data.history.filter((a) => isObject(a) && a.id && a.at) : [],
+    mistakes: validEntries(data.mistakes, validMistake),
+    sessions: validEntries(data.sessions, (s, day) => Number(day) >= 1 && validSession(s)),
+  };
+}
+
+// per key, the incoming entry replaces the local one only when `newer(incoming, local)`
+function mergeMaps(a, b, newer) {
+  const out = { ...a };
+  for (const [key, value] of Object.entries(b || {})) {
+    out[key] = key in out && !newer(value, out[key]) ? out[key] : value;
+  }
+  return out;
+}
+
+/**
+ * Merges an import into the local data: the further unlock wins, history is the
+ * union of both (by attempt id), and per-item state keeps the more recent copy.
+ */
+export function mergeProgressData(local, incoming) {
+  const maxUnlockedDay = Math.max(local.progress.maxUnlockedDay, incoming.progress.maxUnlockedDay);
+  const progress = sanitizeProgress({ ...local.progress, maxUnlockedDay });
+
+  const byId = new Map(local.history.map((a) => [a.id, a]));
+  incoming.history.forEach((a) => byId.has(a.id) || byId.set(a.id, a));
+  const history = [...byId.values()].sort((a, b) => a.at - b.at).slice(-MAX_ATTEMPTS);
+
+  return {
+    progress,
+    history,
+    srs: mergeMaps(local.srs, incoming.srs, (x, y) => (x?.lastReviewed || 0) > (y?.lastReviewed || 0)),
+    mistakes: mergeMaps(local.mistakes, incoming.mistakes, (x, y) => (x?.lastSeenAt || 0) > (y?.lastSeenAt || 0)),
+    sessions: mergeMaps(local.sessions, incoming.sessions, (x, y) => (x?.updatedAt || 0) > (y?.updatedAt || 0)),
+  };
+}
@@ -0,0 +1,168 @@
+/**
+ * Course packs: separate day lists (A2 core, a B1 track, topic packs…), each with its own progress.
+ *
+ * Pack file:
+ *   { "format": "a2-trainer-pack", "version": 1, "id": "b1-track", "title": "B1 Track", "level": "B1", "days": [ …day plans… ] }
+ *
+ * Optional `"unlockPolicy": { "type": "calendar" }` etc. sets how days open (see lib/unlockPolicy.js).
+ *
+ * Packs come from the bundle (dayPlans.json + src/data/packs/*.json), from a file the learner
+ * picks, or from a URL (e.g. a local server). Loaded packs are kept in localStorage.
+ * The stores keep pack data under `KEY#<packId>` (see packKey in lib/profiles.js);
+ * the bundled A2 course owns the plain keys, so existing progress stays with it.
+ */
+
+import rawDayPlans from "../data/dayPlans.json";
+import { validateDayPlans } from "./dayPlanSchema.js";
+import { messageError } from "./i18n.js";
+import { normalizePolicy } from "./unlockPolicy.js";
+
+export const PACK_FORMAT = "a2-trainer-pack";
+export const PACK_VERSION = 1;
+export const DEFAULT_PACK_ID = "a2";
+export const INSTALLED_PACKS_KEY = "a2_packs_v1";
+
+const PACK_ID_RE = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+const isObject = (x) => !!x && typeof x === "object" && !Array.isArray(x);
+
+const DEFAULT_PACK = {
+  id: DEFAULT_PACK_ID,
+  title: "A2 in 30 days",
+  level: "A2",
+  days: rawDayPlans,
+  source: { type: "bundled" },
+};
+
+// every src/data/packs/*.json is bundled; a broken one is skipped rather than breaking the app
+const packFiles = import.meta.glob("../data/packs/*.json", { eager: true, import: "default" });
+
+export const BUNDLED_PACKS = [
+  DEFAULT_PACK,
+  ...Object.entries(packFiles).flatMap(([path, data]) => {
+    try {
+      return [parsePack(data, { type: "bundled" })];
+    } catch (e) {
+      console.warn(`Skipping course pack ${path}: ${e.message}`);
+      return [];
+    }
+  }),
+];
+
+/**
+ * Checks a pack (parsed JSON or text). Throws a `messageError` (lib/i18n.js) when it
+ * is not a usable pack; day plans with errors are rejected as a whole.
+ */
+export function parsePack(input, source) {
+  let data = input;
+  if (typeof input === "string") {
+    try {
+      data = JSON.parse(input);
+    } catch {
+      throw messageError("common.invalidJson");
+    }
+  }
+  if (!isObject(data) || data.format !== PACK_FORMAT) {
+    throw messageError("pack.notPack", { format: PACK_FORMAT });
+  }
+  if (!(Number(data.version) >= 1) || data.version > PACK_VERSION) {
+    throw messageError("pack.unsupportedVersion", { version: data.version, max: PACK_VERSION });
+  }
+  if (typeof data.id !== "string" || !PACK_ID_RE.test(data.id)) {
+    throw messageError("pack.badId");
+  }
+  if (typeof data.title !== "string" || !data.title.trim()) throw messageError("pack.noTitle");
+  if (!Array.isArray(data.days) || !data.days.length) throw messageError("pack.noDays");
+  if (data.unlockPolicy !== undefined && !normalizePolicy(data.unlockPolicy)) {
+    throw messageError("pack.badPolicy", { policy: JSON.stringify(data.unlockPolicy) });
+  }
+
+  const report = validateDayPlans(data.days);
+  if (report.errorCount) {
+    // schema messages stay English, as validate:plans prints them
+    const first = [...report.fileIssues, ...report.days.flatMap((d) => d.issues.map((x) => ({ ...x, day: d.day })))]
+      .filter((x) => x.level === "error")
+      .slice(0, 3)
+      .map((x) => `${x.day ? `#${x.day} ` : ""}${x.path}: ${x.message}`);
+    throw messageError("pack.dayErrors", { count: report.errorCount, examples: first.join("; ") });
+  }
+
+  return {
+    id: data.id,
+    title: data.title.trim(),
+    level: typeof data.level === "string" ? data.level : "",
+    days: data.days,
+    unlockPolicy: normalizePolicy(data.unlockPolicy),
+    source,
+  };
+}
+
+/** Fetches a pack from a URL; errors are `messageError`s like parsePack's. */
+export async function fetchPack(url) {
+  let res;
+  try {
+    res = await fetch(url, { cache: "no-store" });
+  } catch {
+    throw messageError("pack.unreachable", { url });
+  }
+  if (!res.ok) throw messageError("pack.httpError", { url, status: `${res.status} ${res.statusText}`.trim() });
+  return parsePack(await res.text(), { type: "url", url });
+}
+
+export function loadInstalledPacks() {
+  try {
+    const saved = localStorage.getItem(INSTALLED_PACKS_KEY);
+    const parsed = saved ? JSON.parse(saved) : [];
+    return Array.isArray(parsed) ? parsed.filter((p) => isObject(p) && p.id && Array.isArray(p.days)) : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveInstalledPacks(packs) {
+  try {
+    localStorage.setItem(INSTALLED_PACKS_KEY, JSON.stringify(packs));
+  } catch {
+    // storage full: the pack stays loaded until the tab is closed
+  }
+}
+
+/** Adds a pack or replaces the one with the same id. Bundled packs cannot be replaced. */
+export function installPack(installed, pack) {
+  if (BUNDLED_PACKS.some((p) => p.id === pack.id)) {
+    throw messageError("pack.builtIn", { id: pack.id });
+  }
+  const rest = installed.filter((p) => p.id !== pack.id);
+  return [...rest, pack];
+}
+
+export function uninstallPack(installed, id) {
+  return installed.filter((p) => p.id !== id);
+}
+
+/** Removes every stored key of a pack (progress, SRS, history… of all profiles). */
+export function removePackData(id) {
+  const marker = `#${id}`;
+  const keys = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key && (key.endsWith(marker) || key.includes(`${marker}@`))) keys.push(key);
+  }
+  keys.forEach((k) => localStorage.removeItem(k));
+}
+
+export function allPacks(installed) {
+  return [...BUNDLED_PACKS, ...installed];
+}
+
+/** The pack to use for `id`; falls back to the bundled course when it was removed. */
+export function findPack(packs, id) {
+  return packs.find((p) => p.id === id) || DEFAULT_PACK;
+}
+
+/** What "Export" writes: dayPlans.json for the bundled course, a pack file for the others. */
+export function packFile(pack, days) {
+  if (pack.id === DEFAULT_PACK_ID) return days;
+  const { id, title, level, unlockPolicy } = pack;
+  return { format: PACK_FORMAT, version: PACK_VERSION, id, title, level, ...(unlockPolicy ? { unlockPolicy } : {}), days };
+}
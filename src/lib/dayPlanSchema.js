@@ -0,0 +1,572 @@
+/**
+ * Day plan schema, validator and normalizer.
+ *
+ * The schema is a small declarative description of one entry in dayPlans.json.
+ * `validateDayPlans` reports structural and content problems per day (used by
+ * scripts/validateDayPlans.js), `normalizeDayPlan` fills in safe defaults so the
+ * App never has to guard against missing sections.
+ */
+
+import { GAP_MARK } from "./grammarItems.js";
+
+const str = { type: "string" };
+const nonEmptyStr = { type: "string", minLength: 1 };
+const strList = { type: "array", items: str };
+const ratio = { type: "number", min: 0, max: 1 };
+// translations of a word or prompt by language code, e.g. { "tr": "…", "ar": "…" } (see lib/i18n.js)
+const glosses = { type: "object", keys: /^[a-z]{2,3}(-[A-Za-z0-9]+)?$/, values: nonEmptyStr };
+
+// per exam section: lesen / hoeren / schreiben / sprechen
+const examSectionNumbers = {
+  type: "object",
+  properties: {
+    lesen: { type: "number", min: 1 },
+    hoeren: { type: "number", min: 1 },
+    schreiben: { type: "number", min: 1 },
+    sprechen: { type: "number", min: 1 },
+  },
+};
+
+const choiceQuestion = (promptKey, answerKey) => ({
+  type: "object",
+  required: [promptKey, "choices", answerKey],
+  properties: {
+    [promptKey]: nonEmptyStr,
+    choices: { type: "array", items: nonEmptyStr, minItems: 2 },
+    [answerKey]: nonEmptyStr,
+    glosses,
+  },
+});
+
+// grammar.quiz items by `type` (see lib/grammarItems.js); checked per item in validateDayPlan
+const GRAMMAR_ITEM_SCHEMAS = {
+  choice: choiceQuestion("q", "a"),
+  gap: {
+    type: "object",
+    required: ["q", "a"],
+    properties: { q: nonEmptyStr, a: nonEmptyStr, accept: { type: "array", items: nonEmptyStr }, glosses },
+  },
+  order: {
+    type: "object",
+    required: ["q", "tiles"],
+    properties: {
+      q: nonEmptyStr,
+      tiles: { type: "array", items: nonEmptyStr, minItems: 2 },
+      accept: { type: "array", items: nonEmptyStr },
+      glosses,
+    },
+  },
+  match: {
+    type: "object",
+    required: ["q", "pairs"],
+    properties: {
+      q: nonEmptyStr,
+      pairs: { type: "array", items: { type: "array", items: nonEmptyStr, minItems: 2 }, minItems: 2 },
+      glosses,
+    },
+  },
+};
+
+export const DAY_PLAN_SCHEMA = {
+  type: "object",
+  required: ["day", "topic", "vocab_list", "vocab_quiz", "grammar", "listening", "output", "outputRules", "passRules"],
+  properties: {
+    day: { type: "integer", min: 1 },
+    topic: nonEmptyStr,
+    vocab_list: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["de", "en"],
+        // `en` is the gloss every language falls back to
+        properties: { de: nonEmptyStr, en: nonEmptyStr, glosses },
+      },
+    },
+    vocab_quiz: { type: "array", items: choiceQuestion("word", "answer") },
+    grammar: {
+      type: "object",
+      required: ["title", "rules", "examples", "quiz"],
+      properties: {
+        title: nonEmptyStr,
+        rules: strList,
+        examples: strList,
+        quiz: { type: "array", items: { type: "object", properties: { type: str } } },
+      },
+    },
+    listening: {
+      type: "object",
+      properties: {
+        level: str,
+        totalMinutes: { type: "number", min: 0 },
+        segments: {
+          type: "array",
+          items: {
+            type: "object",
+            required: ["title", "text", "quiz"],
+            properties: {
+              id: { type: "integer" },
+              title: str,
+              repeat: { type: "integer", min: 1 },
+              text: nonEmptyStr,
+              quiz: { type: "array", items: choiceQuestion("q", "a") },
+              // optional recording; audioMarks = start second of each sentence
+              audio: str,
+              audioMarks: { type: "array", items: { type: "number", min: 0 } },
+            },
+          },
+        },
+        // legacy shape: one text + quiz instead of segments
+        text: str,
+        quiz: { type: "array", items: choiceQuestion("q", "a") },
+      },
+    },
+    output: {
+      type: "object",
+      required: ["prompt"],
+      properties: { prompt: nonEmptyStr },
+    },
+    outputRules: {
+      type: "object",
+      required: ["minSentences", "mustIncludeAny", "mustIncludeAllPatterns", "mustUseVocabAtLeast"],
+      properties: {
+        minSentences: { type: "integer", min: 0 },
+        mustIncludeAny: strList,
+        mustIncludeAllPatterns: strList,
+        mustUseVocabAtLeast: { type: "integer", min: 0 },
+      },
+    },
+    passRules: {
+      type: "object",
+      required: ["vocabMinCorrect", "grammarMinCorrect", "listeningMinCorrect", "minOutputChars"],
+      properties: {
+        vocabMinCorrect: ratio,
+        grammarMinCorrect: ratio,
+        listeningMinCorrect: ratio,
+        minOutputChars: { type: "integer", min: 0 },
+        dictationCountsTowardListening: { type: "boolean" },
+      },
+    },
+    examMode: { type: "boolean" },
+    exam: {
+      type: "object",
+      properties: {
+        minutes: examSectionNumbers,
+        points: examSectionNumbers,
+        maxPlays: { type: "integer", min: 1 },
+        speaking: strList,
+      },
+    },
+  },
+};
+
+// Sections the App can run without; a missing one is only a warning
+const OPTIONAL_SECTIONS = { vocab_quiz: "generated from vocab_list" };
+
+const DEFAULT_OUTPUT_RULES = {
+  minSentences: 0,
+  mustIncludeAny: [],
+  mustIncludeAllPatterns: [],
+  mustUseVocabAtLeast: 0,
+};
+
+const DEFAULT_PASS_RULES = {
+  vocabMinCorrect: 0.8,
+  grammarMinCorrect: 0.7,
+  listeningMinCorrect: 0.67,
+  minOutputChars: 120,
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === "number") return actual === "number" || actual === "integer";
+  return actual === type;
+}
+
+function joinPath(path, key) {
+  if (typeof key === "number") return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+function checkSchema(value, schema, path, issues) {
+  if (!matchesType(value, schema.type)) {
+    issues.push({ level: "error", path, message: `expected ${schema.type}, got ${typeOf(value)}` });
+    return;
+  }
+
+  if (schema.type === "string" && schema.minLength && value.trim().length < schema.minLength) {
+    issues.push({ level: "error", path, message: "must not be empty" });
+  }
+
+  if (schema.type === "number" || schema.type === "integer") {
+    if (schema.min !== undefined && value < schema.min) {
+      issues.push({ level: "error", path, message: `must be ≥ ${schema.min} (got ${value})` });
+    }
+    if (schema.max !== undefined && value > schema.max) {
+      issues.push({ level: "error", path, message: `must be ≤ ${schema.max} (got ${value})` });
+    }
+  }
+
+  if (schema.type === "array") {
+    if (schema.minItems && value.length < schema.minItems) {
+      issues.push({ level: "error", path, message: `needs at least ${schema.minItems} items` });
+    }
+    if (schema.items) value.forEach((item, i) => checkSchema(item, schema.items, joinPath(path, i), issues));
+  }
+
+  if (schema.type === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        const fallback = path === "" ? OPTIONAL_SECTIONS[key] : undefined;
+        issues.push({
+          level: fallback ? "warning" : "error",
+          path: joinPath(path, key),
+          message: path === "" ? `missing section${fallback ? ` (${fallback})` : ""}` : "missing field",
+        });
+      }
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) checkSchema(value[key], sub, joinPath(path, key), issues);
+    }
+    // maps with free keys (glosses)
+    if (schema.values) {
+      for (const [key, sub] of Object.entries(value)) {
+        if (schema.keys && !schema.keys.test(key)) {
+          issues.push({ level: "warning", path: joinPath(path, key), message: "is not a language code" });
+        }
+        checkSchema(sub, schema.values, joinPath(path, key), issues);
+      }
+    }
+  }
+}
+
+function checkDuplicates(values, path, what, issues, { ignoreCase = true } = {}) {
+  const firstSeen = new Map();
+  values.forEach((v, i) => {
+    if (typeof v !== "string") return;
+    const key = ignoreCase ? v.trim().toLowerCase() : v.trim();
+    if (firstSeen.has(key)) {
+      issues.push({
+        level: "error",
+        path: joinPath(path, i),
+        message: `duplicate ${what} "${v}" (first at ${joinPath(path, firstSeen.get(key))})`,
+      });
+    } else {
+      firstSeen.set(key, i);
+    }
+  });
+}
+
+function checkChoiceQuestions(list, path, answerKey, issues) {
+  if (!Array.isArray(list)) return;
+  list.forEach((q, i) => {
+    if (!q || !Array.isArray(q.choices)) return;
+    const qPath = joinPath(path, i);
+    // "Fieber" vs. "fieber" is a legitimate capitalisation question
+    checkDuplicates(q.choices, joinPath(qPath, "choices"), "choice", issues, { ignoreCase: false });
+    if (typeof q[answerKey] === "string" && !q.choices.includes(q[answerKey])) {
+      issues.push({
+        level: "error",
+        path: joinPath(qPath, answerKey),
+        message: `answer "${q[answerKey]}" is not one of the choices`,
+      });
+    }
+  });
+}
+
+export function isValidRegex(pattern) {
+  try {
+    new RegExp(pattern, "i");
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** Returns a list of `{ level, path, message }` issues for one day plan. */
+export function validateDayPlan(plan) {
+  const issues = [];
+  if (!plan || typeof plan !== "object" || Array.isArray(plan)) {
+    return [{ level: "error", path: "", message: "day plan must be an object" }];
+  }
+
+  checkSchema(plan, DAY_PLAN_SCHEMA, "", issues);
+
+  if (Array.isArray(plan.vocab_list)) {
+    checkDuplicates(plan.vocab_list.map((v) => v?.de), "vocab_list", "word", issues);
+  }
+  if (Array.isArray(plan.vocab_quiz)) {
+    checkDuplicates(plan.vocab_quiz.map((q) => q?.word), "vocab_quiz", "question", issues);
+    checkChoiceQuestions(plan.vocab_quiz, "vocab_quiz", "answer", issues);
+  }
+  if (Array.isArray(plan.grammar?.quiz)) {
+    const choiceItems = [];
+    plan.grammar.quiz.forEach((q, i) => {
+      const path = `grammar.quiz[${i}]`;
+      const type = q?.type ?? "choice";
+      const schema = GRAMMAR_ITEM_SCHEMAS[type];
+      if (!schema) {
+        issues.push({ level: "error", path: `${path}.type`, message: `unknown item type "${type}"` });
+        return;
+      }
+      if (!q || typeof q !== "object") return; // reported by the schema check
+      checkSchema(q, schema, path, issues);
+      if (type === "choice") choiceItems[i] = q;
+      if (type === "match" && Array.isArray(q.pairs)) {
+        checkDuplicates(q.pairs.map((p) => p?.[0]), `${path}.pairs`, "left side", issues);
+        checkDuplicates(q.pairs.map((p) => p?.[1]), `${path}.pairs`, "right side", issues);
+      }
+      if (type === "gap" && typeof q.q === "string" && !GAP_MARK.test(q.q)) {
+        issues.push({ level: "warning", path: `${path}.q`, message: "has no ___ gap; the input goes below the prompt" });
+      }
+    });
+    checkChoiceQuestions(choiceItems, "grammar.quiz", "a", issues);
+  }
+
+  const L = plan.listening;
+  if (L && typeof L === "object") {
+    if (Array.isArray(L.segments)) {
+      if (!L.segments.length) issues.push({ level: "error", path: "listening.segments", message: "has no segments" });
+      L.segments.forEach((seg, i) => {
+        checkChoiceQuestions(seg?.quiz, `listening.segments[${i}].quiz`, "a", issues);
+        const marks = seg?.audioMarks;
+        if (Array.isArray(marks) && marks.some((m, j) => j > 0 && m <= marks[j - 1])) {
+          issues.push({ level: "warning", path: `listening.segments[${i}].audioMarks`, message: "marks are not ascending" });
+        }
+      });
+    } else if (typeof L.text === "string") {
+      checkChoiceQuestions(L.quiz, "listening.quiz", "a", issues);
+    } else {
+      issues.push({ level: "error", path: "listening.segments", message: "missing field" });
+    }
+  }
+
+  const patterns = plan.outputRules?.mustIncludeAllPatterns;
+  if (Array.isArray(patterns)) {
+    patterns.forEach((p, i) => {
+      if (typeof p === "string" && !isValidRegex(p)) {
+        issues.push({
+          level: "error",
+          path: `outputRules.mustIncludeAllPatterns[${i}]`,
+          message: `invalid regular expression /${p}/`,
+        });
+      }
+    });
+  }
+
+  return issues;
+}
+
+/**
+ * Validates the whole file.
+ * Returns `{ days: [{ day, topic, issues }], fileIssues, errorCount, warningCount }`.
+ */
+export function validateDayPlans(plans) {
+  if (!Array.isArray(plans)) {
+    const fileIssues = [{ level: "error", path: "", message: "dayPlans must be an array" }];
+    return { days: [], fileIssues, errorCount: 1, warningCount: 0 };
+  }
+
+  const fileIssues = [];
+  const seenDays = new Map();
+  plans.forEach((plan, i) => {
+    const day = plan?.day;
+    if (!Number.isInteger(day)) return;
+    if (seenDays.has(day)) {
+      fileIssues.push({
+        level: "error",
+        path: `[${i}].day`,
+        message: `duplicate day ${day} (first at [${seenDays.get(day)}])`,
+      });
+    } else {
+      seenDays.set(day, i);
+    }
+  });
+
+  const dayNumbers = [...seenDays.keys()].sort((a, b) => a - b);
+  dayNumbers.forEach((d, i) => {
+    const expected = i === 0 ? 1 : dayNumbers[i - 1] + 1;
+    if (d !== expected) {
+      fileIssues.push({ level: "warning", path: "", message: `days are not consecutive: missing Day ${expected}` });
+    }
+  });
+
+  const days = plans.map((plan, i) => ({
+    day: Number.isInteger(plan?.day) ? plan.day : null,
+    index: i,
+    topic: typeof plan?.topic === "string" ? plan.topic : "",
+    issues: validateDayPlan(plan),
+  }));
+
+  const all = [...fileIssues, ...days.flatMap((d) => d.issues)];
+  return {
+    days,
+    fileIssues,
+    errorCount: all.filter((x) => x.level === "error").length,
+    warningCount: all.filter((x) => x.level === "warning").length,
+  };
+}
+
+/* ===================== NORMALIZER ===================== */
+
+function asString(v, fallback = "") {
+  return typeof v === "string" ? v : fallback;
+}
+
+function asStringList(v) {
+  return Array.isArray(v) ? v.filter((x) => typeof x === "string") : [];
+}
+
+function asNumber(v, fallback) {
+  return typeof v === "number" && Number.isFinite(v) ? v : fallback;
+}
+
+// only non-empty strings; {} when there are none
+function asGlosses(v) {
+  if (!v || typeof v !== "object" || Array.isArray(v)) return {};
+  return Object.fromEntries(Object.entries(v).filter(([, text]) => typeof text === "string" && text.trim()));
+}
+
+function normalizeChoiceQuestions(list, promptKey, answerKey) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .filter((q) => q && typeof q[promptKey] === "string" && typeof q[answerKey] === "string")
+    .map((q) => {
+      const choices = [...new Set(asStringList(q.choices))];
+      // a question whose answer is not offered can never be passed
+      if (!choices.includes(q[answerKey])) choices.push(q[answerKey]);
+      return { ...q, choices, glosses: asGlosses(q.glosses) };
+    });
+}
+
+function normalizeGrammarQuiz(list) {
+  if (!Array.isArray(list)) return [];
+  return list
+    .filter((q) => q && typeof q.q === "string")
+    .map((q) => {
+      switch (q.type ?? "choice") {
+        case "choice":
+          return normalizeChoiceQuestions([q], "q", "a")[0] || null;
+        case "gap":
+          return typeof q.a === "string"
+            ? { ...q, accept: asStringList(q.accept), glosses: asGlosses(q.glosses) }
+            : null;
+        case "order": {
+          const tiles = asStringList(q.tiles);
+          return tiles.length >= 2
+            ? { ...q, tiles, accept: asStringList(q.accept), glosses: asGlosses(q.glosses) }
+            : null;
+        }
+        case "match": {
+          const pairs = (Array.isArray(q.pairs) ? q.pairs : [])
+            .filter((p) => Array.isArray(p) && typeof p[0] === "string" && typeof p[1] === "string")
+            .map((p) => [p[0], p[1]]);
+          return pairs.length >= 2 ? { ...q, pairs, glosses: asGlosses(q.glosses) } : null;
+        }
+        default:
+          return null; // unknown type: the validator reports it
+      }
+    })
+    .filter(Boolean);
+}
+
+function normalizeListening(L) {
+  const raw = L && typeof L === "object" ? L : {};
+  let segments = Array.isArray(raw.segments) ? raw.segments : [];
+
+  // legacy fallback: single text + quiz
+  if (!segments.length && typeof raw.text === "string" && raw.text.trim()) {
+    segments = [{ id: 1, title: "Listening", text: raw.text, repeat: 1, quiz: raw.quiz }];
+  }
+
+  return {
+    ...raw,
+    segments: segments
+      .filter((seg) => seg && typeof seg.text === "string")
+      .map((seg, i) => ({
+        ...seg,
+        id: seg.id ?? i + 1,
+        title: asString(seg.title, `Segment ${i + 1}`),
+        repeat: Math.max(1, Math.round(asNumber(seg.repeat, 1))),
+        quiz: normalizeChoiceQuestions(seg.quiz, "q", "a"),
+      })),
+  };
+}
+
+/** Returns a day plan with every section present and safe to render. */
+export function normalizeDayPlan(raw) {
+  const plan = raw && typeof raw === "object" ? raw : {};
+  const grammar = plan.grammar && typeof plan.grammar === "object" ? plan.grammar : {};
+  const outputRules = plan.outputRules && typeof plan.outputRules === "object" ? plan.outputRules : {};
+  const passRules = plan.passRules && typeof plan.passRules === "object" ? plan.passRules : {};
+
+  const seenWords = new Set();
+  const vocab_list = (Array.isArray(plan.vocab_list) ? plan.vocab_list : []).filter((v) => {
+    if (!v || typeof v.de !== "string" || !v.de.trim()) return false;
+    const key = v.de.trim().toLowerCase();
+    if (seenWords.has(key)) return false;
+    seenWords.add(key);
+    return true;
+  });
+
+  return {
+    ...plan,
+    topic: asString(plan.topic, `Day ${plan.day}`),
+    vocab_list: vocab_list.map((v) => ({ ...v, en: asString(v.en), glosses: asGlosses(v.glosses) })),
+    vocab_quiz: normalizeChoiceQuestions(plan.vocab_quiz, "word", "answer"),
+    grammar: {
+      ...grammar,
+      title: asString(grammar.title),
+      rules: asStringList(grammar.rules),
+      examples: asStringList(grammar.examples),
+      quiz: normalizeGrammarQuiz(grammar.quiz),
+    },
+    listening: normalizeListening(plan.listening),
+    output: { ...(plan.output || {}), prompt: asString(plan.output?.prompt) },
+    outputRules: {
+      ...outputRules,
+      minSentences: asNumber(outputRules.minSentences, DEFAULT_OUTPUT_RULES.minSentences),
+      mustIncludeAny: asStringList(outputRules.mustIncludeAny),
+      // invalid patterns would throw inside evaluateOutput; the validator reports them
+      mustIncludeAllPatterns: asStringList(outputRules.mustIncludeAllPatterns).filter(isValidRegex),
+      mustUseVocabAtLeast: asNumber(outputRules.mustUseVocabAtLeast, DEFAULT_OUTPUT_RULES.mustUseVocabAtLeast),
+    },
+    passRules: {
+      ...passRules,
+      vocabMinCorrect: asNumber(passRules.vocabMinCorrect, DEFAULT_PASS_RULES.vocabMinCorrect),
+      grammarMinCorrect: asNumber(passRules.grammarMinCorrect, DEFAULT_PASS_RULES.grammarMinCorrect),
+      listeningMinCorrect: asNumber(passRules.listeningMinCorrect, DEFAULT_PASS_RULES.listeningMinCorrect),
+      minOutputChars: asNumber(passRules.minOutputChars, DEFAULT_PASS_RULES.minOutputChars),
+      // each dictated segment then counts as one listening item, weighted by its accuracy
+      dictationCountsTowardListening: passRules.dictationCountsTowardListening === true,
+    },
+  };
+}
+
+/** Starting point for a new day in the authoring view: valid shape, empty content. */
+export function blankDayPlan(day) {
+  return {
+    day,
+    topic: "",
+    vocab_list: [],
+    grammar: { title: "", rules: [], examples: [], quiz: [] },
+    listening: { level: "A2", segments: [{ id: 1, title: "Segment 1", repeat: 2, text: "", quiz: [] }] },
+    output: { prompt: "" },
+    outputRules: { ...DEFAULT_OUTPUT_RULES },
+    passRules: { ...DEFAULT_PASS_RULES },
+  };
+}
+
+/** Normalizes all plans, dropping entries without a usable day number, sorted by day. */
+export function normalizeDayPlans(plans) {
+  return (Array.isArray(plans) ? plans : [])
+    .filter((p) => p && Number.isInteger(p.day))
+    .map(normalizeDayPlan)
+    .sort((a, b) => a.day - b.day);
+}
@@ -0,0 +1,83 @@
+/** Dictation: sentence splitting, tolerant word comparison and scoring */
+
+import { foldGerman } from "./germanMatch.js";
+
+/** "Hallo! Wie geht's? Gut." → ["Hallo!", "Wie geht's?", "Gut."] */
+export function splitSentences(text) {
+  return String(text || "")
+    .split(/(?<=[.!?…])\s+/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+// case, punctuation and umlaut spelling (ä = ae, ß = ss) do not count as mistakes
+export function dictationKey(word) {
+  return foldGerman(word).replace(/[^a-z0-9]/g, "");
+}
+
+function words(text) {
+  return String(text || "")
+    .split(/\s+/)
+    .filter((w) => dictationKey(w));
+}
+
+/**
+ * Word-level diff of what was typed against the transcript sentence.
+ * ops: `{ type: "ok" | "wrong" | "missing" | "extra", word?, typed? }` in sentence order.
+ */
+export function diffWords(expectedText, typedText) {
+  const expected = words(expectedText);
+  const typed = words(typedText);
+  const a = expected.map(dictationKey);
+  const b = typed.map(dictationKey);
+
+  // longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const raw = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      raw.push({ type: "ok", word: expected[i++], typed: typed[j++] });
+    } else if (j < b.length && (i === a.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      raw.push({ type: "extra", typed: typed[j++] });
+    } else {
+      raw.push({ type: "missing", word: expected[i++] });
+    }
+  }
+
+  // a missing word next to an extra one is a misspelling: show them as one "wrong" pair
+  const ops = [];
+  for (let k = 0; k < raw.length; k++) {
+    const op = raw[k];
+    const next = raw[k + 1];
+    if (next && ((op.type === "extra" && next.type === "missing") || (op.type === "missing" && next.type === "extra"))) {
+      ops.push({ type: "wrong", word: op.word ?? next.word, typed: op.typed ?? next.typed });
+      k++;
+    } else {
+      ops.push(op);
+    }
+  }
+  return ops;
+}
+
+/** `{ ops, correct, total, accuracy }`: extra words count against the score like missing ones. */
+export function scoreDictation(expectedText, typedText) {
+  const ops = diffWords(expectedText, typedText);
+  const correct = ops.filter((op) => op.type === "ok").length;
+  const total = ops.length;
+  return { ops, correct, total, accuracy: total ? correct / total : 1 };
+}
+
+/** Accuracy of a segment from its checked sentences: `[{ correct, total }]`. */
+export function dictationAccuracy(results) {
+  const total = (results || []).reduce((sum, r) => sum + r.total, 0);
+  const correct = (results || []).reduce((sum, r) => sum + r.correct, 0);
+  return total ? correct / total : 0;
+}
@@ -0,0 +1,111 @@
+/**
+ * Timed mock exam in the style of the Goethe-Zertifikat A2: four sections with
+ * 25 points each, passed from 60 % of the total.
+ *
+ * A day opts in with `"examMode": true`; `"exam"` can override the defaults:
+ * `{ "minutes": { "lesen": 20 }, "points": { "sprechen": 20 }, "maxPlays": 2, "speaking": ["…"] }`
+ */
+
+import { itemType } from "./grammarItems.js";
+import { shuffledChoices, shuffledIndexes } from "./quizOrder.js";
+
+export const EXAM_SECTIONS = [
+  { id: "lesen", label: "Lesen", minutes: 30 },
+  { id: "hoeren", label: "Hören", minutes: 30 },
+  { id: "schreiben", label: "Schreiben", minutes: 30 },
+  { id: "sprechen", label: "Sprechen", minutes: 15 },
+];
+
+export const SECTION_POINTS = 25;
+export const DEFAULT_MAX_PLAYS = 2;
+export const PASS_RATIO = 0.6;
+
+const GRADES = [
+  { min: 0.9, label: "sehr gut" },
+  { min: 0.8, label: "gut" },
+  { min: 0.7, label: "befriedigend" },
+  { min: 0.6, label: "ausreichend" },
+  { min: 0, label: "nicht bestanden" },
+];
+
+export function gradeFor(ratio) {
+  return GRADES.find((g) => ratio >= g.min).label;
+}
+
+/**
+ * Questions and tasks of each section, built from the day's quizzes.
+ * Lesen uses the vocab + multiple-choice grammar questions, Hören the listening segments,
+ * Sprechen `exam.speaking` (or the given fallback lines).
+ * `seed` (the attempt's, see lib/quizOrder.js) mixes the question and choice order.
+ */
+export function buildExam(dayPlan, { vocabQuiz, listeningSegments, speakingLines, seed = "" }) {
+  const cfg = dayPlan.exam || {};
+  const inOrder = (list, scope) => shuffledIndexes(list.length, `${seed}:${scope}`).map((i) => list[i]);
+  const mixed = (q) => ({ ...q, choices: shuffledChoices(q.choices, `${seed}:${q.key}`) });
+
+  const lesen = inOrder(
+    [
+      ...vocabQuiz.map((q, i) => ({ key: `v${i}`, section: "vocab", prompt: q.word, choices: q.choices, answer: q.answer })),
+      ...dayPlan.grammar.quiz
+        .map((q, i) => [q, i])
+        .filter(([q]) => itemType(q) === "choice")
+        .map(([q, i]) => ({ key: `g${i}`, section: "grammar", prompt: q.q, choices: q.choices, answer: q.a })),
+    ],
+    "lesen"
+  ).map(mixed);
+  const hoeren = listeningSegments.map((seg, segIndex) => ({
+    segIndex,
+    title: seg.title,
+    text: seg.text,
+    audio: seg.audio,
+    questions: inOrder(
+      (seg.quiz || []).map((q, qIndex) => ({
+        key: `l${segIndex}-${qIndex}`,
+        section: "listening",
+        prompt: q.q,
+        choices: q.choices,
+        answer: q.a,
+        context: seg.text,
+      })),
+      `l${segIndex}`
+    ).map(mixed),
+  }));
+
+  const content = {
+    lesen: { questions: lesen },
+    hoeren: { segments: hoeren.filter((s) => s.questions.length) },
+    schreiben: { prompt: dayPlan.output.prompt },
+    sprechen: { lines: Array.isArray(cfg.speaking) && cfg.speaking.length ? cfg.speaking : speakingLines },
+  };
+  const hasContent = {
+    lesen: lesen.length > 0,
+    hoeren: content.hoeren.segments.length > 0,
+    schreiben: !!dayPlan.output.prompt,
+    sprechen: content.sprechen.lines.length > 0,
+  };
+
+  const sections = EXAM_SECTIONS.filter((s) => hasContent[s.id]).map((s) => ({
+    ...s,
+    minutes: Number(cfg.minutes?.[s.id]) || s.minutes,
+    points: Number(cfg.points?.[s.id]) || SECTION_POINTS,
+  }));
+
+  return { sections, content, maxPlays: Number(cfg.maxPlays) || DEFAULT_MAX_PLAYS };
+}
+
+/** ratios: `{ [sectionId]: 0..1 }` → points per section, total and grade */
+export function scoreExam(sections, ratios) {
+  const rows = sections.map((s) => {
+    const ratio = Math.max(0, Math.min(1, ratios[s.id] || 0));
+    return { id: s.id, label: s.label, ratio, points: Math.round(ratio * s.points * 10) / 10, max: s.points };
+  });
+  const total = rows.reduce((sum, r) => sum + r.points, 0);
+  const max = rows.reduce((sum, r) => sum + r.max, 0);
+  const ratio = max ? total / max : 0;
+  return { sections: rows, total: Math.round(total * 10) / 10, max, ratio, passed: ratio >= PASS_RATIO, grade: gradeFor(ratio) };
+}
+
+export function formatClock(ms) {
+  const s = Math.max(0, Math.ceil(ms / 1000));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+}
@@ -0,0 +1,274 @@
+/**
+ * German-aware word matching for the Output checks.
+ *
+ * Works on whole tokens (so "an" no longer matches "Mann"), folds umlauts/ß
+ * (ä→ae, ö→oe, ü→ue, ß→ss) and knows enough morphology to recognise
+ * conjugated, separated ("ich stehe … auf") and Perfekt forms of vocab verbs
+ * plus common noun/adjective endings.
+ */
+
+const SEPARABLE_PREFIXES = [
+  "zurück", "zusammen", "weiter", "spazieren", "kennen", "fern", "fest", "heim", "hin", "her",
+  "los", "mit", "nach", "vor", "weg", "auf", "aus", "bei", "ein", "ab", "an", "um", "zu", "da",
+];
+const INSEPARABLE_PREFIXES = ["be", "emp", "ent", "er", "ge", "miss", "ver", "zer"];
+const ARTICLES = new Set(["der", "die", "das", "den", "dem", "des", "ein", "eine", "einen", "einem", "einer"]);
+const REFLEXIVE = new Set(["sich", "mich", "dich", "uns", "euch"]);
+
+// Irregular / strong forms the regular rules cannot derive (infinitive → extra forms)
+const IRREGULAR_VERBS = {
+  sein: ["bin", "bist", "ist", "sind", "seid", "war", "warst", "waren", "wart", "gewesen"],
+  haben: ["habe", "hast", "hat", "habt", "hatte", "hattest", "hatten", "gehabt"],
+  werden: ["wirst", "wird", "wurde", "wurdest", "wurden", "geworden"],
+  wissen: ["weiß", "weißt", "wusste", "wussten", "gewusst"],
+  tun: ["tue", "tust", "tut", "tat", "taten", "getan"],
+  gehen: ["ging", "gingen", "gegangen"],
+  stehen: ["stand", "standen", "gestanden"],
+  verstehen: ["verstand", "verstanden"],
+  kommen: ["kam", "kamen", "gekommen"],
+  bekommen: ["bekam", "bekamen", "bekommen"],
+  fahren: ["fährst", "fährt", "fuhr", "fuhren", "gefahren"],
+  essen: ["isst", "aß", "aßen", "gegessen"],
+  sehen: ["siehst", "sieht", "sah", "sahen", "gesehen"],
+  lesen: ["liest", "las", "lasen", "gelesen"],
+  geben: ["gibst", "gibt", "gab", "gaben", "gegeben"],
+  nehmen: ["nimmst", "nimmt", "nahm", "nahmen", "genommen"],
+  sprechen: ["sprichst", "spricht", "sprach", "sprachen", "gesprochen"],
+  treffen: ["triffst", "trifft", "traf", "trafen", "getroffen"],
+  helfen: ["hilfst", "hilft", "half", "halfen", "geholfen"],
+  schlafen: ["schläfst", "schläft", "schlief", "schliefen", "geschlafen"],
+  laufen: ["läufst", "läuft", "lief", "liefen", "gelaufen"],
+  tragen: ["trägst", "trägt", "trug", "trugen", "getragen"],
+  waschen: ["wäschst", "wäscht", "wusch", "gewaschen"],
+  halten: ["hältst", "hält", "hielt", "hielten", "gehalten"],
+  lassen: ["lässt", "ließ", "ließen", "gelassen"],
+  fallen: ["fällst", "fällt", "fiel", "fielen", "gefallen"],
+  gefallen: ["gefällt", "gefiel", "gefallen"],
+  vergessen: ["vergisst", "vergaß", "vergessen"],
+  ziehen: ["zog", "zogen", "gezogen"],
+  rufen: ["rief", "riefen", "gerufen"],
+  finden: ["fand", "fanden", "gefunden"],
+  trinken: ["trank", "tranken", "getrunken"],
+  bleiben: ["blieb", "blieben", "geblieben"],
+  schreiben: ["schrieb", "schrieben", "geschrieben"],
+  steigen: ["stieg", "stiegen", "gestiegen"],
+  fliegen: ["flog", "flogen", "geflogen"],
+  liegen: ["lag", "lagen", "gelegen"],
+  sitzen: ["saß", "saßen", "gesessen"],
+  beginnen: ["begann", "begannen", "begonnen"],
+  schwimmen: ["schwamm", "geschwommen"],
+  singen: ["sang", "gesungen"],
+  bringen: ["brachte", "brachten", "gebracht"],
+  denken: ["dachte", "dachten", "gedacht"],
+  kennen: ["kannte", "kannten", "gekannt"],
+  laden: ["lädst", "lädt", "lud", "geladen"],
+  können: ["kann", "kannst", "konnte", "konnten", "gekonnt"],
+  müssen: ["muss", "musst", "musste", "mussten", "gemusst"],
+  wollen: ["will", "willst", "wollte", "wollten", "gewollt"],
+  dürfen: ["darf", "darfst", "durfte", "durften", "gedurft"],
+  sollen: ["soll", "sollst", "sollte", "sollten", "gesollt"],
+  mögen: ["mag", "magst", "mochte", "mochten", "gemocht", "möchte", "möchtest", "möchten"],
+};
+
+const NOUN_ENDINGS = ["", "e", "en", "n", "er", "s", "es", "nen", "se", "sen"]; // -se(n): der Bus → die Busse
+const ADJ_ENDINGS = ["", "e", "en", "er", "es", "em", "ere", "eren", "erer", "st", "ste", "sten"];
+
+/** Lowercase, ä→ae, ö→oe, ü→ue, ß→ss, other accents stripped. */
+export function foldGerman(s) {
+  return String(s || "")
+    .toLowerCase()
+    .replace(/ä/g, "ae")
+    .replace(/ö/g, "oe")
+    .replace(/ü/g, "ue")
+    .replace(/ß/g, "ss")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "");
+}
+
+const WORD_RE = /[A-Za-zÀ-ÖØ-öø-ÿß]+(?:-[A-Za-zÀ-ÖØ-öø-ÿß]+)*/g;
+
+/** Splits text into word tokens `{ text, norm, start, end, sentence }`. */
+export function tokenize(text) {
+  const s = String(text || "");
+  const tokens = [];
+  let sentence = 0;
+  let last = 0;
+  for (const m of s.matchAll(WORD_RE)) {
+    // sentence boundary between the previous token and this one
+    if (/[.!?]/.test(s.slice(last, m.index))) sentence += 1;
+    tokens.push({ text: m[0], norm: foldGerman(m[0]), start: m.index, end: m.index + m[0].length, sentence });
+    last = m.index + m[0].length;
+  }
+  // number sentences from 0 even when the text starts with punctuation
+  const first = tokens[0]?.sentence ?? 0;
+  return tokens.map((t) => ({ ...t, sentence: t.sentence - first }));
+}
+
+function groupBySentence(tokens) {
+  const groups = [];
+  for (const t of tokens) {
+    (groups[t.sentence] ||= []).push(t);
+  }
+  return groups.filter(Boolean);
+}
+
+/**
+ * Keywords/phrases (e.g. "an", "ich heiße") that occur as whole words.
+ * Returns the keywords that were found, in the given order.
+ */
+export function findKeywords(text, keywords) {
+  const norms = tokenize(text).map((t) => t.norm);
+  return (keywords || []).filter((k) => {
+    const parts = tokenize(k).map((t) => t.norm);
+    if (!parts.length) return false;
+    for (let i = 0; i + parts.length <= norms.length; i++) {
+      if (parts.every((p, j) => norms[i + j] === p)) return true;
+    }
+    return false;
+  });
+}
+
+function isVerbLike(word) {
+  return /^[a-zäöüß]+(en|ern|eln)$/.test(word) && word.length > 3;
+}
+
+function verbStem(inf) {
+  if (/(ern|eln)$/.test(inf)) return inf.slice(0, -1);
+  return inf.replace(/en$/, "");
+}
+
+/** Conjugated forms of a verb without separable prefix. */
+function simpleVerbForms(inf) {
+  const stem = verbStem(inf);
+  const noGe =
+    INSEPARABLE_PREFIXES.some((p) => inf.startsWith(p) && inf.length > p.length + 3) || inf.endsWith("ieren");
+  // e-insertion after -t/-d: arbeitest, arbeitet, arbeitete
+  const t = /[td]$/.test(stem) ? "et" : "t";
+
+  const forms = new Set([
+    inf,
+    stem,
+    `${stem}e`,
+    `${stem}${t === "et" ? "est" : "st"}`,
+    `${stem}${t}`,
+    `${stem}en`,
+    `${stem}n`,
+    `${stem}${t}e`,
+    `${stem}${t}est`,
+    `${stem}${t}en`,
+    `${stem}${t}et`,
+    noGe ? `${stem}${t}` : `ge${stem}${t}`,
+    ...(IRREGULAR_VERBS[inf] || []),
+  ]);
+  return [...forms].map(foldGerman);
+}
+
+function splitSeparable(inf) {
+  for (const p of SEPARABLE_PREFIXES) {
+    const rest = inf.slice(p.length);
+    if (inf.startsWith(p) && isVerbLike(rest)) return { particle: p, base: rest };
+  }
+  return null;
+}
+
+/**
+ * Matcher for one verb: `joined` forms are single tokens (aufstehen, aufgestanden,
+ * aufzustehen, weil … aufstehe); `finite` + `particle` covers "ich stehe … auf".
+ */
+function verbMatcher(inf) {
+  const sep = splitSeparable(inf);
+  if (!sep) return { joined: new Set(simpleVerbForms(inf)), finite: null, particle: null };
+
+  const baseForms = simpleVerbForms(sep.base);
+  const particle = foldGerman(sep.particle);
+  const joined = new Set([
+    ...baseForms.map((f) => particle + f),
+    `${particle}zu${foldGerman(sep.base)}`,
+    // the prefix split is a guess ("antworten" is not an+tworten), so keep the plain forms too
+    ...simpleVerbForms(inf),
+  ]);
+  return { joined, finite: new Set(baseForms), particle };
+}
+
+function wordForms(word) {
+  const w = foldGerman(word);
+  const endings = /^[A-ZÄÖÜ]/.test(word) ? NOUN_ENDINGS : ADJ_ENDINGS;
+  return new Set(endings.map((e) => w + e));
+}
+
+const matcherCache = new Map();
+
+/** Splits a vocab entry ("zur Arbeit fahren", "sich ausruhen", "der Bus") into component matchers. */
+function vocabMatcher(de) {
+  if (matcherCache.has(de)) return matcherCache.get(de);
+
+  const words = String(de)
+    .replace(/\(.*?\)/g, " ")
+    .split(/[\s/]+/)
+    .map((w) => w.replace(/[^A-Za-zÀ-ÖØ-öø-ÿß-]/g, ""))
+    .filter(Boolean);
+
+  let content = words.filter((w) => !REFLEXIVE.has(w.toLowerCase()));
+  // drop a leading article when something follows ("der Bus" → "Bus", but keep vocab "der")
+  if (content.length > 1 && ARTICLES.has(content[0].toLowerCase())) content = content.slice(1);
+
+  const parts = content.map((w, i) => {
+    const isLast = i === content.length - 1;
+    if (isLast && isVerbLike(w)) {
+      const m = verbMatcher(w);
+      // single lowercase -en words may be adjectives/adverbs too ("selten", "offen")
+      const joined = content.length === 1 ? new Set([...m.joined, ...wordForms(w)]) : m.joined;
+      return { kind: "verb", ...m, joined };
+    }
+    // inside a phrase, other words must appear as written ("zur", "Arbeit")
+    if (content.length > 1) return { kind: "word", forms: new Set([foldGerman(w)]) };
+    return { kind: "word", forms: wordForms(w) };
+  });
+
+  matcherCache.set(de, parts);
+  return parts;
+}
+
+function matchPart(part, sentenceTokens) {
+  if (part.kind === "word") {
+    return sentenceTokens.filter((t) => part.forms.has(t.norm));
+  }
+
+  const joined = sentenceTokens.filter((t) => part.joined.has(t.norm));
+  if (joined.length) return joined;
+
+  if (part.particle) {
+    // main clause: finite verb, particle later in the same sentence
+    for (let i = 0; i < sentenceTokens.length; i++) {
+      if (!part.finite.has(sentenceTokens[i].norm)) continue;
+      const p = sentenceTokens.slice(i + 1).find((t) => t.norm === part.particle);
+      if (p) return [sentenceTokens[i], p];
+    }
+  }
+  return [];
+}
+
+/**
+ * Which entries of `vocabList` (`{ de }` objects or strings) appear in `text`.
+ * Returns `[{ de, matches: ["stehe", "auf"] }]` in vocab order.
+ */
+export function findVocabUsed(text, vocabList) {
+  const sentences = groupBySentence(tokenize(text));
+  const out = [];
+
+  for (const entry of vocabList || []) {
+    const de = typeof entry === "string" ? entry : entry?.de;
+    if (!de) continue;
+    const parts = vocabMatcher(de);
+    if (!parts.length) continue;
+
+    for (const sentenceTokens of sentences) {
+      const hits = parts.map((p) => matchPart(p, sentenceTokens));
+      if (hits.every((h) => h.length)) {
+        out.push({ de, matches: hits.flat().map((t) => t.text) });
+        break;
+      }
+    }
+  }
+  return out;
+}
@@ -0,0 +1,9 @@
+/**
+ * Multi-language glosses of course content. Vocab entries and quiz questions may carry
+ * `glosses: { [language code]: text }` next to the `en` every vocab entry has.
+ */
+
+/** Gloss in `lang`: `glosses[lang]`, else `glosses.en`, else the entry's `en` field ("" when there is none). */
+export function glossOf(item, lang) {
+  return item?.glosses?.[lang] || item?.glosses?.en || item?.en || "";
+}
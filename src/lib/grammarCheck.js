@@ -0,0 +1,271 @@
+/**
+ * Local, rule-based grammar hints for the Output textarea.
+ *
+ * Which rules run is derived from the day's `grammar.title` (or an explicit
+ * `grammar.checks` list). The rules are heuristics on tokens, so they only
+ * flag clear A2 patterns and never block passing.
+ */
+import { foldGerman, tokenize } from "./germanMatch.js";
+
+// labels: `grammarHints.rule.<id>` in the locale catalogs
+export const GRAMMAR_RULES = ["v2", "verb-final", "perfekt-aux", "werden-inf", "modal-inf"];
+
+const TOPIC_RULES = [
+  { re: /review|exam|pruefung/, rules: GRAMMAR_RULES },
+  { re: /perfekt|story/, rules: ["perfekt-aux", "v2"] },
+  { re: /weil|denn|deshalb|dass|reason|opinion/, rules: ["verb-final", "v2"] },
+  { re: /futur|future|werden/, rules: ["werden-inf"] },
+  { re: /modal/, rules: ["modal-inf"] },
+  { re: /word order|zeitangaben|time|frequency|separable/, rules: ["v2"] },
+];
+
+const PRONOUNS = new Set(["ich", "du", "er", "sie", "es", "wir", "ihr", "man"]);
+
+// words that can open a main clause and push the verb before the subject
+const FRONT_ADVERBS = new Set(
+  [
+    "heute", "morgen", "gestern", "dann", "danach", "später", "zuerst", "jetzt", "bald", "abends",
+    "morgens", "mittags", "nachts", "vormittags", "nachmittags", "oft", "manchmal", "immer", "normalerweise",
+    "meistens", "selten", "nie", "deshalb", "darum", "trotzdem", "leider", "vielleicht", "hier", "dort",
+    "am", "im", "um", "nach", "vor", "seit", "letzte", "letzten", "letztes", "nächste", "nächsten", "nächstes",
+    "jeden", "jede", "jedes", "diese", "diesen", "dieses", "zum", "zur",
+  ].map(foldGerman)
+);
+const FRONT_PREPOSITIONS = new Set(["am", "im", "um", "nach", "vor", "seit", "zum", "zur", "in"].map(foldGerman));
+const ARTICLES = new Set(["der", "die", "das", "den", "dem", "ein", "eine", "einen", "einem", "einer", "meiner", "meinem"]);
+
+const SUBORDINATORS = new Set(["weil", "dass", "wenn", "ob", "obwohl", "bevor", "nachdem", "damit"]);
+
+const HABEN_FORMS = new Set(["habe", "hast", "hat", "haben", "habt"]);
+const SEIN_FORMS = new Set(["bin", "bist", "ist", "sind", "seid"]);
+const WERDEN_FORMS = new Set(["werde", "wirst", "wird", "werden", "werdet"]);
+const MODAL_FORMS = new Set(
+  [
+    "kann", "kannst", "können", "könnt", "muss", "musst", "müssen", "müsst", "will", "willst", "wollen", "wollt",
+    "darf", "darfst", "dürfen", "dürft", "soll", "sollst", "sollen", "sollt", "möchte", "möchtest", "möchten", "möchtet",
+  ].map(foldGerman)
+);
+const FINITE_FORMS = new Set([
+  ...HABEN_FORMS, ...SEIN_FORMS, ...WERDEN_FORMS, ...MODAL_FORMS,
+  "war", "warst", "waren", "wart", "hatte", "hattest", "hatten", "hattet",
+]);
+
+// Perfekt with sein: movement / change of state ("gefallen" is left out: fallen takes sein, gefallen haben)
+const SEIN_PARTICIPLES = new Set(
+  [
+    "gegangen", "gefahren", "gekommen", "geflogen", "gelaufen", "gereist", "geschwommen", "gesprungen",
+    "gestiegen", "hingefallen", "umgefallen", "geblieben", "gewesen", "geworden", "gestorben", "passiert", "geschehen",
+    "aufgestanden", "eingeschlafen", "aufgewacht", "angekommen", "abgefahren", "losgegangen", "losgefahren",
+    "umgezogen", "eingestiegen", "ausgestiegen", "umgestiegen", "zurückgekommen", "mitgekommen",
+    "weggegangen", "ausgegangen", "hingefahren", "zurückgefahren", "gewandert",
+    "gejoggt", "gerannt", "begegnet",
+  ].map(foldGerman)
+);
+const HABEN_PARTICIPLES = new Set(
+  [
+    "gearbeitet", "gelernt", "gemacht", "gekauft", "gekocht", "gespielt", "gehört", "gesagt", "gefragt",
+    "gewohnt", "gewartet", "gebraucht", "gefrühstückt", "geduscht", "geputzt", "besucht", "bezahlt",
+    "bestellt", "telefoniert", "studiert", "repariert", "gegessen", "getrunken", "gesehen", "gelesen",
+    "geschrieben", "geschlafen", "gesprochen", "getroffen", "genommen", "gefunden", "gegeben", "geholfen",
+    "eingekauft", "aufgeräumt", "ferngesehen", "angerufen", "angefangen", "eingeladen", "vergessen",
+    "verstanden", "bekommen", "gehabt",
+  ].map(foldGerman)
+);
+
+// common non-verbs ending in -e/-en/-t that must not count as verbs
+const STOPWORDS = new Set(
+  [
+    "heute", "morgen", "gestern", "gern", "gerne", "oft", "immer", "nie", "selten", "manchmal", "jetzt",
+    "dann", "danach", "später", "schon", "noch", "auch", "sehr", "nicht", "nur", "viel", "viele", "hier",
+    "dort", "bald", "zuerst", "zusammen", "wieder", "gleich", "lange", "etwas", "alle", "jeden", "jede",
+    "kein", "keine", "keinen", "mein", "meine", "meinen", "dein", "deine", "seine", "ihre", "unsere",
+    "eine", "einen", "einem", "einer", "die", "der", "das", "den", "dem", "des", "unten", "oben", "hinten",
+    "vorne", "links", "rechts", "genug", "leider", "bitte", "gegen", "nächste", "letzte", "halb", "gut",
+    "schnell", "langsam", "mehr", "weniger", "meistens", "abends", "morgens", "vielleicht", "wirklich",
+    "eigentlich", "allein", "deshalb", "trotzdem", "also", "mit", "seit", "bis", "nach", "vor", "zu",
+    "müde", "krank", "kalt", "warm", "spät", "früh", "heiß", "nett", "laut", "leise", "kaputt", "jetzt",
+  ].map(foldGerman)
+);
+
+/** Rule ids for a day's grammar section. */
+export function grammarChecksFor(grammar) {
+  if (Array.isArray(grammar?.checks)) return grammar.checks.filter((c) => GRAMMAR_RULES.includes(c));
+  const title = foldGerman(grammar?.title);
+  const out = new Set();
+  TOPIC_RULES.forEach((t) => {
+    if (t.re.test(title)) t.rules.forEach((r) => out.add(r));
+  });
+  return [...out];
+}
+
+function isVerbLike(tok) {
+  if (!tok) return false;
+  if (FINITE_FORMS.has(tok.norm)) return true;
+  if (/^[A-ZÄÖÜ]/.test(tok.text) || STOPWORDS.has(tok.norm) || PRONOUNS.has(tok.norm)) return false;
+  return tok.norm.length > 2 && /(e|st|t|en|et|n)$/.test(tok.norm);
+}
+
+function isInfinitiveLike(tok) {
+  if (!tok || /^[A-ZÄÖÜ]/.test(tok.text) || STOPWORDS.has(tok.norm)) return false;
+  if (FINITE_FORMS.has(tok.norm) && !["haben", "sein", "werden"].includes(tok.norm)) return false;
+  return tok.norm.length > 3 && /(en|ern|eln)$/.test(tok.norm) && !/^ge.+en$/.test(tok.norm);
+}
+
+/** Sentences (by .!?) split further into clauses at , ; : – */
+function clausesOf(text, tokens) {
+  const sentences = [];
+  tokens.forEach((t, i) => {
+    const prev = tokens[i - 1];
+    const sentence = (sentences[t.sentence] ||= []);
+    if (!prev || prev.sentence !== t.sentence || /[,;:–]/.test(text.slice(prev.end, t.start))) sentence.push([]);
+    sentence[sentence.length - 1].push(t);
+  });
+  return sentences.filter(Boolean);
+}
+
+const quote = (toks) => toks.map((t) => t.text).join(" ");
+
+// `key` and `params` are a `grammarHints.*` message of the locale catalogs
+function issue(rule, toks, key, params) {
+  return { rule, start: toks[0].start, end: toks[toks.length - 1].end, key, params };
+}
+
+function checkV2(sentence) {
+  const toks = sentence[0] || [];
+  const first = toks[0];
+
+  // "Weil ich müde bin, ich gehe …" → the main clause starts with the verb
+  const main = sentence[1];
+  if (first && SUBORDINATORS.has(first.norm) && main && PRONOUNS.has(main[0].norm) && isVerbLike(main[1])) {
+    return [
+      issue("v2", main.slice(0, 2), "grammarHints.v2AfterClause", {
+        conjunction: first.text,
+        verb: main[1].text,
+        subject: main[0].text.toLowerCase(),
+      }),
+    ];
+  }
+
+  if (!first || !FRONT_ADVERBS.has(first.norm)) return [];
+
+  // "Gestern ich …", "Am Montag ich …", "Nach der Arbeit ich …"
+  let subjIndex = 1;
+  if (FRONT_PREPOSITIONS.has(first.norm)) subjIndex = ARTICLES.has(toks[1]?.norm) ? 3 : 2;
+  const subj = toks[subjIndex];
+  if (!subj || !PRONOUNS.has(subj.norm)) return [];
+
+  const verb = toks[subjIndex + 1];
+  const front = quote(toks.slice(0, subjIndex));
+  const span = toks.slice(0, subjIndex + (verb ? 2 : 1));
+  return [
+    isVerbLike(verb)
+      ? issue("v2", span, "grammarHints.v2Fix", { front, verb: verb.text, subject: subj.text.toLowerCase() })
+      : issue("v2", span, "grammarHints.v2", { front }),
+  ];
+}
+
+function checkVerbFinal(sentence) {
+  const out = [];
+  for (const clause of sentence) {
+    clause.forEach((t, i) => {
+      const isSub = SUBORDINATORS.has(t.norm);
+      const isDenn = t.norm === "denn";
+      if (!isSub && !isDenn) return;
+
+      // the rest of the clause after the conjunction (until comma / sentence end)
+      const rest = clause.slice(i + 1);
+      const [subj, second] = rest;
+      const last = rest[rest.length - 1];
+      if (!subj || !PRONOUNS.has(subj.norm) || rest.length < 3) return;
+
+      if (isSub) {
+        const auxTooEarly = FINITE_FORMS.has(second.norm) && !FINITE_FORMS.has(last.norm);
+        const verbTooEarly = isVerbLike(second) && !isVerbLike(last);
+        if (auxTooEarly || verbTooEarly) {
+          const moved = [...rest.slice(0, 1), ...rest.slice(2)];
+          out.push(
+            issue("verb-final", [t, ...rest], "grammarHints.verbFinal", {
+              conjunction: t.text,
+              rest: quote(moved),
+              verb: second.text,
+            })
+          );
+        }
+      } else if (!isVerbLike(second) && FINITE_FORMS.has(last.norm)) {
+        out.push(issue("verb-final", [t, ...rest], "grammarHints.denn", { subject: subj.text, verb: last.text }));
+      }
+    });
+  }
+  return out;
+}
+
+function checkPerfektAux(sentence) {
+  const out = [];
+  for (const clause of sentence) {
+    const habenTok = clause.find((t) => HABEN_FORMS.has(t.norm));
+    const seinTok = clause.find((t) => SEIN_FORMS.has(t.norm));
+    clause.forEach((t) => {
+      if (SEIN_PARTICIPLES.has(t.norm) && habenTok && !seinTok) {
+        out.push(
+          issue("perfekt-aux", [habenTok, t], "grammarHints.perfektSein", { participle: t.text, aux: habenTok.text })
+        );
+      }
+      if (HABEN_PARTICIPLES.has(t.norm) && seinTok && !habenTok) {
+        out.push(
+          issue("perfekt-aux", [seinTok, t], "grammarHints.perfektHaben", { participle: t.text, aux: seinTok.text })
+        );
+      }
+    });
+  }
+  return out;
+}
+
+function checkInfinitiveEnd(sentence, finiteForms, rule, key) {
+  const out = [];
+  for (const clause of sentence) {
+    const w = clause.findIndex((t) => finiteForms.has(t.norm));
+    if (w < 0 || w === clause.length - 1) continue;
+    const after = clause.slice(w + 1);
+    const infIndex = after.findIndex(isInfinitiveLike);
+    // "Ich werde schlafen gehen" is fine as long as the clause ends on an infinitive
+    if (infIndex < 0 || isInfinitiveLike(after[after.length - 1])) continue;
+
+    const inf = after[infIndex];
+    const moved = after.filter((_, i) => i !== infIndex);
+    out.push(
+      issue(rule, [clause[w], ...after], key, { verb: clause[w].text, rest: quote(moved), infinitive: inf.text })
+    );
+  }
+  return out;
+}
+
+/**
+ * Runs the given rule ids over `text`.
+ * Returns `{ issues: [{ rule, start, end, key, params }], sentences: [{ start, end, text, issues }] }`
+ * where `sentences` only lists flagged sentences.
+ */
+export function checkGrammar(text, checks) {
+  const t = String(text || "");
+  const tokens = tokenize(t);
+  const enabled = new Set(checks || []);
+  const sentences = [];
+
+  for (const sentence of clausesOf(t, tokens)) {
+    const found = [];
+    if (enabled.has("v2")) found.push(...checkV2(sentence));
+    if (enabled.has("verb-final")) found.push(...checkVerbFinal(sentence));
+    if (enabled.has("perfekt-aux")) found.push(...checkPerfektAux(sentence));
+    if (enabled.has("werden-inf")) found.push(...checkInfinitiveEnd(sentence, WERDEN_FORMS, "werden-inf", "grammarHints.werdenInf"));
+    if (enabled.has("modal-inf")) found.push(...checkInfinitiveEnd(sentence, MODAL_FORMS, "modal-inf", "grammarHints.modalInf"));
+    if (!found.length) continue;
+
+    const all = sentence.flat();
+    const start = all[0].start;
+    // include the closing punctuation of the sentence
+    const tail = t.slice(all[all.length - 1].end).match(/^[^A-Za-zÀ-ÖØ-öø-ÿß]*?[.!?]+/);
+    const end = all[all.length - 1].end + (tail ? tail[0].length : 0);
+    sentences.push({ start, end, text: t.slice(start, end), issues: found.sort((a, b) => a.start - b.start) });
+  }
+
+  return { issues: sentences.flatMap((s) => s.issues), sentences };
+}
@@ -0,0 +1,126 @@
+/**
+ * Grammar quiz item types. `type` defaults to "choice", so older plans keep working:
+ *
+ *   choice  { q, choices, a }
+ *   gap     { type: "gap", q: "Ich ___ um 7 Uhr auf.", a: "stehe", accept?: ["…"] }
+ *   order   { type: "order", q, tiles: ["Ich", "stehe", "um 7 Uhr", "auf"], accept?: ["Um 7 Uhr stehe ich auf"] }
+ *   match   { type: "match", q, pairs: [["aufstehen", "to get up"], …] }
+ *
+ * Responses (what grammarChosen stores): the chosen string for choice, the typed
+ * text for gap, the built sentence for order and the picked right-hand sides
+ * (in pair order) for match. Every item is worth one point, so the grammar score
+ * stays "correct items / all items" for grammarMinCorrect.
+ */
+
+import { foldGerman } from "./germanMatch.js";
+import { seededRandom, shuffle } from "./vocabQuiz.js";
+
+export const GRAMMAR_ITEM_TYPES = ["choice", "gap", "order", "match"];
+
+export const GAP_MARK = /_{3,}/;
+
+export function itemType(q) {
+  return q?.type || "choice";
+}
+
+// case, umlaut spelling (ae/ä), punctuation and spacing don't matter
+function answerKey(text) {
+  return foldGerman(text)
+    .replace(/[^a-z0-9 ]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function acceptedAnswers(q) {
+  if (itemType(q) === "order") return [q.tiles.join(" "), ...(q.accept || [])];
+  return [q.a, ...(q.accept || [])];
+}
+
+export function isCorrect(q, response) {
+  if (response === undefined || response === null) return false;
+  switch (itemType(q)) {
+    case "gap":
+    case "order": {
+      const key = answerKey(response);
+      return acceptedAnswers(q).some((a) => answerKey(a) === key);
+    }
+    case "match":
+      return Array.isArray(response) && q.pairs.every(([, right], i) => response[i] === right);
+    default:
+      return response === q.a;
+  }
+}
+
+/** The expected answer as one line of text (feedback, history, mistake notebook). */
+export function answerText(q) {
+  switch (itemType(q)) {
+    case "order":
+      return q.tiles.join(" ");
+    case "match":
+      return q.pairs.map(([left, right]) => `${left} → ${right}`).join(", ");
+    default:
+      return q.a;
+  }
+}
+
+export function responseText(q, response) {
+  if (response === undefined || response === null) return null;
+  if (itemType(q) === "match") {
+    return q.pairs.map(([left], i) => `${left} → ${(Array.isArray(response) && response[i]) || "?"}`).join(", ");
+  }
+  return String(response);
+}
+
+export function countCorrect(quiz, chosenMap) {
+  return quiz.filter((q, i) => isCorrect(q, chosenMap[i])).length;
+}
+
+/** chosenMap as text, with accepted variants shown as the answer, for collectMissed. */
+export function responsesAsText(quiz, chosenMap) {
+  const out = {};
+  quiz.forEach((q, i) => {
+    if (chosenMap[i] === undefined) return;
+    out[i] = isCorrect(q, chosenMap[i]) ? answerText(q) : responseText(q, chosenMap[i]);
+  });
+  return out;
+}
+
+/**
+ * Multiple-choice cards for the mistake notebook: choice items as they are,
+ * a wrong gap/order answer as "which one is right?", every wrong pair of a match.
+ */
+export function mistakeCards(q, response) {
+  if (isCorrect(q, response)) return [];
+  switch (itemType(q)) {
+    case "gap":
+    case "order": {
+      const answer = answerText(q);
+      return [{ prompt: q.q, choices: [answer, String(response)], answer, chosen: String(response) }];
+    }
+    case "match": {
+      const rights = q.pairs.map(([, right]) => right);
+      return q.pairs
+        .map(([left, right], i) => ({ left, right, picked: response?.[i] ?? "" }))
+        .filter((p) => p.picked !== p.right)
+        .map((p) => ({ prompt: `${q.q} ${p.left}`, choices: rights, answer: p.right, chosen: p.picked }));
+    }
+    default:
+      return [{ prompt: q.q, choices: q.choices, answer: q.a, chosen: response }];
+  }
+}
+
+/** Tiles of an order item in a stable mixed order (never the solution itself when avoidable). */
+export function shuffledTiles(q, seed) {
+  const indices = q.tiles.map((_, i) => i);
+  const mixed = shuffle(indices, seededRandom(seed));
+  if (indices.length > 1 && mixed.every((x, i) => x === i)) mixed.push(mixed.shift());
+  return mixed;
+}
+
+/** Right-hand sides of a match item in a stable mixed order. */
+export function shuffledRights(q, seed) {
+  return shuffle(
+    q.pairs.map(([, right]) => right),
+    seededRandom(seed),
+  );
+}
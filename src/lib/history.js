@@ -0,0 +1,209 @@
+/** Attempt history (every "Check & Unlock") and the statistics derived from it */
+
+import { scopedKey } from "./profiles.js";
+
+export const HISTORY_STORAGE_KEY = "a2_history_v1";
+export const MAX_ATTEMPTS = 500;
+const MAX_DURATION_MS = 3 * 60 * 60 * 1000; // an open tab overnight is not study time
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function loadHistory() {
+  try {
+    const saved = localStorage.getItem(scopedKey(HISTORY_STORAGE_KEY));
+    const parsed = saved ? JSON.parse(saved) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveHistory(history) {
+  try {
+    localStorage.setItem(scopedKey(HISTORY_STORAGE_KEY), JSON.stringify(history));
+  } catch {
+    // storage full: history is a nice-to-have, progress must keep working
+  }
+}
+
+/** Local calendar date "YYYY-MM-DD" */
+export function dateKey(ts) {
+  const d = new Date(ts);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * `dictation`: accuracy per listening segment that was dictated, e.g. `{ 0: 0.85 }`;
+ * `exam`: points and grade when the attempt was a mock exam;
+ * `seed`: question / choice order of the attempt (lib/quizOrder.js).
+ */
+export function createAttempt({
+  dayPlan,
+  scores,
+  outputOk,
+  passed,
+  missed,
+  dictation,
+  exam,
+  seed,
+  text,
+  startedAt,
+  now = Date.now(),
+}) {
+  return {
+    id: `${now}-${dayPlan.day}`,
+    at: now,
+    day: dayPlan.day,
+    topic: dayPlan.topic,
+    grammarTitle: dayPlan.grammar?.title || "",
+    scores,
+    outputOk,
+    passed,
+    missed,
+    dictation: dictation || {},
+    ...(exam ? { exam } : {}),
+    ...(seed ? { seed } : {}),
+    text,
+    durationMs: startedAt ? Math.max(0, Math.min(MAX_DURATION_MS, now - startedAt)) : 0,
+  };
+}
+
+export function addAttempt(history, attempt) {
+  return [...history, attempt].slice(-MAX_ATTEMPTS);
+}
+
+/** Missed questions of one quiz: wrong or unanswered. */
+export function collectMissed(quiz, chosenMap, { keyOf = (_, i) => i, promptOf, answerOf }) {
+  const out = [];
+  (quiz || []).forEach((q, i) => {
+    const chosen = chosenMap[keyOf(q, i)];
+    if (chosen === answerOf(q)) return;
+    out.push({ q: promptOf(q), chosen: chosen ?? null, answer: answerOf(q) });
+  });
+  return out;
+}
+
+function average(list) {
+  return list.length ? list.reduce((a, b) => a + b, 0) / list.length : 0;
+}
+
+export function overallScore(attempt) {
+  const s = attempt.scores || {};
+  return average([s.vocab, s.grammar, s.listening].filter((x) => typeof x === "number"));
+}
+
+/** Per-day rows: attempts, best scores, passed, time spent. */
+export function statsByDay(history) {
+  const byDay = new Map();
+  for (const a of history) {
+    const row = byDay.get(a.day) || {
+      day: a.day,
+      topic: a.topic,
+      attempts: 0,
+      passed: false,
+      best: { vocab: 0, grammar: 0, listening: 0 },
+      timeMs: 0,
+      lastAt: 0,
+    };
+    row.attempts += 1;
+    row.passed = row.passed || a.passed;
+    for (const k of ["vocab", "grammar", "listening"]) row.best[k] = Math.max(row.best[k], a.scores?.[k] ?? 0);
+    row.timeMs += a.durationMs || 0;
+    row.lastAt = Math.max(row.lastAt, a.at);
+    byDay.set(a.day, row);
+  }
+  return [...byDay.values()].sort((a, b) => a.day - b.day);
+}
+
+/** Grammar topics by average grammar score (weakest first). */
+export function weakestGrammarTopics(history, limit = 5) {
+  const byTopic = new Map();
+  for (const a of history) {
+    if (!a.grammarTitle) continue;
+    const t = byTopic.get(a.grammarTitle) || { title: a.grammarTitle, day: a.day, scores: [], missed: 0 };
+    t.scores.push(a.scores?.grammar ?? 0);
+    t.missed += (a.missed?.grammar || []).length;
+    byTopic.set(a.grammarTitle, t);
+  }
+  return [...byTopic.values()]
+    .map((t) => ({ ...t, average: average(t.scores), attempts: t.scores.length }))
+    .sort((a, b) => a.average - b.average || b.missed - a.missed)
+    .slice(0, limit);
+}
+
+/** Questions missed most often across all attempts. */
+export function mostMissedQuestions(history, limit = 5) {
+  const counts = new Map();
+  for (const a of history) {
+    for (const [section, list] of Object.entries(a.missed || {})) {
+      for (const m of list) {
+        const key = `${a.day}|${section}|${m.q}`;
+        const c = counts.get(key) || { day: a.day, section, q: m.q, answer: m.answer, count: 0 };
+        c.count += 1;
+        counts.set(key, c);
+      }
+    }
+  }
+  return [...counts.values()].sort((a, b) => b.count - a.count).slice(0, limit);
+}
+
+/** Attempts per calendar date. */
+export function activityByDate(history) {
+  const out = {};
+  for (const a of history) {
+    const k = dateKey(a.at);
+    out[k] = (out[k] || 0) + 1;
+  }
+  return out;
+}
+
+/** Current streak (ending today or yesterday) and longest streak, in days. */
+export function studyStreaks(history, now = Date.now()) {
+  const dates = new Set(Object.keys(activityByDate(history)));
+  if (!dates.size) return { current: 0, longest: 0 };
+
+  const sorted = [...dates].sort();
+  let longest = 1;
+  let run = 1;
+  for (let i = 1; i < sorted.length; i++) {
+    const prev = new Date(`${sorted[i - 1]}T12:00:00`).getTime();
+    const cur = new Date(`${sorted[i]}T12:00:00`).getTime();
+    run = Math.round((cur - prev) / DAY_MS) === 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  }
+
+  let current = 0;
+  let cursor = now;
+  if (!dates.has(dateKey(cursor))) cursor -= DAY_MS; // today not studied yet: streak may still be alive
+  while (dates.has(dateKey(cursor))) {
+    current += 1;
+    cursor -= DAY_MS;
+  }
+  return { current, longest };
+}
+
+export function formatDuration(ms, t) {
+  const min = Math.round((ms || 0) / 60000);
+  if (min < 60) return t("time.minutes", { count: min });
+  return t("time.hours", { hours: Math.floor(min / 60), minutes: min % 60 });
+}
+
+/** Last `weeks` weeks as columns of 7 days (Mon–Sun) with attempt counts. */
+export function calendarWeeks(history, weeks = 12, now = Date.now()) {
+  const activity = activityByDate(history);
+  const today = new Date(now);
+  const mondayOffset = (today.getDay() + 6) % 7;
+  const start = now - (mondayOffset + (weeks - 1) * 7) * DAY_MS;
+
+  const out = [];
+  for (let w = 0; w < weeks; w++) {
+    const week = [];
+    for (let d = 0; d < 7; d++) {
+      const ts = start + (w * 7 + d) * DAY_MS;
+      const key = dateKey(ts);
+      week.push({ date: key, count: activity[key] || 0, future: ts > now });
+    }
+    out.push(week);
+  }
+  return out;
+}
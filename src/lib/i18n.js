@@ -0,0 +1,69 @@
+/**
+ * Interface language: message catalogs (src/data/locales/*.json) and locale switching.
+ *
+ * A catalog maps message keys to text with `{name}` placeholders; a key missing from a catalog
+ * falls back to English, then to the key itself. `gloss` is the language in which meanings of
+ * course content are shown (lib/glosses.js).
+ * The German immersion locale has none: word lists and prompts stay German-only, and only
+ * questions that ask for a meaning (vocab quiz, flashcards) fall back to English.
+ */
+
+import ar from "../data/locales/ar.json";
+import bn from "../data/locales/bn.json";
+import de from "../data/locales/de.json";
+import en from "../data/locales/en.json";
+import tr from "../data/locales/tr.json";
+
+export const DEFAULT_LOCALE = "en";
+export const MEANING_FALLBACK = "en"; // every vocab entry has an `en` gloss
+
+export const LOCALES = [
+  { id: "en", label: "English", dir: "ltr", gloss: "en" },
+  { id: "ar", label: "العربية", dir: "rtl", gloss: "ar" },
+  { id: "bn", label: "বাংলা", dir: "ltr", gloss: "bn" },
+  { id: "tr", label: "Türkçe", dir: "ltr", gloss: "tr" },
+  { id: "de", label: "Deutsch (nur Deutsch)", dir: "ltr", gloss: null, immersion: true },
+];
+
+const CATALOGS = { en, ar, bn, tr, de };
+
+export function findLocale(id) {
+  return LOCALES.find((l) => l.id === id) || LOCALES.find((l) => l.id === DEFAULT_LOCALE);
+}
+
+/** First of the browser's languages we have a catalog for (never the immersion locale). */
+export function detectLocale(languages = []) {
+  for (const tag of languages) {
+    const base = String(tag).toLowerCase().split("-")[0];
+    const match = LOCALES.find((l) => l.id === base && !l.immersion);
+    if (match) return match;
+  }
+  return findLocale(DEFAULT_LOCALE);
+}
+
+/** The profile's choice; null → the browser's language. */
+export function resolveLocale(pref, languages) {
+  return pref ? findLocale(pref) : detectLocale(languages);
+}
+
+/**
+ * An Error for the learner: `key` and `params` name a catalog message, shown with `errorText`;
+ * `message` is the English text (console, other callers).
+ */
+export function messageError(key, params = {}) {
+  return Object.assign(new Error(makeTranslator(DEFAULT_LOCALE)(key, params)), { key, params });
+}
+
+/** Text of a caught error in the interface language; errors without a key show their message. */
+export function errorText(e, t) {
+  return e?.key ? t(e.key, e.params) : e?.message || String(e);
+}
+
+/** `t(key, params)` for one locale. Placeholders without a param (e.g. `{text}` in a URL hint) stay as they are. */
+export function makeTranslator(localeId) {
+  const catalog = CATALOGS[localeId] || {};
+  return (key, params = {}) => {
+    const text = catalog[key] ?? en[key] ?? key;
+    return text.replace(/\{(\w+)\}/g, (m, name) => (name in params ? String(params[name]) : m));
+  };
+}
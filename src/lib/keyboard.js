@@ -0,0 +1,74 @@
+/**
+ * Keyboard shortcuts of the quiz views (registered by App):
+ *
+ *   1–9   answer the focused question with that choice
+ *   J / K next / previous question
+ *   Space play or stop the listening audio (learn and quiz pages); on an open choice it picks the choice
+ *
+ * Questions are found in the page: every question card carries `data-question` (`data-answered`
+ * once it is locked) and holds its choices as `role="radio"` buttons (components/ChoiceGroup.jsx),
+ * so any view with such cards gets the shortcuts without wiring of its own.
+ */
+
+const QUESTION = "[data-question]";
+const ANSWERED = "[data-answered]";
+const RADIO = '[role="radio"]';
+
+/** Keys typed into a field, or with a modifier, are never shortcuts. */
+export function isShortcutTarget(e) {
+  if (e.ctrlKey || e.metaKey || e.altKey || e.defaultPrevented) return false;
+  const el = e.target;
+  return !(el?.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(el?.tagName));
+}
+
+/** Space belongs to the focused button or link, and to a choice while its group is open; a locked group leaves it free. */
+export function spaceIsFree(e) {
+  const group = e.target?.closest?.('[role="radiogroup"]');
+  if (group) return group.getAttribute("aria-disabled") === "true";
+  return !e.target?.closest?.("button, a, summary");
+}
+
+function questions() {
+  return [...document.querySelectorAll(QUESTION)];
+}
+
+function currentIndex(list) {
+  return list.findIndex((el) => el.contains(document.activeElement));
+}
+
+// the checked choice, else the one in the tab order, else the card itself
+function focusQuestion(el) {
+  const target = el.querySelector(`${RADIO}[aria-checked="true"]`) || el.querySelector(`${RADIO}[tabindex="0"]`) || el;
+  target.focus();
+  target.scrollIntoView?.({ block: "nearest" });
+}
+
+/** Moves focus `step` questions on (J: 1, K: -1); from outside any question J starts at the first. */
+export function moveQuestion(step) {
+  const list = questions();
+  if (!list.length) return false;
+  const at = currentIndex(list);
+  const next = at < 0 ? (step > 0 ? 0 : list.length - 1) : Math.min(list.length - 1, Math.max(0, at + step));
+  focusQuestion(list[next]);
+  return true;
+}
+
+/** After an answer in `from`: focus moves on to the next question still open; false when there is none. */
+export function focusNextOpen(from) {
+  const list = questions();
+  const at = list.findIndex((el) => el.contains(from));
+  const next = at < 0 ? null : list.slice(at + 1).find((el) => !el.matches(ANSWERED));
+  if (next) focusQuestion(next);
+  return !!next;
+}
+
+/** Picks choice `n` (1-based) of the focused question; false when there is none to pick. */
+export function pickChoice(n) {
+  const list = questions();
+  const el = list[currentIndex(list)];
+  const radio = el?.querySelectorAll(RADIO)[n - 1];
+  if (!radio || radio.getAttribute("aria-disabled") === "true") return false;
+  radio.focus();
+  radio.click();
+  return true;
+}
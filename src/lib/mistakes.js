@@ -0,0 +1,73 @@
+/** Mistake notebook: every wrongly answered quiz question, until it is drilled away */
+
+import { scopedKey } from "./profiles.js";
+
+export const MISTAKES_STORAGE_KEY = "a2_mistakes_v1";
+export const RETIRE_AFTER = 3; // correct answers in a row
+
+export const SECTION_LABELS = { vocab: "Vocab", grammar: "Grammar", listening: "Listening" };
+
+export function loadMistakes() {
+  try {
+    const saved = localStorage.getItem(scopedKey(MISTAKES_STORAGE_KEY));
+    const parsed = saved ? JSON.parse(saved) : {};
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+export function saveMistakes(mistakes) {
+  try {
+    localStorage.setItem(scopedKey(MISTAKES_STORAGE_KEY), JSON.stringify(mistakes));
+  } catch {
+    // storage full: the notebook is optional
+  }
+}
+
+export function mistakeId(day, section, prompt) {
+  return `${day}|${section}|${prompt}`;
+}
+
+/**
+ * Adds (or refreshes) a missed question.
+ * item: `{ day, section, prompt, choices, answer, context? }`
+ */
+export function recordMistake(mistakes, item, chosen, now = Date.now()) {
+  const id = mistakeId(item.day, item.section, item.prompt);
+  const prev = mistakes[id];
+  return {
+    ...mistakes,
+    [id]: {
+      ...item,
+      id,
+      lastChosen: chosen,
+      misses: (prev?.misses || 0) + 1,
+      streak: 0,
+      addedAt: prev?.addedAt || now,
+      lastSeenAt: now,
+    },
+  };
+}
+
+/** Applies a drill answer; an item is removed after RETIRE_AFTER correct answers in a row. */
+export function answerMistake(mistakes, id, chosen, now = Date.now()) {
+  const m = mistakes[id];
+  if (!m) return mistakes;
+
+  if (chosen !== m.answer) {
+    return { ...mistakes, [id]: { ...m, lastChosen: chosen, misses: m.misses + 1, streak: 0, lastSeenAt: now } };
+  }
+
+  const streak = (m.streak || 0) + 1;
+  if (streak >= RETIRE_AFTER) {
+    const rest = { ...mistakes };
+    delete rest[id];
+    return rest;
+  }
+  return { ...mistakes, [id]: { ...m, streak, lastSeenAt: now } };
+}
+
+export function mistakeList(mistakes) {
+  return Object.values(mistakes || {}).sort((a, b) => a.day - b.day || a.addedAt - b.addedAt);
+}
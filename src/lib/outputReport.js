@@ -0,0 +1,74 @@
+/** Writing task ("output") checks against a day's outputRules / passRules */
+
+import { findKeywords, findVocabUsed } from "./germanMatch.js";
+import { checkGrammar, grammarChecksFor } from "./grammarCheck.js";
+
+function countSentences(text) {
+  const parts = (text || "")
+    .split(/[.!?]+/g)
+    .map((s) => s.trim())
+    .filter(Boolean);
+  return parts.length;
+}
+
+function testRegexAll(text, patterns) {
+  return (patterns || []).map((p) => {
+    const re = new RegExp(p, "i");
+    return re.test(text || "");
+  });
+}
+
+export function buildOutputReport(dayPlan, text) {
+  const rules = dayPlan.outputRules;
+  const t = text || "";
+
+  const charCount = t.trim().length;
+  const sentences = countSentences(t);
+
+  const keywordsFound = findKeywords(t, rules.mustIncludeAny || []);
+  const patternChecks = testRegexAll(t, rules.mustIncludeAllPatterns || []);
+  const patternsOk = patternChecks.every(Boolean);
+
+  // word-boundary, umlaut-folding matcher that also knows inflected/separated forms
+  const vocabUsed = findVocabUsed(t, dayPlan.vocab_list || []);
+  const vocabUsedCount = vocabUsed.length;
+
+  const grammarChecks = grammarChecksFor(dayPlan.grammar);
+
+  return {
+    charCount,
+    minChars: dayPlan.passRules.minOutputChars,
+    charsOk: charCount >= dayPlan.passRules.minOutputChars,
+
+    sentences,
+    minSentences: rules.minSentences,
+    sentencesOk: sentences >= rules.minSentences,
+
+    mustIncludeAny: rules.mustIncludeAny || [],
+    keywordsFound,
+    keywordOk: (rules.mustIncludeAny || []).length === 0 ? true : keywordsFound.length > 0,
+
+    mustIncludeAllPatterns: rules.mustIncludeAllPatterns || [],
+    patternChecks,
+    patternsOk,
+
+    vocabUsed,
+    vocabUsedCount,
+    mustUseVocabAtLeast: rules.mustUseVocabAtLeast,
+    vocabOk: vocabUsedCount >= rules.mustUseVocabAtLeast,
+
+    // hints only, not part of passing
+    grammar: { checks: grammarChecks, ...checkGrammar(t, grammarChecks) },
+  };
+}
+
+const OUTPUT_CHECKS = ["charsOk", "sentencesOk", "keywordOk", "patternsOk", "vocabOk"];
+
+export function outputPassed(report) {
+  return OUTPUT_CHECKS.every((k) => report[k]);
+}
+
+/** Share of the output checks that pass (0..1), for partial credit in the exam. */
+export function outputRatio(report) {
+  return OUTPUT_CHECKS.filter((k) => report[k]).length / OUTPUT_CHECKS.length;
+}
@@ -0,0 +1,113 @@
+/**
+ * Adaptive placement test: a binary search over the course days.
+ *
+ * Each probe asks a few questions of one day (vocab_quiz, multiple-choice grammar.quiz and
+ * listening quizzes). Passing a probe counts that day and every earlier one as mastered, failing
+ * it rules out that day and every later one, so a 30-day course is placed in about five probes.
+ */
+
+import { itemType } from "./grammarItems.js";
+import { shuffledChoices } from "./quizOrder.js";
+import { buildVocabQuiz, seededRandom, shuffle } from "./vocabQuiz.js";
+
+export const PROBE_SIZE = 3;
+export const PROBE_PASS = 2; // correct answers needed out of PROBE_SIZE
+export const MAX_PROBES = 7;
+
+/**
+ * Every multiple-choice question of a day as `{ key, day, section, prompt, choices, answer }`;
+ * listening questions also carry their segment (`{ title, text, audio }`). Choices are mixed by `seed`.
+ */
+export function dayQuestions(plans, plan, seed = 0) {
+  const vocab = buildVocabQuiz(plans, plan, seed).map((q, i) => ({
+    key: `${plan.day}:v${i}`,
+    day: plan.day,
+    section: "vocab",
+    prompt: q.word,
+    choices: q.choices,
+    answer: q.answer,
+  }));
+  const grammar = (plan.grammar?.quiz || [])
+    .map((q, i) => [q, i])
+    .filter(([q]) => itemType(q) === "choice")
+    .map(([q, i]) => ({ key: `${plan.day}:g${i}`, day: plan.day, section: "grammar", prompt: q.q, choices: q.choices, answer: q.a }));
+  const listening = (plan.listening?.segments || []).flatMap((seg, segIndex) =>
+    (seg.quiz || []).map((q, qIndex) => ({
+      key: `${plan.day}:l${segIndex}-${qIndex}`,
+      day: plan.day,
+      section: "listening",
+      prompt: q.q,
+      choices: q.choices,
+      answer: q.a,
+      segment: { title: seg.title, text: seg.text, audio: seg.audio },
+    }))
+  );
+  return [...vocab, ...grammar, ...listening].map((q) => ({
+    ...q,
+    choices: shuffledChoices(q.choices, `${seed}:${q.key}`),
+  }));
+}
+
+// one question per section first, so a probe is not three vocab questions
+function probeItems(plans, day, seed) {
+  const plan = plans.find((d) => d.day === day);
+  const rand = seededRandom(`placement:${day}:${seed}`);
+  const pool = shuffle(dayQuestions(plans, plan, seed), rand);
+  const picked = [];
+  for (const section of shuffle(["vocab", "grammar", "listening"], rand)) {
+    const q = pool.find((x) => x.section === section);
+    if (q) picked.push(q);
+  }
+  const rest = pool.filter((x) => !picked.includes(x));
+  return [...picked, ...rest].slice(0, PROBE_SIZE);
+}
+
+function nextProbe(state, plans) {
+  const done = state.lo >= state.hi || state.probes.length >= MAX_PROBES;
+  if (done) return { ...state, current: null };
+  const mid = Math.ceil((state.lo + state.hi) / 2); // probe the mid-th day
+  const day = state.days[mid - 1];
+  return { ...state, current: { index: mid, day, items: probeItems(plans, day, state.seed) } };
+}
+
+/**
+ * First probe. State: `{ seed, days, lo, hi, probes, current }`; the number of mastered days
+ * lies in [lo, hi], `current` is the probe to answer (null when the test is over).
+ */
+export function startPlacement(plans, seed = 0) {
+  const days = (plans || [])
+    .filter((d) => dayQuestions(plans, d, seed).length > 0)
+    .map((d) => d.day)
+    .sort((a, b) => a - b);
+  return nextProbe({ seed, days, lo: 0, hi: days.length, probes: [] }, plans);
+}
+
+/** Grades the current probe (`answers`: `{ [key]: choice }`) and moves to the next one. */
+export function answerProbe(state, plans, answers) {
+  const { index, day, items } = state.current;
+  const correct = items.filter((q) => answers[q.key] === q.answer).length;
+  const passed = correct >= Math.min(PROBE_PASS, items.length);
+  const probes = [...state.probes, { day, correct, total: items.length, passed }];
+  const bounds = passed ? { lo: index } : { hi: index - 1 };
+  return nextProbe({ ...state, ...bounds, probes }, plans);
+}
+
+/**
+ * Outcome once `current` is null: the day to start on and the days judged mastered
+ * (`[{ day, topic, grammarTitle }]`). Unsettled bounds (probe limit reached) take the lower one.
+ */
+export function placementResult(state, plans) {
+  const mastered = state.days.slice(0, state.lo);
+  const lastDay = Math.max(1, ...(plans || []).map((d) => d.day));
+  const startDay = state.days[state.lo] ?? lastDay;
+  const byDay = new Map((plans || []).map((d) => [d.day, d]));
+  return {
+    startDay,
+    mastered: mastered.map((day) => ({
+      day,
+      topic: byDay.get(day)?.topic || "",
+      grammarTitle: byDay.get(day)?.grammar?.title || "",
+    })),
+    probes: state.probes,
+  };
+}
@@ -0,0 +1,47 @@
+/**
+ * Locally authored day plans (✏️ Author view), layered over the bundled dayPlans.json.
+ * `{ [day]: rawPlan }`: an entry replaces the bundled day or adds a new one.
+ * Shared by all profiles on this device, like the bundled content itself; one set per course pack.
+ */
+
+import { packKey } from "./profiles.js";
+
+export const PLAN_OVERRIDES_KEY = "a2_plan_overrides_v1";
+
+export function loadPlanOverrides() {
+  try {
+    const saved = localStorage.getItem(packKey(PLAN_OVERRIDES_KEY));
+    const parsed = saved ? JSON.parse(saved) : {};
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+export function savePlanOverrides(overrides) {
+  try {
+    if (Object.keys(overrides).length) localStorage.setItem(packKey(PLAN_OVERRIDES_KEY), JSON.stringify(overrides));
+    else localStorage.removeItem(packKey(PLAN_OVERRIDES_KEY));
+  } catch {
+    // storage full: the edits stay in memory until the tab is closed
+  }
+}
+
+/** Raw plans with the overrides applied, sorted by day (what "Export dayPlans.json" writes). */
+export function mergeDayPlans(basePlans, overrides) {
+  const byDay = new Map(basePlans.map((p) => [p.day, p]));
+  for (const [day, plan] of Object.entries(overrides || {})) {
+    if (plan && typeof plan === "object") byDay.set(Number(day), { ...plan, day: Number(day) });
+  }
+  return [...byDay.values()].sort((a, b) => a.day - b.day);
+}
+
+export function setOverride(overrides, plan) {
+  return { ...overrides, [plan.day]: plan };
+}
+
+export function removeOverride(overrides, day) {
+  const rest = { ...overrides };
+  delete rest[day];
+  return rest;
+}
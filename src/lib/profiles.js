@@ -0,0 +1,141 @@
+/**
+ * Learner profiles: several learners sharing one device.
+ *
+ * Every store (progress, SRS, history, mistakes, sessions) keeps its data under
+ * `scopedKey(KEY)`. The first profile owns the plain keys, so data saved before
+ * profiles existed stays with it; other profiles use `KEY@<profileId>`.
+ * Course packs other than the bundled one add `#<packId>`: `KEY#b1-track@<profileId>`.
+ */
+
+import { DEFAULT_SERVER_URL } from "./audioProviders.js";
+import { DEFAULT_PACK_ID } from "./coursePacks.js";
+import { hashSeed } from "./vocabQuiz.js";
+
+export const PROFILES_STORAGE_KEY = "a2_profiles_v1";
+export const DEFAULT_PROFILE_ID = "default";
+
+export function defaultPrefs() {
+  return {
+    voiceURI: "",
+    rate: 0.95,
+    pitch: 1.0,
+    ttsBackend: "webspeech", // "webspeech" | "server"
+    ttsServerUrl: DEFAULT_SERVER_URL,
+    serverVoice: "",
+    useRecordings: true,
+    packId: DEFAULT_PACK_ID, // course pack the learner is working through
+    unlockPolicy: null, // null → the course pack's policy (see lib/unlockPolicy.js)
+    locale: null, // interface language; null → the browser's (see lib/i18n.js)
+  };
+}
+
+// the profile whose keys the stores read and write; set by the app on load and on switch
+let activeProfileId = DEFAULT_PROFILE_ID;
+
+export function setActiveProfile(id) {
+  activeProfileId = id || DEFAULT_PROFILE_ID;
+}
+
+export function getActiveProfileId() {
+  return activeProfileId;
+}
+
+// the course pack whose progress the stores read and write; set together with the profile
+let activePackId = DEFAULT_PACK_ID;
+
+export function setActivePack(id) {
+  activePackId = id || DEFAULT_PACK_ID;
+}
+
+/** Key of pack content shared by all profiles (e.g. edited day plans). */
+export function packKey(base, packId = activePackId) {
+  return packId === DEFAULT_PACK_ID ? base : `${base}#${packId}`;
+}
+
+export function scopedKey(base, profileId = activeProfileId) {
+  const key = packKey(base);
+  return profileId === DEFAULT_PROFILE_ID ? key : `${key}@${profileId}`;
+}
+
+function makeProfile(id, name, now) {
+  return { id, name, pinHash: null, prefs: defaultPrefs(), createdAt: now };
+}
+
+function emptyState(now = Date.now()) {
+  return { activeId: DEFAULT_PROFILE_ID, profiles: [makeProfile(DEFAULT_PROFILE_ID, "Learner 1", now)] };
+}
+
+export function loadProfiles() {
+  try {
+    const saved = localStorage.getItem(PROFILES_STORAGE_KEY);
+    const parsed = saved ? JSON.parse(saved) : null;
+    if (!parsed || !Array.isArray(parsed.profiles) || !parsed.profiles.length) return emptyState();
+    const profiles = parsed.profiles.map((p) => ({ ...p, prefs: { ...defaultPrefs(), ...p.prefs } }));
+    const activeId = profiles.some((p) => p.id === parsed.activeId) ? parsed.activeId : profiles[0].id;
+    return { activeId, profiles };
+  } catch {
+    return emptyState();
+  }
+}
+
+export function saveProfiles(state) {
+  try {
+    localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(state));
+  } catch {
+    // storage full: profile list stays in memory for this visit
+  }
+}
+
+export function activeProfile(state) {
+  return state.profiles.find((p) => p.id === state.activeId) || state.profiles[0];
+}
+
+// A PIN keeps classmates from using each other's profile; it is not encryption.
+export function hashPin(profileId, pin) {
+  return hashSeed(`${profileId}:${String(pin).trim()}`).toString(36);
+}
+
+export function checkPin(profile, pin) {
+  return !profile.pinHash || profile.pinHash === hashPin(profile.id, pin);
+}
+
+function updateProfile(state, id, patch) {
+  return { ...state, profiles: state.profiles.map((p) => (p.id === id ? { ...p, ...patch } : p)) };
+}
+
+export function createProfile(state, name, pin = "", now = Date.now()) {
+  const id = `p${now.toString(36)}`;
+  const profile = makeProfile(id, name.trim() || `Learner ${state.profiles.length + 1}`, now);
+  if (String(pin).trim()) profile.pinHash = hashPin(id, pin);
+  return { state: { ...state, profiles: [...state.profiles, profile] }, profile };
+}
+
+export function renameProfile(state, id, name) {
+  return name.trim() ? updateProfile(state, id, { name: name.trim() }) : state;
+}
+
+/** Sets the PIN of a profile; an empty PIN removes the protection. */
+export function setProfilePin(state, id, pin) {
+  return updateProfile(state, id, { pinHash: String(pin).trim() ? hashPin(id, pin) : null });
+}
+
+export function updatePrefs(state, id, prefs) {
+  const profile = state.profiles.find((p) => p.id === id);
+  return profile ? updateProfile(state, id, { prefs: { ...profile.prefs, ...prefs } }) : state;
+}
+
+/** Removes a profile and all of its stored data. The first profile cannot be deleted. */
+export function deleteProfile(state, id) {
+  if (id === DEFAULT_PROFILE_ID) return state;
+
+  const suffix = `@${id}`;
+  const keys = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key?.endsWith(suffix)) keys.push(key);
+  }
+  keys.forEach((k) => localStorage.removeItem(k));
+
+  const profiles = state.profiles.filter((p) => p.id !== id);
+  return { activeId: state.activeId === id ? DEFAULT_PROFILE_ID : state.activeId, profiles };
+}
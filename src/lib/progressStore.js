@@ -0,0 +1,114 @@
+/**
+ * Versioned progress storage.
+ *
+ * Progress used to live under `a2_progress_v<N>`, and every format change
+ * started from scratch under a new key. It is now stored under one key with a
+ * `version` field; old keys are migrated on first load instead of ignored.
+ * Old keys predate profiles and course packs, so only the plain key (first
+ * profile, bundled course) migrates them. `a2_progress_v10` is the oldest
+ * format this app knows; saves under earlier keys are not read.
+ */
+
+import { scopedKey } from "./profiles.js";
+
+export const PROGRESS_KEY = "a2_progress";
+export const PROGRESS_VERSION = 11;
+const LEGACY_KEY_RE = /^a2_progress_v(\d+)$/;
+const OLDEST_VERSION = 10;
+
+export function defaultProgress() {
+  return { currentDay: 1, maxUnlockedDay: 1, mode: "learn" };
+}
+
+function toDay(v) {
+  const n = Math.floor(Number(v));
+  return Number.isFinite(n) && n >= 1 ? n : null;
+}
+
+/**
+ * Any plausible progress record → `{ currentDay, maxUnlockedDay, mode }` with sane values.
+ * `currentDay` may lie beyond `maxUnlockedDay` (free practice, calendar unlocking); the app
+ * clamps it to what the unlock policy allows.
+ */
+export function sanitizeProgress(p) {
+  const src = p && typeof p === "object" ? p : {};
+  const maxUnlockedDay = toDay(src.maxUnlockedDay) ?? 1;
+  const currentDay = toDay(src.currentDay) ?? 1;
+  const mode = typeof src.mode === "string" && src.mode ? src.mode : "learn";
+  return { ...src, currentDay, maxUnlockedDay, mode };
+}
+
+// MIGRATIONS[n] turns a version-n record into a version-(n + 1) record
+const MIGRATIONS = {
+  // v10 had no version field; clamp values and drop nothing
+  10: (p) => sanitizeProgress(p),
+};
+
+/** Upgrades a stored record of `version` (v10 when unknown) to the current format. */
+export function migrateProgress(record, version) {
+  let p = record;
+  let v = Math.max(OLDEST_VERSION, Number(version) || 0);
+  while (v < PROGRESS_VERSION) {
+    p = (MIGRATIONS[v] || sanitizeProgress)(p);
+    v += 1;
+  }
+  const { version: _version, ...rest } = sanitizeProgress(p);
+  return rest;
+}
+
+function readJson(key) {
+  try {
+    const saved = localStorage.getItem(key);
+    return saved ? JSON.parse(saved) : null;
+  } catch {
+    return null;
+  }
+}
+
+function legacyRecords() {
+  const out = [];
+  if (scopedKey(PROGRESS_KEY) !== PROGRESS_KEY) return out;
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    const m = LEGACY_KEY_RE.exec(key || "");
+    if (!m || Number(m[1]) < OLDEST_VERSION) continue;
+    const record = readJson(key);
+    if (record) out.push({ key, version: Number(m[1]), progress: migrateProgress(record, Number(m[1])) });
+  }
+  return out.sort((a, b) => b.version - a.version);
+}
+
+export function loadProgress() {
+  try {
+    const saved = readJson(scopedKey(PROGRESS_KEY));
+    if (saved) return migrateProgress(saved, saved.version ?? 10);
+
+    // first run on this format: take the newest old save, but keep the furthest unlock of any of them
+    const legacy = legacyRecords();
+    if (!legacy.length) return defaultProgress();
+    const newest = legacy[0].progress;
+    const maxUnlockedDay = Math.max(...legacy.map((l) => l.progress.maxUnlockedDay));
+    const migrated = sanitizeProgress({ ...newest, maxUnlockedDay });
+    saveProgress(migrated);
+    return migrated;
+  } catch {
+    return defaultProgress();
+  }
+}
+
+export function saveProgress(p) {
+  localStorage.setItem(scopedKey(PROGRESS_KEY), JSON.stringify({ version: PROGRESS_VERSION, ...p }));
+}
+
+/** Removes the progress and any old `a2_progress_vN` keys (they would be migrated again). */
+export function clearProgress() {
+  localStorage.removeItem(scopedKey(PROGRESS_KEY));
+  if (scopedKey(PROGRESS_KEY) !== PROGRESS_KEY) return;
+
+  const keys = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (LEGACY_KEY_RE.test(key || "")) keys.push(key);
+  }
+  keys.forEach((k) => localStorage.removeItem(k));
+}
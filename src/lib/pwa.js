@@ -0,0 +1,50 @@
+/**
+ * Installable, offline-first app: service worker registration (production builds only),
+ * the "update available" hand-off and persistent storage.
+ */
+
+/**
+ * Registers /sw.js. `onUpdate(apply)` is called when a new version is ready; `apply()` activates
+ * it, and the page reloads once the new worker has taken over.
+ */
+export function registerServiceWorker({ onUpdate }) {
+  if (!import.meta.env.PROD || !("serviceWorker" in navigator)) return;
+
+  // the very first install also takes control; only a real update should reload the page
+  const hadController = !!navigator.serviceWorker.controller;
+  let reloading = false;
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (!hadController || reloading) return;
+    reloading = true;
+    window.location.reload();
+  });
+
+  navigator.serviceWorker
+    .register(`${import.meta.env.BASE_URL}sw.js`)
+    .then((reg) => {
+      const offer = (worker) => onUpdate(() => worker.postMessage("SKIP_WAITING"));
+      if (reg.waiting && hadController) offer(reg.waiting);
+      reg.addEventListener("updatefound", () => {
+        const worker = reg.installing;
+        worker?.addEventListener("statechange", () => {
+          if (worker.state === "installed" && navigator.serviceWorker.controller) offer(worker);
+        });
+      });
+    })
+    .catch(() => {
+      // no offline mode (e.g. plain http); the app itself still works
+    });
+}
+
+/**
+ * Asks the browser not to evict localStorage & co. under storage pressure, which is how an
+ * offline phone would otherwise lose progress. Resolves to true when storage is persistent.
+ */
+export async function requestPersistentStorage() {
+  try {
+    if (await navigator.storage?.persisted?.()) return true;
+    return (await navigator.storage?.persist?.()) ?? false;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,23 @@
+/**
+ * Per-attempt order of quiz questions and answer choices.
+ *
+ * Authored quizzes tend to list the right answer first. Each attempt shows questions and choices
+ * in an order drawn from the attempt's `seed` (stored with the day session, so a reload keeps it).
+ * Answers stay keyed by the question's position in the file and are graded by value, never by
+ * the position on screen.
+ */
+
+import { seededRandom, shuffle } from "./vocabQuiz.js";
+
+export function newSeed() {
+  return Math.random().toString(36).slice(2, 10);
+}
+
+/** Indexes 0…count-1 in attempt order. */
+export function shuffledIndexes(count, seed) {
+  return shuffle([...Array(count).keys()], seededRandom(seed));
+}
+
+export function shuffledChoices(choices, seed) {
+  return shuffle(choices || [], seededRandom(seed));
+}
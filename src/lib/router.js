@@ -0,0 +1,42 @@
+/**
+ * Client-side routes (History API, no router library):
+ *
+ *   /day/18/learn   /day/18/quiz#listening   /day/18/speaking
+ *   /review   /mistakes   /stats   /placement   /testout   /author
+ *
+ * The hash names a section of the page (SECTIONS); "/" opens wherever the learner left off.
+ * The server must answer every path with index.html (Vite's dev server and `vite preview` do).
+ */
+
+export const DAY_MODES = ["learn", "quiz", "speaking"];
+export const APP_MODES = ["review", "mistakes", "stats", "placement", "testout", "author"];
+export const SECTIONS = ["vocab", "grammar", "listening", "output"];
+
+const BASE = import.meta.env.BASE_URL.replace(/\/$/, "");
+const DAY_RE = /^\/day\/(\d+)(?:\/([a-z]+))?\/?$/;
+const APP_RE = /^\/([a-z]+)\/?$/;
+
+/** `{ day, mode, section }` of a location (`day` null for app-wide views), or null for "/" and unknown paths. */
+export function parseRoute(pathname, hash = "") {
+  const path = pathname.startsWith(BASE) ? pathname.slice(BASE.length) || "/" : pathname;
+  const section = SECTIONS.includes(hash.replace(/^#/, "")) ? hash.replace(/^#/, "") : null;
+
+  const dayMatch = DAY_RE.exec(path);
+  if (dayMatch) {
+    const day = Number(dayMatch[1]);
+    const mode = dayMatch[2] || "learn";
+    return day >= 1 && DAY_MODES.includes(mode) ? { day, mode, section } : null;
+  }
+  const appMatch = APP_RE.exec(path);
+  if (appMatch && APP_MODES.includes(appMatch[1])) return { day: null, mode: appMatch[1], section };
+  return null;
+}
+
+export function readRoute() {
+  return parseRoute(window.location.pathname, window.location.hash);
+}
+
+/** Path of a view: day modes carry the day, the others do not. */
+export function routePath({ day, mode }) {
+  return DAY_MODES.includes(mode) ? `${BASE}/day/${day}/${mode}` : `${BASE}/${mode}`;
+}
@@ -0,0 +1,86 @@
+/**
+ * Per-day quiz session: locked answers, dictation + writing draft, a running mock exam, kept across reloads.
+ * `seed` fixes the question / choice order of the attempt (lib/quizOrder.js); it is saved
+ * along with the first answer, so an untouched attempt may be shuffled anew.
+ */
+
+import { scopedKey } from "./profiles.js";
+import { newSeed } from "./quizOrder.js";
+
+export const SESSION_STORAGE_KEY = "a2_sessions_v1";
+
+export function emptySession() {
+  return {
+    seed: newSeed(),
+    vocabAttempt: 0,
+    vocabLang: null, // gloss language of a generated vocab set, fixed with its first answer
+    vocabChosen: {},
+    grammarChosen: {},
+    listeningChosen: {},
+    outputText: "",
+    dictation: {},
+    exam: null, // mock exam attempt of an exam day: section, clock, answers, plays (components/ExamMode.jsx)
+    updatedAt: null,
+  };
+}
+
+export function loadAllSessions() {
+  try {
+    const saved = localStorage.getItem(scopedKey(SESSION_STORAGE_KEY));
+    const parsed = saved ? JSON.parse(saved) : {};
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+export function saveAllSessions(all) {
+  try {
+    localStorage.setItem(scopedKey(SESSION_STORAGE_KEY), JSON.stringify(all));
+  } catch {
+    // storage full or blocked: keep working in memory
+  }
+}
+
+export function loadSession(day) {
+  const s = loadAllSessions()[day];
+  if (!s || typeof s !== "object") return emptySession();
+  return { ...emptySession(), ...s };
+}
+
+function isEmpty(s) {
+  return (
+    !s.vocabAttempt &&
+    !Object.keys(s.vocabChosen || {}).length &&
+    !Object.keys(s.grammarChosen || {}).length &&
+    !Object.keys(s.listeningChosen || {}).length &&
+    !Object.keys(s.dictation || {}).length &&
+    !s.exam &&
+    !String(s.outputText || "").trim()
+  );
+}
+
+/** Saves the session for `day` (an untouched session is removed instead). */
+export function saveSession(day, session) {
+  const all = loadAllSessions();
+  if (isEmpty(session)) {
+    if (!(day in all)) return null;
+    delete all[day];
+    saveAllSessions(all);
+    return null;
+  }
+  const updatedAt = Date.now();
+  all[day] = { ...session, updatedAt };
+  saveAllSessions(all);
+  return updatedAt;
+}
+
+export function clearSession(day) {
+  const all = loadAllSessions();
+  delete all[day];
+  saveAllSessions(all);
+}
+
+export function clearAllSessions() {
+  localStorage.removeItem(scopedKey(SESSION_STORAGE_KEY));
+}
@@ -0,0 +1,74 @@
+/**
+ * Speech recognition for the speaking practice and the mock exam. App creates one
+ * browserRecognizer and passes it down; the components use only these members:
+ *
+ *   recognizer.supported        → boolean
+ *   recognizer.listen({ lang }) → Promise<string[]> (transcripts, best first)
+ *   recognizer.stop()           → ends listening early
+ */
+
+import { scoreDictation } from "./dictation.js";
+import { messageError } from "./i18n.js";
+
+// recognition error codes → catalog keys; `listen` rejects with a `messageError`
+const ERROR_KEYS = {
+  "no-speech": "speech.noSpeech",
+  "audio-capture": "speech.noMicrophone",
+  "not-allowed": "speech.blocked",
+  network: "speech.network",
+};
+
+/** Web Speech API (Chrome, Edge, Safari); `supported` is false elsewhere. */
+export function browserRecognizer() {
+  const Impl = typeof window !== "undefined" ? window.SpeechRecognition || window.webkitSpeechRecognition : null;
+  let active = null;
+
+  return {
+    supported: !!Impl,
+
+    listen({ lang = "de-DE" } = {}) {
+      if (!Impl) return Promise.reject(messageError("speech.unsupported"));
+      active?.abort();
+
+      return new Promise((resolve, reject) => {
+        const r = new Impl();
+        r.lang = lang;
+        r.continuous = false;
+        r.interimResults = false;
+        r.maxAlternatives = 3;
+
+        let heard = [];
+        r.onresult = (e) => {
+          heard = Array.from(e.results[0] || []).map((alt) => alt.transcript);
+        };
+        // "aborted" comes from stop()/abort(): resolve with whatever was heard
+        r.onerror = (e) => {
+          if (e.error !== "aborted") reject(messageError(ERROR_KEYS[e.error] || "speech.failed", { error: e.error }));
+        };
+        r.onend = () => {
+          if (active === r) active = null;
+          resolve(heard);
+        };
+
+        active = r;
+        try {
+          r.start();
+        } catch (err) {
+          active = null;
+          reject(err);
+        }
+      });
+    },
+
+    stop() {
+      active?.stop();
+    },
+  };
+}
+
+/** Best match of the recognized alternatives against the target sentence (same scoring as dictation). */
+export function scoreSpeech(target, alternatives) {
+  const scored = (alternatives || []).map((heard) => ({ heard, ...scoreDictation(target, heard) }));
+  if (!scored.length) return { heard: "", ...scoreDictation(target, "") };
+  return scored.reduce((best, s) => (s.accuracy > best.accuracy ? s : best));
+}
@@ -0,0 +1,139 @@
+/** Spaced repetition (SM-2) for vocab_list words of all unlocked days */
+
+import { scopedKey } from "./profiles.js";
+
+export const SRS_STORAGE_KEY = "a2_srs_v1";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RELEARN_MS = 10 * 60 * 1000; // "again" → due again in 10 minutes
+const START_EASE = 2.5;
+const MIN_EASE = 1.3;
+const NEW_CARDS_PER_SESSION = 20;
+
+// SM-2 quality: < 3 counts as a lapse; button labels are `grade.<id>` in the locale catalogs
+export const GRADES = [
+  { id: "again", quality: 1 },
+  { id: "hard", quality: 3 },
+  { id: "good", quality: 4 },
+  { id: "easy", quality: 5 },
+];
+
+export function loadSrs() {
+  try {
+    const saved = localStorage.getItem(scopedKey(SRS_STORAGE_KEY));
+    if (!saved) return {};
+    const parsed = JSON.parse(saved);
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+export function saveSrs(srs) {
+  localStorage.setItem(scopedKey(SRS_STORAGE_KEY), JSON.stringify(srs));
+}
+
+export function cardId(day, de) {
+  return `${day}:${de}`;
+}
+
+function newCardState() {
+  return { ease: START_EASE, interval: 0, reps: 0, lapses: 0, reviews: 0, due: 0, lastReviewed: null };
+}
+
+/** Returns the next state of a card after answering with SM-2 `quality` (0–5). */
+export function schedule(state, quality, now = Date.now()) {
+  const prev = { ...newCardState(), ...(state || {}) };
+  const q = Math.max(0, Math.min(5, Number(quality) || 0));
+
+  const ease = Math.max(MIN_EASE, prev.ease + 0.1 - (5 - q) * (0.08 + (5 - q) * 0.02));
+  // every grading counts (unlockPolicy.js "reviews"); older cards start from reps + lapses
+  const reviews = (state?.reviews ?? prev.reps + prev.lapses) + 1;
+
+  if (q < 3) {
+    return {
+      ...prev,
+      ease,
+      interval: 0,
+      reps: 0,
+      lapses: prev.lapses + 1,
+      reviews,
+      due: now + RELEARN_MS,
+      lastReviewed: now,
+    };
+  }
+
+  const reps = prev.reps + 1;
+  let interval;
+  if (reps === 1) interval = 1;
+  else if (reps === 2) interval = 6;
+  else interval = Math.round(prev.interval * ease);
+
+  // "hard" should never grow faster than "good"
+  if (q === 3 && reps > 2) interval = Math.max(1, Math.round(prev.interval * 1.2));
+
+  return {
+    ...prev,
+    ease,
+    interval,
+    reps,
+    reviews,
+    due: now + interval * DAY_MS,
+    lastReviewed: now,
+  };
+}
+
+/** All distinct vocab words from day 1 up to `maxUnlockedDay`. */
+export function collectReviewCards(plans, maxUnlockedDay) {
+  const seen = new Set();
+  const out = [];
+  (plans || [])
+    .filter((d) => d.day <= maxUnlockedDay)
+    .forEach((d) => {
+      (d.vocab_list || []).forEach((v) => {
+        const id = cardId(d.day, v.de);
+        if (!v.de || seen.has(id)) return;
+        seen.add(id);
+        out.push({ id, day: d.day, de: v.de, en: v.en, glosses: v.glosses });
+      });
+    });
+  return out;
+}
+
+export function isDue(state, now = Date.now()) {
+  return !state || (state.due ?? 0) <= now;
+}
+
+/** Due cards first (most overdue first), then a limited number of new cards by day. */
+export function buildReviewQueue(cards, srs, { now = Date.now(), newLimit = NEW_CARDS_PER_SESSION } = {}) {
+  const due = [];
+  const fresh = [];
+  for (const c of cards || []) {
+    const state = srs?.[c.id];
+    if (!state) fresh.push(c);
+    else if (isDue(state, now)) due.push(c);
+  }
+  due.sort((a, b) => srs[a.id].due - srs[b.id].due);
+  return [...due, ...fresh.slice(0, newLimit)];
+}
+
+export function countReview(cards, srs, now = Date.now()) {
+  let due = 0;
+  let fresh = 0;
+  for (const c of cards || []) {
+    const state = srs?.[c.id];
+    if (!state) fresh += 1;
+    else if (isDue(state, now)) due += 1;
+  }
+  // what a session holds (see buildReviewQueue): every due card plus the new ones it lets in
+  const session = due + Math.min(fresh, NEW_CARDS_PER_SESSION);
+  return { due, fresh, session, total: (cards || []).length };
+}
+
+/** Time until the card is due, with the translator `t` of lib/i18n.js. */
+export function formatInterval(state, t, now = Date.now()) {
+  const ms = Math.max(0, (state?.due ?? now) - now);
+  if (ms < DAY_MS) return t("time.minutes", { count: Math.max(1, Math.round(ms / 60000)) });
+  const days = Math.round(ms / DAY_MS);
+  return days === 1 ? t("time.day") : t("time.days", { count: days });
+}
@@ -0,0 +1,185 @@
+/**
+ * Unlocking policies: which days a learner may open.
+ *
+ *   linear    pass a day to open the next one (default)
+ *   free      every day is open (free practice)
+ *   calendar  one day per calendar day, counted from `startDate` or the first attempt in the course;
+ *             days opened by passing (or placement) stay open, so it never takes a day away
+ *   testout   linear, plus a quiz per block of `blockSize` days that opens the day after the block
+ *   reviews   linear, but the next day opens only after `minReviews` spaced reviews since the last unlock
+ *
+ * A profile can choose one (prefs.unlockPolicy); otherwise the course pack's `unlockPolicy`
+ * applies, else linear. `progress.maxUnlockedDay` stays what the learner has earned by passing,
+ * so switching back to linear never loses anything.
+ */
+
+import { dayQuestions } from "./placement.js";
+import { seededRandom, shuffle } from "./vocabQuiz.js";
+
+// labels and hints: `policy.<id>` and `policy.<id>.hint` in the locale catalogs
+export const UNLOCK_POLICIES = [
+  { id: "linear" },
+  { id: "free" },
+  { id: "calendar" },
+  { id: "testout" },
+  { id: "reviews" },
+];
+
+export const DEFAULT_BLOCK_SIZE = 5;
+export const DEFAULT_MIN_REVIEWS = 20;
+export const TEST_OUT_MIN_SCORE = 0.8;
+const TEST_OUT_PER_DAY = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+export function defaultPolicy() {
+  return { type: "linear" };
+}
+
+const positive = (v, fallback) => (Number(v) >= 1 ? Math.floor(Number(v)) : fallback);
+
+/** Any stored or authored policy → a complete one; unknown types and junk → null. */
+export function normalizePolicy(raw) {
+  const src = typeof raw === "string" ? { type: raw } : raw;
+  if (!src || typeof src !== "object" || !UNLOCK_POLICIES.some((p) => p.id === src.type)) return null;
+  switch (src.type) {
+    case "calendar":
+      return { type: "calendar", startDate: DATE_RE.test(src.startDate || "") ? src.startDate : "" };
+    case "testout":
+      return {
+        type: "testout",
+        blockSize: positive(src.blockSize, DEFAULT_BLOCK_SIZE),
+        minScore: Number(src.minScore) > 0 && Number(src.minScore) <= 1 ? Number(src.minScore) : TEST_OUT_MIN_SCORE,
+      };
+    case "reviews":
+      return { type: "reviews", minReviews: positive(src.minReviews, DEFAULT_MIN_REVIEWS) };
+    default:
+      return { type: src.type };
+  }
+}
+
+/** The profile's choice wins over the course pack's; both unset → linear. */
+export function resolvePolicy(profilePolicy, packPolicy) {
+  return normalizePolicy(profilePolicy) || normalizePolicy(packPolicy) || defaultPolicy();
+}
+
+/** SRS reviews done so far; cards graded before the counter existed count their reps and lapses. */
+export function totalReviews(srs) {
+  return Object.values(srs || {}).reduce((sum, s) => sum + (s?.reviews ?? (s?.reps || 0) + (s?.lapses || 0)), 0);
+}
+
+function localMidnight(dateStr) {
+  const [y, m, d] = dateStr.split("-").map(Number);
+  return new Date(y, m - 1, d).getTime();
+}
+
+function todayMidnight(now) {
+  const d = new Date(now);
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime();
+}
+
+// calendar start: the configured date, else the day of the learner's first attempt in this course
+function calendarStart(policy, history, now) {
+  if (policy.startDate) return localMidnight(policy.startDate);
+  const first = (history || []).reduce((min, a) => Math.min(min, a.at ?? Infinity), Infinity);
+  return todayMidnight(Number.isFinite(first) ? first : now);
+}
+
+/** The `ctx` of unlockedThrough / lockedReason for a course's day plans and the learner's stores. */
+export function unlockContext(plans, history, srs) {
+  return { lastDay: Math.max(0, ...plans.map((d) => d.day)), history, srs };
+}
+
+/**
+ * Highest day the learner may open now.
+ * ctx: `{ lastDay, history, srs, now }`. A passed day waiting for reviews is `progress.pendingUnlock`.
+ */
+export function unlockedThrough(policy, progress, { lastDay, history, now = Date.now() } = {}) {
+  const earned = Math.max(progress.maxUnlockedDay, progress.pendingUnlock || 0);
+  switch (policy.type) {
+    case "free":
+      return Math.max(earned, lastDay || 1);
+    case "calendar": {
+      // rounding absorbs the 23/25-hour days around DST changes
+      const elapsed = Math.round((todayMidnight(now) - calendarStart(policy, history, now)) / DAY_MS);
+      return Math.max(earned, elapsed + 1);
+    }
+    case "reviews":
+      return progress.maxUnlockedDay;
+    default:
+      return earned;
+  }
+}
+
+/** Reviews still missing before a pending unlock opens (0 when nothing is held back). */
+export function reviewsMissing(policy, progress, srs) {
+  if (policy.type !== "reviews" || !progress.pendingUnlock) return 0;
+  const done = totalReviews(srs) - (progress.reviewsAtUnlock || 0);
+  return Math.max(0, policy.minReviews - done);
+}
+
+function openDay(progress, day, srs) {
+  const { pendingUnlock: _pending, ...rest } = progress;
+  return { ...rest, maxUnlockedDay: Math.max(progress.maxUnlockedDay, day), reviewsAtUnlock: totalReviews(srs) };
+}
+
+/** Progress after passing the day before `nextDay`. Under "reviews" the unlock may stay pending. */
+export function earnUnlock(policy, progress, nextDay, srs) {
+  if (policy.type !== "reviews") return openDay(progress, nextDay, srs);
+  const pending = { ...progress, pendingUnlock: Math.max(progress.pendingUnlock || 0, nextDay) };
+  return reviewsMissing(policy, pending, srs) ? pending : openDay(progress, pending.pendingUnlock, srs);
+}
+
+/** After a review: opens the pending day once enough reviews are done. */
+export function settleReviews(policy, progress, srs) {
+  if (!progress.pendingUnlock || reviewsMissing(policy, progress, srs)) return progress;
+  return openDay(progress, progress.pendingUnlock, srs);
+}
+
+/** Why `day` is closed, for the day navigation; `t` is the translator of lib/i18n.js. */
+export function lockedReason(policy, progress, day, ctx, t) {
+  const previous = day - 1;
+  if (policy.type === "calendar") {
+    const start = calendarStart(policy, ctx.history, ctx.now ?? Date.now());
+    const opens = new Date(start + (day - 1) * DAY_MS + DAY_MS / 2); // noon dodges DST shifts
+    return t("policy.lockedCalendar", { day, date: opens.toLocaleDateString(), previous });
+  }
+  const missing = reviewsMissing(policy, progress, ctx.srs);
+  if (missing && day === progress.pendingUnlock) {
+    return t("policy.lockedReviews", { day, count: missing });
+  }
+  return t("policy.locked", { day, previous });
+}
+
+/** Consecutive blocks of `size` days: `[{ from, to }]` by day number. */
+export function dayBlocks(plans, size) {
+  const days = (plans || []).map((d) => d.day).sort((a, b) => a - b);
+  const out = [];
+  for (let i = 0; i < days.length; i += size) {
+    const chunk = days.slice(i, i + size);
+    out.push({ from: chunk[0], to: chunk[chunk.length - 1] });
+  }
+  return out;
+}
+
+/** The block the learner can test out of now: the one holding the first not-yet-passed day. */
+export function testOutBlock(policy, plans, unlockedDay) {
+  if (policy.type !== "testout") return null;
+  const lastDay = Math.max(0, ...(plans || []).map((d) => d.day));
+  if (unlockedDay >= lastDay) return null;
+  return dayBlocks(plans, policy.blockSize).find((b) => b.to >= unlockedDay) || null;
+}
+
+/**
+ * Test-out questions for a block: a few vocab and multiple-choice grammar questions per day,
+ * `{ key, day, section, prompt, choices, answer }`. Same seed → same questions.
+ */
+export function buildTestOutQuiz(plans, block, seed = 0) {
+  const rand = seededRandom(`testout:${block.from}-${block.to}:${seed}`);
+  return (plans || [])
+    .filter((d) => d.day >= block.from && d.day <= block.to)
+    .flatMap((d) => {
+      const questions = dayQuestions(plans, d, seed).filter((q) => q.section !== "listening");
+      return shuffle(questions, rand).slice(0, TEST_OUT_PER_DAY);
+    });
+}
@@ -0,0 +1,139 @@
+/** Multiple-choice vocab quiz generator for days without (or beyond) an authored vocab_quiz */
+
+import { glossOf } from "./glosses.js";
+
+const QUIZ_SIZE = 10;
+const CHOICES = 4;
+const NEIGHBOUR_DAYS = 2;
+
+/** FNV-1a hash → 32-bit seed */
+export function hashSeed(input) {
+  let h = 0x811c9dc5;
+  const s = String(input);
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/** mulberry32: small deterministic PRNG, returns floats in [0, 1) */
+export function seededRandom(seed) {
+  let a = hashSeed(seed);
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function shuffle(list, rand = Math.random) {
+  const out = [...list];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(rand() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+// rough word class so "to cook" competes with other verbs, "der Bus" with nouns
+function wordKind(v) {
+  if (/^to\s/i.test(v.en || "")) return "verb";
+  if (/^(der|die|das)\s/i.test(v.de || "")) return "noun";
+  return "other";
+}
+
+function sameText(a, b) {
+  return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+// "to go (by car), to drive / the bus" → ["go", "drive", "bus"]
+function senses(gloss) {
+  return String(gloss || "")
+    .toLowerCase()
+    .replace(/\([^)]*\)/g, "")
+    .split(/[,;/]/)
+    .map((s) => s.replace(/^\s*(to|the|a|an)\s+/, "").trim())
+    .filter(Boolean);
+}
+
+// a word that shares a meaning with the target would be a second right answer
+function sharesMeaning(a, b) {
+  const ofB = [...senses(b.en), ...senses(b.meaning)];
+  return [...senses(a.en), ...senses(a.meaning)].some((s) => ofB.includes(s));
+}
+
+function pickDistractors(target, pool, field, rand) {
+  const kind = wordKind(target);
+  const scored = shuffle(pool, rand)
+    .filter((c) => c[field] && !sameText(c[field], target[field]) && !sameText(c.de, target.de))
+    .filter((c) => !sharesMeaning(c, target))
+    // a Turkish meaning among English ones gives the answer away
+    .filter((c) => field !== "meaning" || c.meaningLang === target.meaningLang)
+    .map((c) => ({
+      c,
+      score: (wordKind(c) === kind ? 2 : 0) + (c.day === target.day ? 1 : 0),
+    }));
+
+  // stable sort keeps the shuffled order within a score
+  scored.sort((a, b) => b.score - a.score);
+
+  const out = [];
+  for (const { c } of scored) {
+    if (out.some((x) => sameText(x, c[field]))) continue;
+    out.push(c[field]);
+    if (out.length === CHOICES - 1) break;
+  }
+  return out;
+}
+
+/**
+ * Builds quiz items in the same shape as vocab_quiz (`{ word, choices, answer }`).
+ * direction: "de-en" | "en-de" | "mixed" ("en" is the meaning, in `lang` when the words have
+ * glosses in it). Same seed → same questions, same order.
+ */
+export function generateVocabQuiz(plans, day, { seed = 0, count = QUIZ_SIZE, direction = "mixed", lang = "en" } = {}) {
+  const withMeaning = (v, d) => ({
+    ...v,
+    day: d,
+    meaning: glossOf(v, lang),
+    meaningLang: v.glosses?.[lang] ? lang : "en",
+  });
+  const plan = (plans || []).find((d) => d.day === day);
+  const words = (plan?.vocab_list || []).map((v) => withMeaning(v, day)).filter((v) => v.de && v.meaning);
+  if (!words.length) return [];
+
+  const pool = (plans || [])
+    .filter((d) => Math.abs(d.day - day) <= NEIGHBOUR_DAYS)
+    .flatMap((d) => (d.vocab_list || []).map((v) => withMeaning(v, d.day)));
+
+  const rand = seededRandom(`${day}:${seed}`);
+
+  return shuffle(words, rand)
+    .slice(0, count)
+    .map((v) => {
+      const dir = direction === "mixed" ? (rand() < 0.5 ? "de-en" : "en-de") : direction;
+      const [promptField, answerField] = dir === "de-en" ? ["de", "meaning"] : ["meaning", "de"];
+      const distractors = pickDistractors(v, pool, answerField, rand);
+      return {
+        word: v[promptField],
+        choices: shuffle([v[answerField], ...distractors], rand),
+        answer: v[answerField],
+        direction: dir,
+        generated: true,
+      };
+    })
+    .filter((q) => q.choices.length >= 2);
+}
+
+/**
+ * First attempt uses the authored vocab_quiz when the day has one (its answers are English, so
+ * only for `lang` "en"); every retry (and any day without one) gets a generated set seeded by `attempt`.
+ */
+export function buildVocabQuiz(plans, plan, attempt = 0, lang = "en") {
+  if (!plan) return [];
+  if (attempt === 0 && lang === "en" && plan.vocab_quiz?.length) return plan.vocab_quiz;
+  return generateVocabQuiz(plans, plan.day, { seed: attempt, lang });
+}
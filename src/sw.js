@@ -0,0 +1,77 @@
+/**
+ * Service worker: the app works offline once it has been opened one time.
+ *
+ * Not bundled: the "service-worker" plugin in vite.config.js emits this file as /sw.js and fills in
+ * PRECACHE (every built file plus public/, so also public/audio/) and VERSION (changes with any of them).
+ * A new version waits until the page asks for it (the "update available" prompt), so a lesson
+ * is never swapped out underneath the learner.
+ *
+ * Progress never goes through here: it lives in localStorage and is written on the device.
+ */
+
+const PRECACHE = /* PRECACHE */ [];
+const VERSION = /* VERSION */ "dev";
+
+const SHELL_CACHE = `a2-shell-${VERSION}`;
+const RUNTIME_CACHE = "a2-runtime"; // recordings and other files first requested later
+const INDEX = new URL("index.html", self.registration.scope).href;
+const AUDIO_RE = /\.(mp3|ogg|oga|opus|wav|m4a|aac|webm)$/i;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then((cache) => cache.addAll(PRECACHE)));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k.startsWith("a2-shell-") && k !== SHELL_CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// sent by the page when the learner accepts the update
+self.addEventListener("message", (event) => {
+  if (event.data === "SKIP_WAITING") self.skipWaiting();
+});
+
+// <audio> asks for byte ranges, which cannot be cached: fetch and keep the whole file instead
+async function cachedAudio(url) {
+  const hit = await caches.match(url);
+  if (hit) return hit;
+  const res = await fetch(url);
+  if (res.ok) {
+    const cache = await caches.open(RUNTIME_CACHE);
+    await cache.put(url, res.clone());
+  }
+  return res;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  // TTS servers and packs on other hosts are not ours to cache
+  if (url.origin !== self.location.origin) return;
+
+  // every route of the single-page app is index.html
+  if (request.mode === "navigate") {
+    event.respondWith(caches.match(INDEX).then((hit) => hit || fetch(request)));
+    return;
+  }
+
+  if (AUDIO_RE.test(url.pathname)) {
+    url.hash = "";
+    event.respondWith(cachedAudio(url.href));
+    return;
+  }
+
+  // "Update pack from URL" asks for a fresh copy; offline it still gets the cached one
+  if (request.cache === "no-store") {
+    event.respondWith(fetch(request).catch(() => caches.match(request).then((hit) => hit || Response.error())));
+    return;
+  }
+
+  event.respondWith(caches.match(request).then((hit) => hit || fetch(request)));
+});
@@ -1,7 +1,47 @@
+import { createHash } from 'node:crypto'
+import { readdirSync, readFileSync, statSync } from 'node:fs'
+import { join, relative, sep } from 'node:path'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react-swc'
 
+// Emits src/sw.js as /sw.js with the list of files to precache and a version that changes
+// whenever any of them does (see src/sw.js)
+function serviceWorker() {
+  let config
+  const publicFiles = (dir) =>
+    readdirSync(dir).flatMap((name) => {
+      const path = join(dir, name)
+      return statSync(path).isDirectory() ? publicFiles(path) : [path]
+    })
+
+  return {
+    name: 'service-worker',
+    apply: 'build',
+    enforce: 'post',
+    configResolved(resolved) {
+      config = resolved
+    },
+    generateBundle(_, bundle) {
+      const hash = createHash('sha256')
+      const fromPublic = config.publicDir
+        ? publicFiles(config.publicDir).map((path) => {
+            hash.update(readFileSync(path))
+            return relative(config.publicDir, path).split(sep).join('/')
+          })
+        : []
+      const built = Object.keys(bundle).filter((f) => !f.endsWith('.map'))
+      built.forEach((f) => hash.update(f))
+      const files = [...new Set(['index.html', ...built, ...fromPublic])].map((f) => config.base + f)
+
+      const source = readFileSync(new URL('./src/sw.js', import.meta.url), 'utf8')
+        .replace('/* PRECACHE */ []', JSON.stringify(files))
+        .replace('/* VERSION */ "dev"', JSON.stringify(hash.digest('hex').slice(0, 12)))
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
 })